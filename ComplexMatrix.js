@@ -0,0 +1,837 @@
+/**
+ * @module matrixmath/ComplexMatrix
+ */
+'use strict';
+
+var Matrix = require('./Matrix');
+var MatrixDimensionError = require('./MatrixDimensionError');
+var strict = require('./strict');
+var complex = require('./complex');
+
+/**
+ * The difference between 1 and the smallest number greater than 1.
+ *
+ * @type {number}
+ * @private
+ */
+var EPSILON = 2.220446049250313e-16;
+
+/**
+ * @classdesc A class for representing and working with a matrix of complex
+ * numbers.
+ *
+ * The real and imaginary parts are stored in two separate arrays, in the
+ * same order as the values of a Matrix (row by row).
+ *
+ * @property {number} rows Number of rows.
+ * @property {number} cols Number of cols.
+ * @property {number} length Number of values.
+ * @property {Array.<number>} real The real parts of the values.
+ * @property {Array.<number>} imaginary The imaginary parts of the values.
+ * @property {boolean?} strict Whether operations on this matrix throw a
+ *     MatrixDimensionError when the dimensions don't match, instead of
+ *     skipping the operand. If null, the global Matrix.strict is used.
+ *
+ * @constructor
+ *
+ * @param {number=} opt_rows The number of rows for the matrix. Default is 0.
+ * @param {number=} opt_cols The number of columns for the matrix. Default is same
+ *     amount of columns as rows.
+ * @param {boolean=} opt_setInitial Whether to set the initial data when created.
+ *     The initial data will be set to the identity matrix if it specifies the same
+ *     amount of rows as columns. Default is true.
+ *
+ * @example
+ * // Create a 2x2 matrix with the values 1+2i, 3, -i and 4-i
+ * var matrix = new ComplexMatrix(2, 2);
+ * matrix.setData([1, 3, 0, 4], [2, 0, -1, -1]);
+ *
+ * // Create a complex matrix from the real and imaginary parts
+ * var matrix = ComplexMatrix.fromMatrix(new Matrix(2, 2), new Matrix(2, 2));
+ */
+function ComplexMatrix(opt_rows, opt_cols, opt_setInitial) {
+  this.rows = opt_rows || 0;
+  this.cols = opt_cols || this.rows;
+  this.length = this.rows * this.cols;
+  this.real = new Array(this.length);
+  this.imaginary = new Array(this.length);
+  this.strict = null;
+
+  var setInitial = opt_setInitial === undefined ? true : opt_setInitial;
+
+  if (setInitial) {
+    if (this.rows === this.cols) {
+      this.setIdentityData();
+    } else {
+      this.setEmptyData();
+    }
+  }
+}
+
+/**
+ * Create a complex matrix from matrices with the real and imaginary parts.
+ *
+ * @param {Matrix} real A Matrix instance with the real parts.
+ * @param {Matrix=} opt_imaginary A Matrix instance with the imaginary parts.
+ *     It must have the same size as the real parts. Default is all zeros.
+ *
+ * @return {ComplexMatrix} A new complex matrix.
+ *
+ * @throws {Error} If the imaginary parts have a different size.
+ */
+ComplexMatrix.fromMatrix = function(real, opt_imaginary) {
+  if (opt_imaginary && (opt_imaginary.rows !== real.rows || opt_imaginary.cols !== real.cols)) {
+    throw new Error('The real and imaginary parts must have the same size');
+  }
+
+  var matrix = new ComplexMatrix(real.rows, real.cols, false);
+  var realValues = real.values || real;
+  var imaginaryValues = opt_imaginary && (opt_imaginary.values || opt_imaginary);
+
+  for (var i = 0, l = matrix.length; i < l; i++) {
+    matrix.real[i] = realValues[i];
+    matrix.imaginary[i] = imaginaryValues ? imaginaryValues[i] : 0;
+  }
+
+  return matrix;
+};
+
+/**
+ * Add matrices together and return a new complex matrix.
+ * It will clone the first matrix and add to that.
+ *
+ * @param {...ComplexMatrix|Matrix} var_args At least two ComplexMatrix or
+ *     Matrix instances as multiple arguments.
+ *
+ * @return {ComplexMatrix} A new complex matrix for the result.
+ */
+ComplexMatrix.add = function(var_args) {
+  var matrices = Array.prototype.slice.call(arguments);
+  var outputMatrix = toComplex(matrices.shift()).clone();
+  outputMatrix.add.apply(outputMatrix, matrices);
+
+  return outputMatrix;
+};
+
+/**
+ * Subtract matrices and return a new complex matrix.
+ * It will clone the first matrix and subtract from that.
+ *
+ * @param {...ComplexMatrix|Matrix} var_args At least two ComplexMatrix or
+ *     Matrix instances as multiple arguments.
+ *
+ * @return {ComplexMatrix} A new complex matrix for the result.
+ */
+ComplexMatrix.subtract = function(var_args) {
+  var matrices = Array.prototype.slice.call(arguments);
+  var outputMatrix = toComplex(matrices.shift()).clone();
+  outputMatrix.subtract.apply(outputMatrix, matrices);
+
+  return outputMatrix;
+};
+
+/**
+ * Multiply matrices and return a new complex matrix.
+ * It will clone the first matrix and multiply that.
+ *
+ * @param {...ComplexMatrix|Matrix|number} var_args At least two ComplexMatrix
+ *     or Matrix instances as multiple arguments, or numbers after the first.
+ *
+ * @return {ComplexMatrix} A new complex matrix for the result.
+ */
+ComplexMatrix.multiply = function(var_args) {
+  var matrices = Array.prototype.slice.call(arguments);
+  var outputMatrix = toComplex(matrices.shift()).clone();
+  outputMatrix.multiply.apply(outputMatrix, matrices);
+
+  return outputMatrix;
+};
+
+/**
+ * Set the data for this matrix to be only zeros.
+ *
+ * @return {ComplexMatrix} This ComplexMatrix instance.
+ */
+ComplexMatrix.prototype.setEmptyData = function() {
+  for (var i = 0, l = this.length; i < l; i++) {
+    this.real[i] = 0;
+    this.imaginary[i] = 0;
+  }
+
+  return this;
+};
+
+/**
+ * Set the data for this matrix to the identity data.
+ *
+ * @return {ComplexMatrix} This ComplexMatrix instance.
+ */
+ComplexMatrix.prototype.setIdentityData = function() {
+  for (var i = 0, l = this.length; i < l; i++) {
+    this.real[i] = i % (this.cols + 1) ? 0 : 1;
+    this.imaginary[i] = 0;
+  }
+
+  return this;
+};
+
+/**
+ * Set the data for this matrix.
+ *
+ * @param {Array.<number>} real An array with the real parts.
+ * @param {Array.<number>=} opt_imaginary An array with the imaginary parts,
+ *     with the same length as the real parts. Default is all zeros.
+ * @param {number=} opt_rows Number of rows in the new data. If not provided,
+ *     the data must match the size of the previous data.
+ * @param {number=} opt_cols Number of columns in the new data. If not provided,
+ *     the data must match the size of the previous data.
+ *
+ * @return {ComplexMatrix} This ComplexMatrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of the data
+ *     doesn't match.
+ */
+ComplexMatrix.prototype.setData = function(real, opt_imaginary, opt_rows, opt_cols) {
+  var length = real.length;
+
+  // If the number of values doesn't match, we can't modify the data safely,
+  // so we do nothing (or throw in strict mode).
+  if (opt_imaginary && opt_imaginary.length !== length) {
+    if (strict.isStrict(this)) {
+      throw new MatrixDimensionError('setData', length, opt_imaginary.length);
+    }
+    return this;
+  }
+  if (length !== this.length) {
+    if (opt_rows === undefined || opt_cols === undefined) {
+      if (strict.isStrict(this)) {
+        throw new MatrixDimensionError('setData', [this.rows, this.cols], length);
+      }
+      return this;
+    } else if (opt_rows * opt_cols !== length) {
+      if (strict.isStrict(this)) {
+        throw new MatrixDimensionError('setData', [opt_rows, opt_cols], length);
+      }
+      return this;
+    }
+  }
+
+  this.real.length = length;
+  this.imaginary.length = length;
+  for (var i = 0; i < length; i++) {
+    this.real[i] = real[i];
+    this.imaginary[i] = opt_imaginary ? opt_imaginary[i] : 0;
+  }
+
+  this.length = length;
+  this.rows = opt_rows || this.rows;
+  this.cols = opt_cols || this.cols;
+
+  return this;
+};
+
+/**
+ * Get the real parts of the matrix.
+ *
+ * @return {Matrix} A new matrix with the real parts.
+ */
+ComplexMatrix.prototype.getReal = function() {
+  return new Matrix(this.rows, this.cols, false).setData(this.real);
+};
+
+/**
+ * Get the imaginary parts of the matrix.
+ *
+ * @return {Matrix} A new matrix with the imaginary parts.
+ */
+ComplexMatrix.prototype.getImaginary = function() {
+  return new Matrix(this.rows, this.cols, false).setData(this.imaginary);
+};
+
+/**
+ * Get a string representation of the matrix, where the values are written
+ * like 1+2i.
+ *
+ * @param {string|number=} opt_indentation Optional argument to control
+ *     indentation in the output string. If set to a number, the indentation
+ *     will be that many spaces wide. If it is a string, the indentation will be
+ *     this string itself. If not set, it will be two spaces wide.
+ * @param {string=} opt_separator Optional argument to control what separates
+ *     the values in the output string. If not set, it will be two spaces.
+ * @param {string=} opt_start String to use in the start of the string.
+ *     Default value is '['.
+ * @param {string=} opt_end String to use in the end of the string.
+ *     Default value is ']'.
+ *
+ * @return {string} The string representation of the matrix.
+ */
+ComplexMatrix.prototype.toLogString = function(opt_indentation, opt_separator, opt_start, opt_end) {
+  var strings = [];
+  for (var i = 0, l = this.length; i < l; i++) {
+    strings[i] = formatComplex(this.real[i], this.imaginary[i]);
+  }
+
+  var matrix = new Matrix(this.rows, this.cols, false).setData(strings);
+
+  return matrix.toLogString(opt_indentation, opt_separator, opt_start, opt_end);
+};
+
+/**
+ * Copy data from the input matrix to this matrix.
+ *
+ * @param {ComplexMatrix|Matrix} matrix Input matrix to copy from.
+ *
+ * @return {ComplexMatrix} This ComplexMatrix instance.
+ */
+ComplexMatrix.prototype.copy = function(matrix) {
+  matrix = toComplex(matrix);
+
+  return this.setData(matrix.real, matrix.imaginary, matrix.rows, matrix.cols);
+};
+
+/**
+ * Clone this matrix to a new instance.
+ *
+ * @return {ComplexMatrix} A new complex matrix for the result.
+ */
+ComplexMatrix.prototype.clone = function() {
+  var matrix = new ComplexMatrix(this.rows, this.cols, false).copy(this);
+  matrix.strict = this.strict;
+
+  return matrix;
+};
+
+/**
+ * Add matrices together into this matrix.
+ *
+ * @param {...ComplexMatrix|Matrix} var_args At least one ComplexMatrix or
+ *     Matrix instance. If many, use multiple arguments. Matrices with a
+ *     different size are skipped.
+ *
+ * @return {ComplexMatrix} This ComplexMatrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of a matrix
+ *     doesn't match. See Matrix.strict.
+ */
+ComplexMatrix.prototype.add = function(var_args) {
+  if (strict.isStrict(this)) checkSameSize(this, 'add', arguments);
+
+  for (var i = 0, l = arguments.length; i < l; i++) {
+    addInto(this, toComplex(arguments[i]), 1);
+  }
+
+  return this;
+};
+
+/**
+ * Subtract matrices from this matrix.
+ *
+ * @param {...ComplexMatrix|Matrix} var_args At least one ComplexMatrix or
+ *     Matrix instance. If many, use multiple arguments. Matrices with a
+ *     different size are skipped.
+ *
+ * @return {ComplexMatrix} This ComplexMatrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of a matrix
+ *     doesn't match. See Matrix.strict.
+ */
+ComplexMatrix.prototype.subtract = function(var_args) {
+  if (strict.isStrict(this)) checkSameSize(this, 'subtract', arguments);
+
+  for (var i = 0, l = arguments.length; i < l; i++) {
+    addInto(this, toComplex(arguments[i]), -1);
+  }
+
+  return this;
+};
+
+/**
+ * Multiply matrices into this matrix.
+ *
+ * @param {...ComplexMatrix|Matrix|number} var_args At least one ComplexMatrix
+ *     or Matrix instance or a number. If many, use multiple arguments. If a
+ *     number, it will make a scalar multiplication. Matrices where the number
+ *     of rows doesn't match the number of columns in this matrix are skipped.
+ *
+ * @return {ComplexMatrix} This ComplexMatrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the number of rows in a
+ *     matrix doesn't match the number of columns in the product so far. See
+ *     Matrix.strict.
+ */
+ComplexMatrix.prototype.multiply = function(var_args) {
+  if (strict.isStrict(this)) checkProductSize(this, 'multiply', arguments);
+
+  for (var i = 0, l = arguments.length; i < l; i++) {
+    var matrix = arguments[i];
+
+    if (typeof matrix === 'number') {
+      for (var n = 0; n < this.length; n++) {
+        this.real[n] *= matrix;
+        this.imaginary[n] *= matrix;
+      }
+      continue;
+    }
+
+    multiplyInto(this, toComplex(matrix));
+  }
+
+  return this;
+};
+
+/**
+ * Replace all values with their complex conjugate.
+ *
+ * @return {ComplexMatrix} This ComplexMatrix instance.
+ */
+ComplexMatrix.prototype.conjugate = function() {
+  for (var i = 0, l = this.length; i < l; i++) {
+    this.imaginary[i] = -this.imaginary[i];
+  }
+
+  return this;
+};
+
+/**
+ * Transpose the matrix, without taking the complex conjugate.
+ *
+ * @return {ComplexMatrix} This ComplexMatrix instance.
+ */
+ComplexMatrix.prototype.transpose = function() {
+  var real = this.real.slice();
+  var imaginary = this.imaginary.slice();
+  var rows = this.rows;
+  var cols = this.cols;
+
+  for (var row = 0; row < rows; row++) {
+    for (var col = 0; col < cols; col++) {
+      this.real[col * rows + row] = real[row * cols + col];
+      this.imaginary[col * rows + row] = imaginary[row * cols + col];
+    }
+  }
+
+  this.rows = cols;
+  this.cols = rows;
+
+  return this;
+};
+
+/**
+ * Transpose the matrix and take the complex conjugate of all values. This is
+ * also called the Hermitian transpose.
+ *
+ * @return {ComplexMatrix} This ComplexMatrix instance.
+ */
+ComplexMatrix.prototype.conjugateTranspose = function() {
+  return this.transpose().conjugate();
+};
+
+/**
+ * Invert the matrix, using LU decomposition with partial pivoting.
+ * The matrix must be square and not singular. If it's not, the matrix is
+ * left unchanged.
+ *
+ * @return {ComplexMatrix} This ComplexMatrix instance.
+ */
+ComplexMatrix.prototype.invert = function() {
+  var size = this.rows;
+  if (size !== this.cols) return this;
+
+  var real = this.real.slice();
+  var imaginary = this.imaginary.slice();
+  var pivots = new Array(size);
+  var tolerances = new Array(size);
+  decomposeLU(real, imaginary, size, pivots, tolerances);
+  if (isSingularLU(real, imaginary, size, tolerances)) return this;
+
+  // Solve for each column of the identity matrix
+  var columnReal = new Array(size);
+  var columnImaginary = new Array(size);
+  for (var col = 0; col < size; col++) {
+    for (var i = 0; i < size; i++) {
+      columnReal[i] = i === col ? 1 : 0;
+      columnImaginary[i] = 0;
+    }
+
+    substituteLU(real, imaginary, size, pivots, columnReal, columnImaginary);
+
+    for (i = 0; i < size; i++) {
+      this.real[i * size + col] = columnReal[i];
+      this.imaginary[i * size + col] = columnImaginary[i];
+    }
+  }
+
+  return this;
+};
+
+/**
+ * Get the determinant of the matrix, if possible.
+ *
+ * @return {{real: number, imaginary: number}?} The real and imaginary parts
+ *     of the determinant. The matrix must be square for this to be possible,
+ *     so if it's not, this will return null.
+ */
+ComplexMatrix.prototype.getDeterminant = function() {
+  var size = this.rows;
+  if (size !== this.cols) return null;
+
+  var real = this.real.slice();
+  var imaginary = this.imaginary.slice();
+  var tolerances = new Array(size);
+  var sign = decomposeLU(real, imaginary, size, new Array(size), tolerances);
+
+  // The determinant is zero if the matrix is singular, like invert decides it
+  if (isSingularLU(real, imaginary, size, tolerances)) {
+    return {real: 0, imaginary: 0};
+  }
+
+  // Otherwise it is the product of the diagonal of U
+  var determinantReal = sign;
+  var determinantImaginary = 0;
+  for (var i = 0; i < size; i++) {
+    var index = i * size + i;
+    var productReal = determinantReal * real[index] - determinantImaginary * imaginary[index];
+    determinantImaginary = determinantReal * imaginary[index] + determinantImaginary * real[index];
+    determinantReal = productReal;
+  }
+
+  return {real: determinantReal, imaginary: determinantImaginary};
+};
+
+/**
+ * Test if the matrix has the same content as another matrix.
+ *
+ * @param {ComplexMatrix|Matrix} input The matrix to compare with.
+ *
+ * @return {boolean} True if it's the same. Anything that is not a
+ *     ComplexMatrix or Matrix instance is never the same.
+ */
+ComplexMatrix.prototype.equals = function(input) {
+  if (!(input instanceof ComplexMatrix || input instanceof Matrix)) return false;
+
+  input = toComplex(input);
+
+  if (input.rows !== this.rows || input.cols !== this.cols) return false;
+
+  for (var i = 0, l = this.length; i < l; i++) {
+    if (input.real[i] !== this.real[i] || input.imaginary[i] !== this.imaginary[i]) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Get a complex matrix for a matrix that may be real.
+ *
+ * @param {ComplexMatrix|Matrix} matrix The matrix.
+ *
+ * @return {ComplexMatrix} The matrix itself if it's complex, otherwise a new
+ *     complex matrix with the same values.
+ *
+ * @private
+ */
+function toComplex(matrix) {
+  return matrix instanceof ComplexMatrix ? matrix : ComplexMatrix.fromMatrix(matrix);
+}
+
+/**
+ * Format a complex number, like 1+2i.
+ *
+ * @param {number} real The real part.
+ * @param {number} imaginary The imaginary part.
+ *
+ * @return {string} The formatted number. The imaginary part is left out if
+ *     it's zero, and the real part is left out if it's zero and the
+ *     imaginary part is not. An imaginary part that is Infinity or NaN is
+ *     written with an explicit product, like 1+NaN*i.
+ *
+ * @private
+ */
+function formatComplex(real, imaginary) {
+  if (imaginary === 0) return String(real);
+
+  var unit = isFinite(imaginary) ? 'i' : '*i';
+  if (real === 0) return imaginary + unit;
+
+  return real + (imaginary < 0 ? '-' : '+') + Math.abs(imaginary) + unit;
+}
+
+/**
+ * Check that a list of matrices all have the same size as a matrix. Numbers
+ * in the list are ignored.
+ *
+ * @param {ComplexMatrix} matrix The matrix instance.
+ * @param {string} operation The name of the operation.
+ * @param {Arguments} matrices The matrices to check.
+ *
+ * @throws {MatrixDimensionError} If the size of a matrix doesn't match.
+ *
+ * @private
+ */
+function checkSameSize(matrix, operation, matrices) {
+  for (var i = 0, l = matrices.length; i < l; i++) {
+    var input = matrices[i];
+    if (typeof input === 'number') continue;
+    if (input.rows !== matrix.rows || input.cols !== matrix.cols) {
+      throw new MatrixDimensionError(operation, [matrix.rows, matrix.cols], [input.rows, input.cols]);
+    }
+  }
+}
+
+/**
+ * Check that a matrix can be multiplied by a list of matrices and scalars,
+ * in order. Numbers in the list are ignored.
+ *
+ * @param {ComplexMatrix} matrix The matrix instance.
+ * @param {string} operation The name of the operation.
+ * @param {Arguments} matrices The matrices to check.
+ *
+ * @throws {MatrixDimensionError} If the size of a matrix doesn't match.
+ *
+ * @private
+ */
+function checkProductSize(matrix, operation, matrices) {
+  var cols = matrix.cols;
+
+  for (var i = 0, l = matrices.length; i < l; i++) {
+    var input = matrices[i];
+    if (typeof input === 'number') continue;
+
+    if (input.rows !== cols) {
+      throw new MatrixDimensionError(operation, [matrix.rows, cols], [input.rows, input.cols]);
+    }
+    cols = input.cols;
+  }
+}
+
+/**
+ * Add a matrix multiplied by a factor into another matrix.
+ *
+ * @param {ComplexMatrix} target The matrix to add into.
+ * @param {ComplexMatrix} matrix The matrix to add. It's skipped if the size
+ *     doesn't match.
+ * @param {number} factor The factor to multiply the values with.
+ *
+ * @private
+ */
+function addInto(target, matrix, factor) {
+  if (matrix.rows !== target.rows || matrix.cols !== target.cols) return;
+
+  for (var i = 0, l = target.length; i < l; i++) {
+    target.real[i] += factor * matrix.real[i];
+    target.imaginary[i] += factor * matrix.imaginary[i];
+  }
+}
+
+/**
+ * Multiply a matrix with another matrix, storing the result in the first.
+ *
+ * @param {ComplexMatrix} target The matrix on the left side, which will be
+ *     modified.
+ * @param {ComplexMatrix} matrix The matrix on the right side. It's skipped if
+ *     the number of rows doesn't match the number of columns in the target.
+ *
+ * @private
+ */
+function multiplyInto(target, matrix) {
+  if (matrix.rows !== target.cols) return;
+
+  var rows = target.rows;
+  var cols = matrix.cols;
+  var inner = target.cols;
+  var real = new Array(rows * cols);
+  var imaginary = new Array(rows * cols);
+
+  for (var row = 0; row < rows; row++) {
+    for (var col = 0; col < cols; col++) {
+      var sumReal = 0;
+      var sumImaginary = 0;
+
+      for (var i = 0; i < inner; i++) {
+        var ar = target.real[row * inner + i];
+        var ai = target.imaginary[row * inner + i];
+        var br = matrix.real[i * cols + col];
+        var bi = matrix.imaginary[i * cols + col];
+        sumReal += ar * br - ai * bi;
+        sumImaginary += ar * bi + ai * br;
+      }
+
+      real[row * cols + col] = sumReal;
+      imaginary[row * cols + col] = sumImaginary;
+    }
+  }
+
+  target.setData(real, imaginary, rows, cols);
+}
+
+/**
+ * Decompose a square complex matrix in place into L and U, using Gaussian
+ * elimination with partial pivoting. L has a unit diagonal that is not
+ * stored.
+ *
+ * @param {Array.<number>} real The real parts. This will be modified.
+ * @param {Array.<number>} imaginary The imaginary parts. This will be
+ *     modified.
+ * @param {number} size Number of rows and columns.
+ * @param {Array.<number>} pivots Array that will be filled with the original
+ *     row index for each row in the decomposition.
+ * @param {Array.<number>} tolerances Array that will be filled with the
+ *     tolerance for each pivot, for use with isSingularLU. It is based on the
+ *     largest modulus in the original column of the pivot.
+ *
+ * @return {number} The sign of the permutation, 1 or -1.
+ *
+ * @private
+ */
+function decomposeLU(real, imaginary, size, pivots, tolerances) {
+  var sign = 1;
+
+  for (var row = 0; row < size; row++) {
+    pivots[row] = row;
+  }
+
+  for (var col = 0; col < size; col++) {
+    var largest = 0;
+    for (row = 0; row < size; row++) {
+      largest = Math.max(largest, complex.hypot(real[row * size + col], imaginary[row * size + col]));
+    }
+    tolerances[col] = size * EPSILON * largest;
+  }
+
+  for (var k = 0; k < size; k++) {
+
+    // Find the row with the largest value in the column
+    var pivot = k;
+    var max = complex.hypot(real[k * size + k], imaginary[k * size + k]);
+    for (var i = k + 1; i < size; i++) {
+      var value = complex.hypot(real[i * size + k], imaginary[i * size + k]);
+      if (value > max) {
+        max = value;
+        pivot = i;
+      }
+    }
+
+    if (pivot !== k) {
+      swapRows(real, size, k, pivot);
+      swapRows(imaginary, size, k, pivot);
+      swapRows(pivots, 1, k, pivot);
+      sign = -sign;
+    }
+
+    if (max === 0) continue;
+
+    var pivotReal = real[k * size + k];
+    var pivotImaginary = imaginary[k * size + k];
+    for (i = k + 1; i < size; i++) {
+      var factor = complex.divide(real[i * size + k], imaginary[i * size + k], pivotReal, pivotImaginary);
+      real[i * size + k] = factor[0];
+      imaginary[i * size + k] = factor[1];
+
+      for (var j = k + 1; j < size; j++) {
+        var ur = real[k * size + j];
+        var ui = imaginary[k * size + j];
+        real[i * size + j] -= factor[0] * ur - factor[1] * ui;
+        imaginary[i * size + j] -= factor[0] * ui + factor[1] * ur;
+      }
+    }
+  }
+
+  return sign;
+}
+
+/**
+ * Check if an LU decomposition is of a singular matrix. Elimination rarely
+ * gives exact zeros, so a pivot counts as zero if its modulus is not larger
+ * than its tolerance from decomposeLU.
+ *
+ * @param {Array.<number>} real The real parts of the decomposition.
+ * @param {Array.<number>} imaginary The imaginary parts of the
+ *     decomposition.
+ * @param {number} size Number of rows and columns.
+ * @param {Array.<number>} tolerances The tolerances from decomposeLU.
+ *
+ * @return {boolean} True if the matrix is singular.
+ *
+ * @private
+ */
+function isSingularLU(real, imaginary, size, tolerances) {
+  for (var i = 0; i < size; i++) {
+    var index = i * size + i;
+    if (complex.hypot(real[index], imaginary[index]) <= tolerances[i]) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Solve LUx = Pb for one column, given an LU decomposition from
+ * decomposeLU.
+ *
+ * @param {Array.<number>} real The real parts of the decomposition.
+ * @param {Array.<number>} imaginary The imaginary parts of the
+ *     decomposition.
+ * @param {number} size Number of rows and columns.
+ * @param {Array.<number>} pivots The pivots from decomposeLU.
+ * @param {Array.<number>} rhsReal Real parts of the column. This will be
+ *     replaced with the solution.
+ * @param {Array.<number>} rhsImaginary Imaginary parts of the column. This
+ *     will be replaced with the solution.
+ *
+ * @private
+ */
+function substituteLU(real, imaginary, size, pivots, rhsReal, rhsImaginary) {
+  var i, j, quotient;
+
+  // Put the values of b in the order of the rows in the decomposition
+  var permutedReal = rhsReal.slice();
+  var permutedImaginary = rhsImaginary.slice();
+  for (i = 0; i < size; i++) {
+    rhsReal[i] = permutedReal[pivots[i]];
+    rhsImaginary[i] = permutedImaginary[pivots[i]];
+  }
+
+  // Forward substitution with L
+  for (i = 0; i < size; i++) {
+    for (j = 0; j < i; j++) {
+      var lr = real[i * size + j];
+      var li = imaginary[i * size + j];
+      rhsReal[i] -= lr * rhsReal[j] - li * rhsImaginary[j];
+      rhsImaginary[i] -= lr * rhsImaginary[j] + li * rhsReal[j];
+    }
+  }
+
+  // Back substitution with U
+  for (i = size - 1; i >= 0; i--) {
+    for (j = i + 1; j < size; j++) {
+      var ur = real[i * size + j];
+      var ui = imaginary[i * size + j];
+      rhsReal[i] -= ur * rhsReal[j] - ui * rhsImaginary[j];
+      rhsImaginary[i] -= ur * rhsImaginary[j] + ui * rhsReal[j];
+    }
+    quotient = complex.divide(rhsReal[i], rhsImaginary[i], real[i * size + i], imaginary[i * size + i]);
+    rhsReal[i] = quotient[0];
+    rhsImaginary[i] = quotient[1];
+  }
+}
+
+/**
+ * Swap two rows in a list of values.
+ *
+ * @param {Array.<number>} values The values, row by row.
+ * @param {number} cols Number of columns.
+ * @param {number} a Index of the first row.
+ * @param {number} b Index of the second row.
+ *
+ * @private
+ */
+function swapRows(values, cols, a, b) {
+  for (var col = 0; col < cols; col++) {
+    var temp = values[a * cols + col];
+    values[a * cols + col] = values[b * cols + col];
+    values[b * cols + col] = temp;
+  }
+}
+
+module.exports = ComplexMatrix;
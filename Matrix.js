@@ -4,6 +4,73 @@
 'use strict';
 
 var arrays = require('./arrays');
+var complex = require('./complex');
+var strict = require('./strict');
+var MatrixDimensionError = require('./MatrixDimensionError');
+
+/**
+ * The difference between 1 and the smallest number greater than 1.
+ *
+ * @type {number}
+ * @private
+ */
+var EPSILON = 2.220446049250313e-16;
+
+/**
+ * The names of the CSS transform functions that make a transform 3D, in
+ * lower case.
+ *
+ * @type {Array.<string>}
+ *
+ * @private
+ */
+var CSS_3D_FUNCTIONS = [
+  'matrix3d', 'translate3d', 'translatez', 'scale3d', 'scalez',
+  'rotate3d', 'rotatex', 'rotatey', 'rotatez'
+];
+
+/**
+ * The supported CSS transform functions, in lower case, with the smallest and
+ * largest number of arguments they take.
+ *
+ * @type {Object.<string, Array.<number>>}
+ *
+ * @private
+ */
+var CSS_ARGUMENT_COUNTS = {
+  matrix: [6, 6],
+  matrix3d: [16, 16],
+  translate: [1, 2],
+  translatex: [1, 1],
+  translatey: [1, 1],
+  translatez: [1, 1],
+  translate3d: [3, 3],
+  scale: [1, 2],
+  scalex: [1, 1],
+  scaley: [1, 1],
+  scalez: [1, 1],
+  scale3d: [3, 3],
+  rotate: [1, 1],
+  rotatex: [1, 1],
+  rotatey: [1, 1],
+  rotatez: [1, 1],
+  rotate3d: [4, 4],
+  skew: [1, 2],
+  skewx: [1, 1],
+  skewy: [1, 1]
+};
+
+/**
+ * Typed array classes for the storage types that keep the values in a
+ * typed array.
+ *
+ * @type {Object.<string, Function>}
+ * @private
+ */
+var STORAGE_TYPES = {
+  float64: Float64Array,
+  float32: Float32Array
+};
 
 /**
  * @classdesc A class for representing and working with a mathematical matrix.
@@ -11,6 +78,18 @@ var arrays = require('./arrays');
  * @property {number} rows Number of rows.
  * @property {number} cols Number of cols.
  * @property {number} length Number of values.
+ * @property {string} storage The storage type: 'array', 'float64' or
+ *     'float32'.
+ * @property {(Float64Array|Float32Array)?} values The typed array that holds
+ *     the values, for the typed storage types. For the 'array' storage type,
+ *     this is null and the values are stored as indexed properties on the
+ *     instance itself. For a view with a typed storage type, this is an
+ *     object that reads and writes the values of the parent matrix.
+ * @property {Matrix?} parent The matrix that holds the values, if this is a
+ *     view created with the view method. Otherwise null.
+ * @property {boolean?} strict Whether operations on this matrix throw a
+ *     MatrixDimensionError when the dimensions don't match, instead of
+ *     skipping the operand. If null, the global Matrix.strict is used.
  *
  * @constructor
  *
@@ -20,6 +99,13 @@ var arrays = require('./arrays');
  * @param {boolean=} opt_setInitial Whether to set the initial data when created.
  *     The initial data will be set to the identity matrix if it specifies the same
  *     amount of rows as columns. Default is true.
+ * @param {string=} opt_storage How to store the values. With 'array', they
+ *     are stored as indexed properties on the instance (matrix[0], matrix[1]
+ *     and so on). With 'float64' or 'float32', they are stored in a typed
+ *     array in the values property (matrix.values[0] and so on), which uses
+ *     less memory and is faster for large matrices. Default is 'array'.
+ *
+ * @throws {Error} If the storage type is not known.
  *
  * @example
  * // Create a 3x3 matrix with data
@@ -41,13 +127,27 @@ var arrays = require('./arrays');
  * // Create a matrix with no data set
  * // The matrix will be 3 rows and 3 columns
  * var matrix = new Matrix(3, 3, false);
+ *
+ * // Create a matrix that stores its values in a Float64Array
+ * var matrix = new Matrix(3, 3, true, 'float64');
  */
-function Matrix(opt_rows, opt_cols, opt_setInitial) {
+function Matrix(opt_rows, opt_cols, opt_setInitial, opt_storage) {
   this.rows = opt_rows || 0;
   this.cols = opt_cols || this.rows;
   this.length = this.rows * this.cols;
+  this.storage = opt_storage || 'array';
+  this.values = null;
+  this.parent = null;
+  this.strict = null;
   this._cache = null;
 
+  if (this.storage !== 'array') {
+    if (!STORAGE_TYPES.hasOwnProperty(this.storage)) {
+      throw new Error('Unknown storage type: ' + this.storage);
+    }
+    this.values = new STORAGE_TYPES[this.storage](this.length);
+  }
+
   var setInitial = opt_setInitial === undefined ? true : opt_setInitial;
 
   if (setInitial) {
@@ -59,18 +159,32 @@ function Matrix(opt_rows, opt_cols, opt_setInitial) {
   }
 }
 
+/**
+ * Whether all matrices use strict mode by default. In strict mode, add,
+ * subtract, multiply, divide, the element-wise operations and setData throw a
+ * MatrixDimensionError when the dimensions don't match, instead of silently
+ * skipping the operand or leaving the data unchanged. Matrices with the strict
+ * property set to true or false ignore this.
+ *
+ * @type {boolean}
+ */
+Matrix.strict = false;
+
 /**
  * Add matrices together and return a new matrix.
  * It will clone the first matrix and add to that.
  *
- * @param {...Matrix} var_args At least two Matrix instances as
- *     multiple arguments.
+ * @param {...Matrix|number} var_args At least one Matrix instance, and more
+ *     Matrix instances or numbers in any order, as multiple arguments. Row
+ *     and column vectors are broadcast.
  *
  * @return {Matrix} A new matrix for the result.
+ *
+ * @throws {Error} If there is no Matrix instance.
  */
 Matrix.add = function(var_args) {
   var matrices = Array.prototype.slice.call(arguments);
-  var firstMatrix = matrices.shift();
+  var firstMatrix = shiftFirstMatrix(matrices, 'add', true);
 
   var outputMatrix = firstMatrix.clone();
   outputMatrix.add.apply(outputMatrix, matrices);
@@ -82,14 +196,17 @@ Matrix.add = function(var_args) {
  * Subtract matrices and return a new matrix.
  * It will clone the first matrix and subtract from that.
  *
- * @param {...Matrix} var_args At least two Matrix instances as
- *     multiple arguments.
+ * @param {...Matrix|number} var_args At least two Matrix instances as
+ *     multiple arguments, or numbers after the first. Row and column vectors
+ *     are broadcast.
  *
  * @return {Matrix} A new matrix for the result.
+ *
+ * @throws {Error} If the first argument is not a Matrix instance.
  */
 Matrix.subtract = function(var_args) {
   var matrices = Array.prototype.slice.call(arguments);
-  var firstMatrix = matrices.shift();
+  var firstMatrix = shiftFirstMatrix(matrices, 'subtract', false);
 
   var outputMatrix = firstMatrix.clone();
   outputMatrix.subtract.apply(outputMatrix, matrices);
@@ -105,10 +222,12 @@ Matrix.subtract = function(var_args) {
  *     multiple arguments.
  *
  * @return {Matrix} A new matrix for the result.
+ *
+ * @throws {Error} If the first argument is not a Matrix instance.
  */
 Matrix.multiply = function(var_args) {
   var matrices = Array.prototype.slice.call(arguments);
-  var firstMatrix = matrices.shift();
+  var firstMatrix = shiftFirstMatrix(matrices, 'multiply', false);
 
   var outputMatrix = firstMatrix.clone();
   outputMatrix.multiply.apply(outputMatrix, matrices);
@@ -118,16 +237,19 @@ Matrix.multiply = function(var_args) {
 
 /**
  * Divide matrices and return a new matrix.
- * It will clone the first matrix and divide that.
+ * It will clone the first matrix and divide that. Matrices that are not
+ * square are divided by their pseudo-inverse.
  *
  * @param {...Matrix} var_args At least two Matrix instances as
  *     multiple arguments.
  *
  * @return {Matrix} A new matrix for the result.
+ *
+ * @throws {Error} If the first argument is not a Matrix instance.
  */
 Matrix.divide = function(var_args) {
   var matrices = Array.prototype.slice.call(arguments);
-  var firstMatrix = matrices.shift();
+  var firstMatrix = shiftFirstMatrix(matrices, 'divide', false);
 
   var outputMatrix = firstMatrix.clone();
   outputMatrix.divide.apply(outputMatrix, matrices);
@@ -135,14 +257,529 @@ Matrix.divide = function(var_args) {
   return outputMatrix;
 };
 
+/**
+ * Multiply matrices element by element and return a new matrix.
+ * It will clone the first matrix and multiply that.
+ *
+ * @param {...Matrix|number} var_args At least one Matrix instance, and more
+ *     Matrix instances or numbers in any order, as multiple arguments.
+ *
+ * @return {Matrix} A new matrix for the result.
+ *
+ * @throws {Error} If there is no Matrix instance.
+ */
+Matrix.hadamard = function(var_args) {
+  var matrices = Array.prototype.slice.call(arguments);
+  var firstMatrix = shiftFirstMatrix(matrices, 'hadamard', true);
+
+  var outputMatrix = firstMatrix.clone();
+  outputMatrix.hadamard.apply(outputMatrix, matrices);
+
+  return outputMatrix;
+};
+
+/**
+ * Divide matrices element by element and return a new matrix.
+ * It will clone the first matrix and divide that.
+ *
+ * @param {...Matrix|number} var_args At least two Matrix instances as
+ *     multiple arguments, or numbers after the first.
+ *
+ * @return {Matrix} A new matrix for the result.
+ *
+ * @throws {Error} If the first argument is not a Matrix instance.
+ */
+Matrix.divideElements = function(var_args) {
+  var matrices = Array.prototype.slice.call(arguments);
+  var firstMatrix = shiftFirstMatrix(matrices, 'divideElements', false);
+
+  var outputMatrix = firstMatrix.clone();
+  outputMatrix.divideElements.apply(outputMatrix, matrices);
+
+  return outputMatrix;
+};
+
+/**
+ * Raise each value of a matrix to a power and return a new matrix.
+ * It will clone the matrix and raise that.
+ *
+ * @param {Matrix} matrix A Matrix instance.
+ * @param {Matrix|number} exponent The exponent for all values, or a Matrix
+ *     instance with the exponent for each value.
+ *
+ * @return {Matrix} A new matrix for the result.
+ */
+Matrix.powerElements = function(matrix, exponent) {
+  return matrix.clone().powerElements(exponent);
+};
+
+/**
+ * Replace each value of a matrix with the return value of a function and
+ * return a new matrix. It will clone the matrix and map that.
+ *
+ * @param {Matrix} matrix A Matrix instance.
+ * @param {function(number, number, number, Matrix):number} fn Function that
+ *     gets the value, the row, the column and the new matrix, and returns the
+ *     new value.
+ *
+ * @return {Matrix} A new matrix for the result.
+ */
+Matrix.map = function(matrix, fn) {
+  return matrix.clone().map(fn);
+};
+
+/**
+ * Join matrices side by side and return a new matrix.
+ *
+ * @param {...Matrix} var_args At least one Matrix instance. If many, use
+ *     multiple arguments. All must have the same number of rows.
+ *
+ * @return {Matrix} A new matrix with the columns of all the matrices, in
+ *     order.
+ *
+ * @throws {MatrixDimensionError} If the number of rows doesn't match.
+ */
+Matrix.hstack = function(var_args) {
+  return concatenate(arguments, true, 'hstack');
+};
+
+/**
+ * Join matrices on top of each other and return a new matrix.
+ *
+ * @param {...Matrix} var_args At least one Matrix instance. If many, use
+ *     multiple arguments. All must have the same number of columns.
+ *
+ * @return {Matrix} A new matrix with the rows of all the matrices, in order.
+ *
+ * @throws {MatrixDimensionError} If the number of columns doesn't match.
+ */
+Matrix.vstack = function(var_args) {
+  return concatenate(arguments, false, 'vstack');
+};
+
+/**
+ * Build a block matrix from a grid of matrices and return a new matrix.
+ *
+ * @param {Array.<Array.<Matrix>>} blocks The rows of blocks, like
+ *     [[a, b], [c, d]]. The matrices in a row of blocks must have the same
+ *     number of rows, and all the rows of blocks must have the same total
+ *     number of columns.
+ *
+ * @return {Matrix} A new matrix with all the blocks.
+ *
+ * @throws {MatrixDimensionError} If the sizes of the blocks don't match.
+ */
+Matrix.block = function(blocks) {
+  var blockRows = new Array(blocks.length);
+  for (var i = 0, l = blocks.length; i < l; i++) {
+    blockRows[i] = concatenate(blocks[i], true, 'block');
+  }
+
+  return concatenate(blockRows, false, 'block');
+};
+
+/**
+ * Calculate the Kronecker product of two matrices and return a new matrix.
+ * Each value of A is replaced by that value multiplied with all of B.
+ *
+ * @param {Matrix} a The matrix A, with m rows and n columns.
+ * @param {Matrix} b The matrix B, with p rows and q columns.
+ *
+ * @return {Matrix} A new matrix with m * p rows and n * q columns, with the
+ *     same storage type as A.
+ */
+Matrix.kron = function(a, b) {
+  var cols = a.cols * b.cols;
+  var output = new Matrix(a.rows * b.rows, cols, false, a.storage);
+  var outputValues = getValues(output);
+  var aValues = getValues(a);
+  var bValues = getValues(b);
+
+  for (var aRow = 0; aRow < a.rows; aRow++) {
+    for (var aCol = 0; aCol < a.cols; aCol++) {
+      var value = aValues[aRow * a.cols + aCol];
+      for (var bRow = 0; bRow < b.rows; bRow++) {
+        var offset = (aRow * b.rows + bRow) * cols + aCol * b.cols;
+        for (var bCol = 0; bCol < b.cols; bCol++) {
+          outputValues[offset + bCol] = value * bValues[bRow * b.cols + bCol];
+        }
+      }
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Solve the linear system A * X = B for X and return a new matrix.
+ * If A is square, the system is solved with an LU decomposition. If A has
+ * more rows than columns, the least squares solution is returned, and if it
+ * has fewer rows than columns, the solution with the smallest norm is
+ * returned. Both of those are found with a QR decomposition.
+ *
+ * @param {Matrix} a The matrix A, with m rows and n columns.
+ * @param {Matrix} b The matrix B, with m rows and one column for each
+ *     right-hand side.
+ *
+ * @return {Matrix?} A new matrix for X, with n rows and as many columns as B.
+ *     If the number of rows in A and B don't match, or if A is singular (or
+ *     does not have full rank), this will return null.
+ */
+Matrix.solve = function(a, b) {
+  var rows = a.rows;
+  var cols = a.cols;
+  var rhsCols = b.cols;
+
+  // The right-hand sides must have one value per equation
+  if (b.rows !== rows) return null;
+
+  var values = a.toArray();
+  var rhs = b.toArray();
+  var output = new Matrix(cols, rhsCols, false, a.storage);
+  var outputValues = getValues(output);
+
+  // Square systems are solved with an LU decomposition
+  if (rows === cols) {
+    var pivots = new Array(rows);
+    var tolerances = new Array(rows);
+    decomposeLU(values, rows, pivots, tolerances);
+    if (isSingularLU(values, rows, tolerances)) return null;
+
+    substituteLU(values, rows, pivots, rhs, rhsCols, outputValues);
+    return output;
+  }
+
+  // The diagonal of R from the QR decompositions is compared against a
+  // tolerance, since rank deficiency rarely gives exact zeros
+  var tolerance = getRowTolerance(a);
+  var reflectors, row, col;
+
+  // Overdetermined systems are solved in the least squares sense, by
+  // solving R * X = Q' * B with the first n rows of R
+  if (rows > cols) {
+    reflectors = decomposeQR(values, rows, cols);
+    if (!hasNonZeroDiagonal(values, cols, cols, tolerance)) return null;
+
+    applyReflectors(reflectors, rhs, rhsCols, false);
+    substituteTriangular(values, cols, cols, rhs, rhsCols, outputValues, false);
+    return output;
+  }
+
+  // Underdetermined systems get the minimum norm solution, by decomposing
+  // A' = Q * R and solving R' * Y = B, which gives X = Q * [Y; 0]
+  var transposed = new Array(values.length);
+  for (row = 0; row < rows; row++) {
+    for (col = 0; col < cols; col++) {
+      transposed[col * rows + row] = values[row * cols + col];
+    }
+  }
+  reflectors = decomposeQR(transposed, cols, rows);
+  if (!hasNonZeroDiagonal(transposed, rows, rows, tolerance)) return null;
+
+  output.setEmptyData();
+  substituteTriangular(transposed, rows, rows, rhs, rhsCols, outputValues, true);
+  applyReflectors(reflectors, outputValues, rhsCols, true);
+
+  return output;
+};
+
+/**
+ * Create a translation matrix, for moving points in homogeneous coordinates.
+ * With two offsets it is a 3x3 matrix for 2D, and with three offsets a 4x4
+ * matrix for 3D.
+ *
+ * @param {number} x The offset along the x axis.
+ * @param {number} y The offset along the y axis.
+ * @param {number=} opt_z The offset along the z axis, for a 3D translation.
+ *
+ * @return {Matrix} A new 3x3 or 4x4 matrix.
+ */
+Matrix.translation = function(x, y, opt_z) {
+  if (opt_z === undefined) {
+    return new Matrix(3, 3).setData([
+      1, 0, x,
+      0, 1, y,
+      0, 0, 1
+    ]);
+  }
+
+  return new Matrix(4, 4).setData([
+    1, 0, 0, x,
+    0, 1, 0, y,
+    0, 0, 1, opt_z,
+    0, 0, 0, 1
+  ]);
+};
+
+/**
+ * Create a scaling matrix in homogeneous coordinates. With two factors it is
+ * a 3x3 matrix for 2D, and with three factors a 4x4 matrix for 3D.
+ *
+ * @param {number} x The factor along the x axis.
+ * @param {number} y The factor along the y axis.
+ * @param {number=} opt_z The factor along the z axis, for a 3D scaling.
+ *
+ * @return {Matrix} A new 3x3 or 4x4 matrix.
+ */
+Matrix.scaling = function(x, y, opt_z) {
+  if (opt_z === undefined) {
+    return new Matrix(3, 3).setData([
+      x, 0, 0,
+      0, y, 0,
+      0, 0, 1
+    ]);
+  }
+
+  return new Matrix(4, 4).setData([
+    x, 0, 0, 0,
+    0, y, 0, 0,
+    0, 0, opt_z, 0,
+    0, 0, 0, 1
+  ]);
+};
+
+/**
+ * Create a rotation matrix in homogeneous coordinates. Without an axis it is
+ * a 3x3 matrix for a 2D rotation, counterclockwise when the y axis points up.
+ * With an axis it is a 4x4 matrix for a 3D rotation around that axis,
+ * counterclockwise when looking from the tip of the axis towards the origin.
+ *
+ * @param {number} angle The angle in radians.
+ * @param {Array.<number>|Matrix=} opt_axis The axis to rotate around, as
+ *     [x, y, z]. It doesn't need to have unit length.
+ *
+ * @return {Matrix} A new 3x3 or 4x4 matrix.
+ *
+ * @throws {Error} If the axis has zero length.
+ */
+Matrix.rotation = function(angle, opt_axis) {
+  var cos = Math.cos(angle);
+  var sin = Math.sin(angle);
+
+  if (opt_axis === undefined) {
+    return new Matrix(3, 3).setData([
+      cos, -sin, 0,
+      sin, cos, 0,
+      0, 0, 1
+    ]);
+  }
+
+  var axis = normalizeVector(opt_axis);
+  if (!axis) {
+    throw new Error('The rotation axis can not have zero length.');
+  }
+
+  // Rodrigues' rotation formula
+  var x = axis[0];
+  var y = axis[1];
+  var z = axis[2];
+  var t = 1 - cos;
+
+  return new Matrix(4, 4).setData([
+    t * x * x + cos, t * x * y - sin * z, t * x * z + sin * y, 0,
+    t * x * y + sin * z, t * y * y + cos, t * y * z - sin * x, 0,
+    t * x * z - sin * y, t * y * z + sin * x, t * z * z + cos, 0,
+    0, 0, 0, 1
+  ]);
+};
+
+/**
+ * Create a shear matrix in homogeneous coordinates. Each factor is how much
+ * one coordinate grows for each unit of another coordinate, so with the
+ * factor xy, x' = x + xy * y. Without opt_xz it is a 3x3 matrix for 2D, and
+ * with it a 4x4 matrix for 3D.
+ *
+ * @param {number} xy How much x grows with y.
+ * @param {number} yx How much y grows with x.
+ * @param {number=} opt_xz How much x grows with z, for a 3D shear.
+ * @param {number=} opt_yz How much y grows with z, for a 3D shear.
+ * @param {number=} opt_zx How much z grows with x, for a 3D shear.
+ * @param {number=} opt_zy How much z grows with y, for a 3D shear.
+ *
+ * @return {Matrix} A new 3x3 or 4x4 matrix.
+ */
+Matrix.shear = function(xy, yx, opt_xz, opt_yz, opt_zx, opt_zy) {
+  if (opt_xz === undefined) {
+    return new Matrix(3, 3).setData([
+      1, xy, 0,
+      yx, 1, 0,
+      0, 0, 1
+    ]);
+  }
+
+  return new Matrix(4, 4).setData([
+    1, xy, opt_xz || 0, 0,
+    yx, 1, opt_yz || 0, 0,
+    opt_zx || 0, opt_zy || 0, 1, 0,
+    0, 0, 0, 1
+  ]);
+};
+
+/**
+ * Create a perspective projection matrix, like gluPerspective in OpenGL. The
+ * camera looks along the negative z axis, and points between the near and
+ * far planes end up with z between -1 and 1 after the division by w.
+ *
+ * @param {number} fieldOfView The vertical field of view, in radians.
+ * @param {number} aspect The aspect ratio, width divided by height.
+ * @param {number} near The distance to the near plane. Must be positive.
+ * @param {number} far The distance to the far plane. Can be Infinity.
+ *
+ * @return {Matrix} A new 4x4 matrix.
+ */
+Matrix.perspective = function(fieldOfView, aspect, near, far) {
+  var f = 1 / Math.tan(fieldOfView / 2);
+  var depth = -1;
+  var offset = -2 * near;
+
+  if (far !== Infinity) {
+    depth = (far + near) / (near - far);
+    offset = 2 * far * near / (near - far);
+  }
+
+  return new Matrix(4, 4).setData([
+    f / aspect, 0, 0, 0,
+    0, f, 0, 0,
+    0, 0, depth, offset,
+    0, 0, -1, 0
+  ]);
+};
+
+/**
+ * Create an orthographic projection matrix, like glOrtho in OpenGL. The box
+ * between the planes is mapped to the cube from -1 to 1, with the camera
+ * looking along the negative z axis.
+ *
+ * @param {number} left The x coordinate of the left plane.
+ * @param {number} right The x coordinate of the right plane.
+ * @param {number} bottom The y coordinate of the bottom plane.
+ * @param {number} top The y coordinate of the top plane.
+ * @param {number} near The distance to the near plane.
+ * @param {number} far The distance to the far plane.
+ *
+ * @return {Matrix} A new 4x4 matrix.
+ */
+Matrix.orthographic = function(left, right, bottom, top, near, far) {
+  var width = right - left;
+  var height = top - bottom;
+  var depth = far - near;
+
+  return new Matrix(4, 4).setData([
+    2 / width, 0, 0, -(right + left) / width,
+    0, 2 / height, 0, -(top + bottom) / height,
+    0, 0, -2 / depth, -(far + near) / depth,
+    0, 0, 0, 1
+  ]);
+};
+
+/**
+ * Create a view matrix for a camera, like gluLookAt in OpenGL. It moves the
+ * world so that the camera is at the origin, looking along the negative z
+ * axis, with the up direction along the positive y axis.
+ *
+ * @param {Array.<number>|Matrix} eye The position of the camera, as [x, y, z].
+ * @param {Array.<number>|Matrix} target The point to look at, as [x, y, z].
+ * @param {Array.<number>|Matrix} up The direction that should be up, as
+ *     [x, y, z].
+ *
+ * @return {Matrix} A new 4x4 matrix.
+ *
+ * @throws {Error} If the eye and the target are the same point, or if the up
+ *     direction is parallel to the view direction.
+ */
+Matrix.lookAt = function(eye, target, up) {
+  eye = eye instanceof Matrix ? eye.toArray() : eye;
+  target = target instanceof Matrix ? target.toArray() : target;
+
+  var forward = normalizeVector([target[0] - eye[0], target[1] - eye[1], target[2] - eye[2]]);
+  if (!forward) {
+    throw new Error('The eye and the target can not be the same point.');
+  }
+
+  var side = normalizeVector(crossVectors(forward, normalizeVector(up) || [0, 0, 0]));
+  if (!side) {
+    throw new Error('The up direction can not be parallel to the view direction.');
+  }
+
+  var newUp = crossVectors(side, forward);
+
+  return new Matrix(4, 4).setData([
+    side[0], side[1], side[2], -dotVectors(side, eye),
+    newUp[0], newUp[1], newUp[2], -dotVectors(newUp, eye),
+    -forward[0], -forward[1], -forward[2], dotVectors(forward, eye),
+    0, 0, 0, 1
+  ]);
+};
+
+/**
+ * Create a transform matrix from a CSS transform list, like
+ * 'translate(10px, 20px) rotate(45deg)'. The functions are combined in the
+ * same order as in CSS, so the last one is applied to points first.
+ * Supported functions are matrix, matrix3d, translate, translateX,
+ * translateY, translateZ, translate3d, scale, scaleX, scaleY, scaleZ,
+ * scale3d, rotate, rotateX, rotateY, rotateZ, rotate3d, skew, skewX and
+ * skewY. Lengths must be in px and angles in deg, rad, grad or turn.
+ *
+ * @param {string} css The CSS transform list, or 'none'.
+ *
+ * @return {Matrix} A new 3x3 matrix for 2D transforms, or a 4x4 matrix if
+ *     any of the functions is a 3D function.
+ *
+ * @throws {Error} If the string can't be parsed, or if it uses a function or
+ *     unit that is not supported.
+ */
+Matrix.fromCSS = function(css) {
+  var string = css.trim();
+  var result = new Matrix(4, 4);
+  var is3D = false;
+
+  if (string !== 'none') {
+    var pattern = /([a-zA-Z0-9]+)\(([^)]*)\)\s*/g;
+    var position = 0;
+
+    while (position < string.length) {
+      var match = pattern.exec(string);
+      if (!match || match.index !== position) {
+        throw new Error('Invalid CSS transform: ' + css);
+      }
+      position = pattern.lastIndex;
+
+      var name = match[1].toLowerCase();
+      var args = match[2].trim() ? match[2].split(',') : [];
+      for (var i = 0; i < args.length; i++) {
+        args[i] = args[i].trim();
+      }
+
+      result.multiply(getCSSTransform(name, args));
+      is3D = is3D || CSS_3D_FUNCTIONS.indexOf(name) !== -1;
+    }
+
+    if (position === 0) {
+      throw new Error('Invalid CSS transform: ' + css);
+    }
+  }
+
+  if (is3D) return result;
+
+  // Drop the z row and column for 2D transforms
+  var values = getValues(result);
+  return new Matrix(3, 3).setData([
+    values[0], values[1], values[3],
+    values[4], values[5], values[7],
+    values[12], values[13], values[15]
+  ]);
+};
+
 /**
  * Set the data for this matrix to be only zeros.
  *
  * @return {Matrix} This Matrix instance.
  */
 Matrix.prototype.setEmptyData = function() {
+  var values = getValues(this);
+
   for (var i = 0, l = this.length; i < l; i++) {
-    this[i] = 0;
+    values[i] = 0;
   }
 
   return this;
@@ -154,8 +791,10 @@ Matrix.prototype.setEmptyData = function() {
  * @return {Matrix} This Matrix instance.
  */
 Matrix.prototype.setIdentityData = function() {
+  var values = getValues(this);
+
   for (var i = 0, l = this.length; i < l; i++) {
-    this[i] = i % (this.cols + 1) ? 0 : 1;
+    values[i] = i % (this.cols + 1) ? 0 : 1;
   }
 
   return this;
@@ -164,19 +803,23 @@ Matrix.prototype.setIdentityData = function() {
 /**
  * Set the data for this matrix.
  *
- * @param {Array.<number>} data An array of values (numbers). Alternatively,
- *     the data can be provided as separate arguments, but if so, the size
- *     must match the current size.
+ * @param {Array.<number>|Float64Array|Float32Array} data An array of values
+ *     (numbers). Alternatively, the data can be provided as separate
+ *     arguments, but if so, the size must match the current size.
  * @param {number=} opt_rows Number of rows in the new data. If not provided,
  *     the data must match the size of the previous data.
  * @param {number=} opt_cols Number of columns in the new data. If not provided,
  *     the data must match the size of the previous data.
  *
  * @return {Matrix} This Matrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of the data
+ *     doesn't match.
+ * @throws {Error} If this is a view and the size would change.
  */
 Matrix.prototype.setData = function(data, opt_rows, opt_cols) {
   var i, l;
-  var isArray = Array.isArray(data);
+  var isArray = Array.isArray(data) || isTypedArray(data);
   var rows = opt_rows;
   var cols = opt_cols;
 
@@ -188,23 +831,33 @@ Matrix.prototype.setData = function(data, opt_rows, opt_cols) {
 
   // If the number of values is different than before, and there was no hint
   // provided for the size of the new matrix data, we can't modify the data
-  // safely, so we do nothing.
+  // safely, so we do nothing (or throw in strict mode).
   if (data.length !== this.length) {
     if (rows === undefined || cols === undefined) {
+      if (strict.isStrict(this)) {
+        throw new MatrixDimensionError('setData', [this.rows, this.cols], data.length);
+      }
       return this;
     } else if (rows * cols !== data.length) {
+      if (strict.isStrict(this)) {
+        throw new MatrixDimensionError('setData', [rows, cols], data.length);
+      }
       return this;
     }
   }
 
-  // Clean out previous data
-  for (i = data.length, l = this.length; i < l; i++) {
-    delete this[i];
+  // A view is locked to its part of the parent matrix
+  if (this.parent && ((rows || this.rows) !== this.rows || (cols || this.cols) !== this.cols)) {
+    throw new Error('The size of a view can not be changed.');
   }
 
+  // Clean out previous data
+  setLength(this, data.length);
+
   // Set new data
+  var values = getValues(this);
   for (i = 0, l = data.length; i < l; i++) {
-    this[i] = data[i];
+    values[i] = data[i];
   }
 
   // Set new metadata
@@ -235,35 +888,238 @@ Matrix.prototype.toArray = function() {
 };
 
 /**
- * Get the data for this matrix as a formatted string, which is useful for
- * logging and debugging. It will be formatted with line breaks to visualize
- * the rows and columns.
+ * Get the value at a position in the matrix.
  *
- * @param {number|string=} opt_indentation Optional argument to control
- *     indentation in the output string. If set to a number, the indentation
- *     will be that many spaces wide. If it is a string, the indentation will be
- *     this string. It will default to two spaces.
- * @param {string=} opt_separator Optional argument to control what separates
- *     the values in the output string. It will default to two spaces.
- * @param {string=} opt_start String to start the output with. Default is '['.
- * @param {string=} opt_end String to end the output with. Default is ']'.
+ * @param {number} row Index of the row.
+ * @param {number} col Index of the column.
  *
- * @return {string} A string representation of the data.
+ * @return {number} The value.
+ *
+ * @throws {Error} If an index is outside the matrix.
  */
-Matrix.prototype.toLogString = function(opt_indentation, opt_separator, opt_start, opt_end) {
-  var array = this.toArray();
+Matrix.prototype.get = function(row, col) {
+  checkIndex(row, this.rows, 'Row');
+  checkIndex(col, this.cols, 'Column');
 
-  var beginning;
-  var sep;
+  return getValues(this)[row * this.cols + col];
+};
 
-  var separator = typeof opt_separator === 'string' ? opt_separator : '  ';
-  var indentation = '  ';
+/**
+ * Set the value at a position in the matrix.
+ *
+ * @param {number} row Index of the row.
+ * @param {number} col Index of the column.
+ * @param {number} value The new value.
+ *
+ * @return {Matrix} This Matrix instance.
+ *
+ * @throws {Error} If an index is outside the matrix.
+ */
+Matrix.prototype.set = function(row, col, value) {
+  checkIndex(row, this.rows, 'Row');
+  checkIndex(col, this.cols, 'Column');
 
-  if (typeof opt_indentation === 'number') {
-    indentation = (new Array(Math.max(0, opt_indentation) + 1)).join(' ');
-  } else if (typeof opt_indentation === 'string') {
-    indentation = opt_indentation;
-  }
+  getValues(this)[row * this.cols + col] = value;
+
+  return this;
+};
+
+/**
+ * Get the values of a row.
+ *
+ * @param {number} row Index of the row.
+ * @param {boolean=} opt_asMatrix Whether to return a new 1 x n Matrix instance
+ *     instead of an array. Default is false.
+ *
+ * @return {Array.<number>|Matrix} The values of the row.
+ *
+ * @throws {Error} If the index is outside the matrix.
+ */
+Matrix.prototype.getRow = function(row, opt_asMatrix) {
+  checkIndex(row, this.rows, 'Row');
+
+  var values = getValues(this);
+  var output = new Array(this.cols);
+  for (var col = 0; col < this.cols; col++) {
+    output[col] = values[row * this.cols + col];
+  }
+
+  return toVector(this, output, opt_asMatrix, false);
+};
+
+/**
+ * Get the values of a column.
+ *
+ * @param {number} col Index of the column.
+ * @param {boolean=} opt_asMatrix Whether to return a new n x 1 Matrix instance
+ *     instead of an array. Default is false.
+ *
+ * @return {Array.<number>|Matrix} The values of the column.
+ *
+ * @throws {Error} If the index is outside the matrix.
+ */
+Matrix.prototype.getColumn = function(col, opt_asMatrix) {
+  checkIndex(col, this.cols, 'Column');
+
+  var values = getValues(this);
+  var output = new Array(this.rows);
+  for (var row = 0; row < this.rows; row++) {
+    output[row] = values[row * this.cols + col];
+  }
+
+  return toVector(this, output, opt_asMatrix, true);
+};
+
+/**
+ * Get the values on the diagonal, from the top left corner. For a matrix
+ * that is not square, the diagonal is as long as the smallest of the number
+ * of rows and columns.
+ *
+ * @param {boolean=} opt_asMatrix Whether to return a new n x 1 Matrix instance
+ *     instead of an array. Default is false.
+ *
+ * @return {Array.<number>|Matrix} The values on the diagonal.
+ */
+Matrix.prototype.getDiagonal = function(opt_asMatrix) {
+  var values = getValues(this);
+  var size = Math.min(this.rows, this.cols);
+  var output = new Array(size);
+  for (var i = 0; i < size; i++) {
+    output[i] = values[i * this.cols + i];
+  }
+
+  return toVector(this, output, opt_asMatrix, true);
+};
+
+/**
+ * Set the values of a row.
+ *
+ * @param {number} row Index of the row.
+ * @param {Array.<number>|Float64Array|Float32Array|Matrix} data The new
+ *     values. A Matrix instance can have any shape, as long as the number of
+ *     values is the same as the number of columns.
+ *
+ * @return {Matrix} This Matrix instance.
+ *
+ * @throws {Error} If the index is outside the matrix.
+ * @throws {MatrixDimensionError} If the number of values doesn't match.
+ */
+Matrix.prototype.setRow = function(row, data) {
+  checkIndex(row, this.rows, 'Row');
+  if (data.length !== this.cols) {
+    throw new MatrixDimensionError('setRow', [1, this.cols], getShape(data));
+  }
+
+  var values = getValues(this);
+  var input = data instanceof Matrix ? getValues(data) : data;
+  for (var col = 0; col < this.cols; col++) {
+    values[row * this.cols + col] = input[col];
+  }
+
+  return this;
+};
+
+/**
+ * Set the values of a column.
+ *
+ * @param {number} col Index of the column.
+ * @param {Array.<number>|Float64Array|Float32Array|Matrix} data The new
+ *     values. A Matrix instance can have any shape, as long as the number of
+ *     values is the same as the number of rows.
+ *
+ * @return {Matrix} This Matrix instance.
+ *
+ * @throws {Error} If the index is outside the matrix.
+ * @throws {MatrixDimensionError} If the number of values doesn't match.
+ */
+Matrix.prototype.setColumn = function(col, data) {
+  checkIndex(col, this.cols, 'Column');
+  if (data.length !== this.rows) {
+    throw new MatrixDimensionError('setColumn', [this.rows, 1], getShape(data));
+  }
+
+  var values = getValues(this);
+  var input = data instanceof Matrix ? getValues(data) : data;
+  for (var row = 0; row < this.rows; row++) {
+    values[row * this.cols + col] = input[row];
+  }
+
+  return this;
+};
+
+/**
+ * Get the matrix as a CSS transform function. A 3x3 matrix for an affine 2D
+ * transform gives matrix(a, b, c, d, e, f), and a 4x4 matrix gives
+ * matrix3d(...) with the values column by column, as CSS expects. A 3x3
+ * matrix with a perspective part in the last row also gives matrix3d(...).
+ *
+ * @return {string?} The CSS transform function. The matrix must be 3x3 or 4x4
+ *     for this to be possible, so if it's not, this will return null.
+ */
+Matrix.prototype.toCSS = function() {
+  var values = getValues(this);
+  var rows = this.rows;
+  var cols = this.cols;
+  var row, col;
+
+  if (rows !== cols || (rows !== 3 && rows !== 4)) return null;
+
+  if (rows === 3) {
+    if (values[6] === 0 && values[7] === 0 && values[8] === 1) {
+      return 'matrix(' + [
+        values[0], values[3], values[1], values[4], values[2], values[5]
+      ].join(', ') + ')';
+    }
+
+    // Put the 2D values around an identity z row and column
+    values = [
+      values[0], values[1], 0, values[2],
+      values[3], values[4], 0, values[5],
+      0, 0, 1, 0,
+      values[6], values[7], 0, values[8]
+    ];
+  }
+
+  var output = new Array(16);
+  for (col = 0; col < 4; col++) {
+    for (row = 0; row < 4; row++) {
+      output[col * 4 + row] = values[row * 4 + col];
+    }
+  }
+
+  return 'matrix3d(' + output.join(', ') + ')';
+};
+
+/**
+ * Get the data for this matrix as a formatted string, which is useful for
+ * logging and debugging. It will be formatted with line breaks to visualize
+ * the rows and columns.
+ *
+ * @param {number|string=} opt_indentation Optional argument to control
+ *     indentation in the output string. If set to a number, the indentation
+ *     will be that many spaces wide. If it is a string, the indentation will be
+ *     this string. It will default to two spaces.
+ * @param {string=} opt_separator Optional argument to control what separates
+ *     the values in the output string. It will default to two spaces.
+ * @param {string=} opt_start String to start the output with. Default is '['.
+ * @param {string=} opt_end String to end the output with. Default is ']'.
+ *
+ * @return {string} A string representation of the data.
+ */
+Matrix.prototype.toLogString = function(opt_indentation, opt_separator, opt_start, opt_end) {
+  var array = this.toArray();
+
+  var beginning;
+  var sep;
+
+  var separator = typeof opt_separator === 'string' ? opt_separator : '  ';
+  var indentation = '  ';
+
+  if (typeof opt_indentation === 'number') {
+    indentation = (new Array(Math.max(0, opt_indentation) + 1)).join(' ');
+  } else if (typeof opt_indentation === 'string') {
+    indentation = opt_indentation;
+  }
 
   var start = typeof opt_start === 'string' ? opt_start : '[';
   var end = typeof opt_end === 'string' ? opt_end : ']';
@@ -289,11 +1145,10 @@ Matrix.prototype.toLogString = function(opt_indentation, opt_separator, opt_star
 Matrix.prototype.copy = function(matrix) {
   var i, l;
 
-  // If the input matrix is smaller, clear out the values not needed anymore
-  if (matrix.length < this.length) {
-    for (i = matrix.length, l = this.length; i < l; i++) {
-      delete this[i];
-    }
+  // If the input matrix has a different size, clear out or make room for
+  // the values
+  if (matrix.length !== this.length) {
+    setLength(this, matrix.length);
   }
 
   // Set new metadata if the matrices are of different size
@@ -304,51 +1159,96 @@ Matrix.prototype.copy = function(matrix) {
   }
 
   // Copy the data from the input matrix to this matrix
+  var values = getValues(this);
+  var input = getValues(matrix);
   for (i = 0, l = this.length; i < l; i++) {
-    this[i] = matrix[i];
+    values[i] = input[i];
   }
 
   return this;
 };
 
+/**
+ * Create a view of a part of this matrix. The view is a Matrix instance that
+ * doesn't have any values of its own, but reads and writes the values of this
+ * matrix, so changes in one are seen in the other. It works with all the
+ * methods, except that its size can't change, so operations that would change
+ * the size throw an error. Use clone to get a copy with values of its own.
+ *
+ * The view keeps pointing to the same positions, so it should not be used
+ * after the size of this matrix has changed.
+ *
+ * @param {number} rowStart Index of the first row in the view.
+ * @param {number} rowEnd Index of the row after the last row in the view.
+ * @param {number} colStart Index of the first column in the view.
+ * @param {number} colEnd Index of the column after the last column in the
+ *     view.
+ *
+ * @return {Matrix} A new Matrix instance for the view.
+ *
+ * @throws {Error} If the range of rows or columns is empty or outside the
+ *     matrix.
+ */
+Matrix.prototype.view = function(rowStart, rowEnd, colStart, colEnd) {
+  checkRange(rowStart, rowEnd, this.rows, 'Row');
+  checkRange(colStart, colEnd, this.cols, 'Column');
+
+  // A view of a view uses the values of the original parent directly
+  var offset = rowStart * this.cols + colStart;
+  var stride = this.cols;
+  var parent = this;
+  if (this.parent) {
+    offset = this._view.offset + rowStart * this._view.stride + colStart;
+    stride = this._view.stride;
+    parent = this.parent;
+  }
+
+  var view = new Matrix(0, 0, false, this.storage);
+  view.rows = rowEnd - rowStart;
+  view.cols = colEnd - colStart;
+  view.length = view.rows * view.cols;
+  view.strict = this.strict;
+  view.parent = parent;
+  view._view = {offset: offset, stride: stride};
+  defineViewValues(view);
+
+  return view;
+};
+
 /**
  * Clone this matrix to a new instance.
  *
  * @return {Matrix} A new matrix for the result.
  */
 Matrix.prototype.clone = function() {
-  return new Matrix(this.rows, this.cols, false).copy(this);
+  var matrix = new Matrix(this.rows, this.cols, false, this.storage);
+  matrix.strict = this.strict;
+
+  return matrix.copy(this);
 };
 
 /**
  * Add matrices together into this matrix.
  *
- * @param {...Matrix} var_args At least one Matrix instance. If many,
- *     use multiple arguments.
+ * @param {...Matrix|number} var_args At least one Matrix instance or a
+ *     number. If many, use multiple arguments. A number is added to all
+ *     values, a row vector (1 x cols) to all rows and a column vector
+ *     (rows x 1) to all columns. Other matrices with a different size are
+ *     skipped.
  *
  * @return {Matrix} This Matrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of a matrix
+ *     doesn't match and it can't be broadcast.
  */
 Matrix.prototype.add = function(var_args) {
   var matrices = arguments;
 
-  var numValues = this.length;
-
-  // Loop through all the matrices passed to the method
-  for (var i = 0, l = matrices.length; i < l; i++) {
-    var matrix = matrices[i];
-
-    // The size of the matrices must match
-    if (matrix.cols !== this.cols || matrix.rows !== this.rows) {
-      continue;
-    }
-
-    // Loop through all values
-    for (var n = 0; n < numValues; n++) {
+  if (strict.isStrict(this)) checkSameSize(this, 'add', matrices, true);
 
-      // Add the number in that position
-      this[n] += matrix[n];
-    }
-  }
+  combineElements(this, matrices, function(value, input) {
+    return value + input;
+  }, true);
 
   return this;
 };
@@ -356,32 +1256,25 @@ Matrix.prototype.add = function(var_args) {
 /**
  * Subtract matrices from this matrix.
  *
- * @param {...Matrix} var_args At least one Matrix instance. If many,
- *     use multiple arguments.
+ * @param {...Matrix|number} var_args At least one Matrix instance or a
+ *     number. If many, use multiple arguments. A number is subtracted from
+ *     all values, a row vector (1 x cols) from all rows and a column vector
+ *     (rows x 1) from all columns. Other matrices with a different size are
+ *     skipped.
  *
  * @return {Matrix} This Matrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of a matrix
+ *     doesn't match and it can't be broadcast.
  */
 Matrix.prototype.subtract = function(var_args) {
   var matrices = arguments;
 
-  var numValues = this.length;
-
-  // Loop through all the matrices passed to the method
-  for (var i = 0, l = matrices.length; i < l; i++) {
-    var matrix = matrices[i];
-
-    // The size of the matrices must match
-    if (matrix.cols !== this.cols || matrix.rows !== this.rows) {
-      continue;
-    }
-
-    // Loop through all values
-    for (var n = 0; n < numValues; n++) {
+  if (strict.isStrict(this)) checkSameSize(this, 'subtract', matrices, true);
 
-      // Subtract the number in that position
-      this[n] -= matrix[n];
-    }
-  }
+  combineElements(this, matrices, function(value, input) {
+    return value - input;
+  }, true);
 
   return this;
 };
@@ -394,11 +1287,16 @@ Matrix.prototype.subtract = function(var_args) {
  *     multiplication.
  *
  * @return {Matrix} This Matrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the number of rows in a
+ *     matrix doesn't match the number of columns in the product so far.
  */
 Matrix.prototype.multiply = function(var_args) {
   var matrices = arguments;
   var startIndex = 0;
 
+  if (strict.isStrict(this)) checkProductSize(this, 'multiply', matrices, false);
+
   // If this matrix is an identity matrix, multiplying it with anything will
   // just result in this matrix having the exact same data as the matrix to
   // multiply by. We can avoid one step of multiplication if we make a shortcut
@@ -472,6 +1370,7 @@ Matrix.prototype.multiply = function(var_args) {
     // Get the number of rows and columns for the current matrix
     var rowsInCurrent = matrix.rows;
     var colsInCurrent = matrix.cols;
+    var valuesInCurrent = getValues(matrix);
 
     // The number of rows must match the number of columns in the first matrix
     if (colsInTarget !== rowsInCurrent) {
@@ -500,7 +1399,7 @@ Matrix.prototype.multiply = function(var_args) {
           // Calculate the product of the number at the current position in the first matrix
           // and the current position in the second matrix. Add the product to the previous
           // value at the current position in the output data array.
-          tempData[outputIndex] += newRows[row * newRows.cols + currentRow] * matrix[currentRow * matrix.cols + currentCol];
+          tempData[outputIndex] += newRows[row * newRows.cols + currentRow] * valuesInCurrent[currentRow * matrix.cols + currentCol];
         }
       }
     }
@@ -521,31 +1420,34 @@ Matrix.prototype.multiply = function(var_args) {
 
 /**
  * Divide matrices from this matrix.
- * The matrices must be square.
+ * Square matrices are divided by multiplying with their inverse, and other
+ * matrices by multiplying with their pseudo-inverse.
  *
  * @param {...Matrix} var_args At least one Matrix instance. If many,
  *     use multiple arguments.
  *
  * @return {Matrix} This Matrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the number of columns in
+ *     a matrix doesn't match the number of columns in the result so far.
  */
 Matrix.prototype.divide = function(var_args) {
   var matrices = Array.prototype.slice.call(arguments);
 
+  if (strict.isStrict(this)) checkProductSize(this, 'divide', matrices, true);
+
   // Loop through all the matrices passed to the method
   for (var i = 0, l = matrices.length; i < l; i++) {
     var matrix = matrices[i];
 
-    // The matrix must be square. If it's not, remove the
-    // matrix from the list.
-    if (matrix.rows !== matrix.cols) {
-      matrices.splice(i, 1);
-      i--; l--;
-      continue;
-    }
-
     // To divide matrices, you multiply by the inverse.
-    // So we first store the inverse of all matrices.
-    matrices[i] = matrix.clone().invert();
+    // So we first store the inverse of all matrices. Matrices that are
+    // not square don't have an inverse, so the pseudo-inverse is used.
+    if (matrix.rows === matrix.cols) {
+      matrices[i] = matrix.clone().invert();
+    } else {
+      matrices[i] = matrix.clone().pseudoInverse();
+    }
   }
 
   // Multiply this matrix with the inverse of all the other matrices
@@ -554,116 +1456,504 @@ Matrix.prototype.divide = function(var_args) {
   return this;
 };
 
+/**
+ * Multiply matrices element by element into this matrix. This is also called
+ * the Hadamard product.
+ *
+ * @param {...Matrix|number} var_args At least one Matrix instance or a
+ *     number. If many, use multiple arguments. A number multiplies all
+ *     values. Matrices with a different size are skipped.
+ *
+ * @return {Matrix} This Matrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of a matrix
+ *     doesn't match.
+ */
+Matrix.prototype.hadamard = function(var_args) {
+  var matrices = arguments;
+
+  if (strict.isStrict(this)) checkSameSize(this, 'hadamard', matrices);
+
+  combineElements(this, matrices, function(value, input) {
+    return value * input;
+  });
+
+  return this;
+};
+
+/**
+ * Divide this matrix by other matrices, element by element.
+ *
+ * @param {...Matrix|number} var_args At least one Matrix instance or a
+ *     number. If many, use multiple arguments. A number divides all values.
+ *     Matrices with a different size are skipped.
+ *
+ * @return {Matrix} This Matrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of a matrix
+ *     doesn't match.
+ */
+Matrix.prototype.divideElements = function(var_args) {
+  var matrices = arguments;
+
+  if (strict.isStrict(this)) checkSameSize(this, 'divideElements', matrices);
+
+  combineElements(this, matrices, function(value, input) {
+    return value / input;
+  });
+
+  return this;
+};
+
+/**
+ * Raise each value of the matrix to a power.
+ *
+ * @param {Matrix|number} exponent The exponent for all values, or a Matrix
+ *     instance with the exponent for each value. A matrix with a different
+ *     size is skipped.
+ *
+ * @return {Matrix} This Matrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of the exponent
+ *     matrix doesn't match.
+ */
+Matrix.prototype.powerElements = function(exponent) {
+  if (strict.isStrict(this)) checkSameSize(this, 'powerElements', [exponent]);
+
+  combineElements(this, [exponent], Math.pow);
+
+  return this;
+};
+
+/**
+ * Replace each value of the matrix with the return value of a function.
+ *
+ * @param {function(number, number, number, Matrix):number} fn Function that
+ *     gets the value, the row, the column and this matrix, and returns the
+ *     new value.
+ *
+ * @return {Matrix} This Matrix instance.
+ */
+Matrix.prototype.map = function(fn) {
+  var values = getValues(this);
+
+  for (var row = 0; row < this.rows; row++) {
+    for (var col = 0; col < this.cols; col++) {
+      var index = row * this.cols + col;
+      values[index] = fn(values[index], row, col, this);
+    }
+  }
+
+  return this;
+};
+
 /**
  * Raise the matrix to a given power.
+ * Integer powers are computed by repeated squaring, so only about log2(n)
+ * multiplications are needed. The power 0 gives the identity matrix, and
+ * negative powers raise the inverse of the matrix.
+ * Other powers are computed from the eigenvalues as A^p = V * D^p * V^-1,
+ * which only works if the matrix is diagonalizable and its eigenvalues are
+ * real and not negative.
+ * This only works if it is a square matrix. If it is not, or if the power
+ * can't be computed (like a negative power of a singular matrix), the matrix
+ * will stay the same.
  *
  * @param {number} power The power to raise it to.
  *
  * @return {Matrix} This Matrix instance.
  */
 Matrix.prototype.power = function(power) {
+  var size = this.rows;
 
   // Matrices that are not square can't be raised
-  if (this.rows !== this.cols) {
+  if (size !== this.cols) {
     return this;
   }
 
-  var matrices = new Array(power - 1);
-  for (var i = 0, l = matrices.length; i < l; i++) {
-    matrices[i] = this.clone();
+  if (power % 1 !== 0) {
+    var result = getEigenPower(this, power);
+    return result ? this.copy(result) : this;
   }
 
-  this.multiply.apply(this, matrices);
+  var base = this.clone();
+  if (power < 0) {
+    base = Matrix.solve(this, new Matrix(size, size, true, this.storage));
+    if (!base) return this;
+    power = -power;
+  }
+
+  // Multiply in the squares of the matrix that match the bits of the power
+  this.setIdentityData();
+  while (power > 0) {
+    if (power % 2 === 1) {
+      this.multiply(base);
+    }
+    power = Math.floor(power / 2);
+    if (power > 0) {
+      base.multiply(base.clone());
+    }
+  }
 
   return this;
 };
 
 /**
- * Transpose the matrix.
+ * Replace the matrix with its matrix exponential, e^A. It is computed with
+ * the scaling and squaring method: the matrix is scaled down by a power of 2
+ * until its norm is small, e^A is approximated there with a Pade
+ * approximation, and the result is squared back up.
+ * This only works if it is a square matrix. If it is not, the matrix will
+ * stay the same. If the matrix contains Infinity or NaN, all values are set
+ * to NaN.
  *
  * @return {Matrix} This Matrix instance.
  */
-Matrix.prototype.transpose = function() {
-  var numRows = this.rows;
-  var numCols = this.cols;
+Matrix.prototype.expm = function() {
+  var size = this.rows;
 
-  var newData = arrays.getWithLength(this.length);
-
-  for (var row = 0; row < numRows; row++) {
-    for (var col = 0; col < numCols; col++) {
-      newData[col * numRows + row] = this[row * numCols + col];
+  // The matrix must be square
+  if (size !== this.cols) return this;
+
+  // The exponential is not defined if the norm is not, and the scaling
+  // below would never end
+  var norm = this.norm(Infinity);
+  if (!isFinite(norm)) {
+    var values = getValues(this);
+    for (var i = 0, l = this.length; i < l; i++) {
+      values[i] = NaN;
     }
+    return this;
   }
-  this.setData(newData, numCols, numRows);
 
-  arrays.giveBack(newData);
+  // Scale the matrix so that its norm is at most 1/2
+  var squarings = norm > 0.5 ? Math.ceil(Math.log(norm / 0.5) / Math.LN2) : 0;
+  var scaled = this.clone().multiply(1 / Math.pow(2, squarings));
+
+  // Pade approximation of degree 6, e^A = D^-1 * N, where the terms of N
+  // and D only differ in sign for odd powers
+  var degree = 6;
+  var term = scaled.clone();
+  var numerator = new Matrix(size, size, true, this.storage);
+  var denominator = new Matrix(size, size, true, this.storage);
+  var coefficient = 1;
+  for (var k = 1; k <= degree; k++) {
+    if (k > 1) term.multiply(scaled);
+    coefficient *= (degree - k + 1) / (k * (2 * degree - k + 1));
+    var weighted = term.clone().multiply(coefficient);
+    numerator.add(weighted);
+    denominator.add(k % 2 ? weighted.multiply(-1) : weighted);
+  }
 
-  return this;
+  var result = Matrix.solve(denominator, numerator);
+  for (var n = 0; n < squarings; n++) {
+    result.multiply(result.clone());
+  }
+
+  return this.copy(result);
 };
 
 /**
- * Invert the matrix.
- * This only works if it is a square matrix. If it is not,
- * the matrix will stay the same.
- * For this to work, the determinant of the matrix must not
- * be zero. If it is, the matrix will stay the same.
+ * Replace the matrix with its principal matrix logarithm, the matrix X where
+ * e^X = A. It is computed with the inverse scaling and squaring method: square
+ * roots are taken until the matrix is close to the identity, the logarithm
+ * is computed there with a series, and the result is scaled back up.
+ * This only works if it is a square matrix. If it is not, the matrix will
+ * stay the same.
  *
  * @return {Matrix} This Matrix instance.
+ *
+ * @throws {Error} If the logarithm can't be computed. That happens when the
+ *     matrix is singular, or has eigenvalues that are negative real numbers,
+ *     since it then has no real principal logarithm.
  */
-Matrix.prototype.invert = function() {
-  var numRows = this.rows;
-  var numCols = this.cols;
+Matrix.prototype.logm = function() {
+  var size = this.rows;
 
   // The matrix must be square
-  if (numRows !== numCols) return this;
+  if (size !== this.cols) return this;
 
-  // Simple solution for 2x2 matrices
-  if (numRows === 2) {
-    var determinant = this.getDeterminant();
-    if (determinant === 0) return this;
+  // A zero eigenvalue has no logarithm
+  if (this.rcond() === 0) {
+    throw new Error('Matrix logarithm is undefined for a singular matrix.');
+  }
 
-    var invertedDeterminant = 1 / determinant;
-    var m0 = invertedDeterminant * this[3];
-    var m1 = invertedDeterminant * -this[1];
-    var m2 = invertedDeterminant * -this[2];
-    var m3 = invertedDeterminant * this[0];
-    this[0] = m0;
-    this[1] = m1;
-    this[2] = m2;
-    this[3] = m3;
+  var identity = new Matrix(size, size, true, this.storage);
 
-    return this;
+  // Take square roots until the matrix is close to the identity
+  var root = this.clone();
+  var roots = 0;
+  while (Matrix.subtract(root, identity).norm(1) > 0.25) {
+    root = getSquareRoot(root);
+    if (!root || ++roots > 64) {
+      throw new Error('Matrix logarithm did not converge.');
+    }
   }
 
-  // By using a cache, only the first call to invert will cause a memory increase.
-  var cache = this._cache || (this._cache = {});
-  var matrixOfCoFactors = cache.matrixOfCoFactors || (cache.matrixOfCoFactors = new Matrix(numRows, numCols, false));
-  var matrix = cache.tempMatrix || (cache.tempMatrix = new Matrix(this.rows, this.cols, false));
+  // log(I + X) = X - X^2 / 2 + X^3 / 3 - ...
+  var x = root.subtract(identity);
+  var term = x.clone();
+  var result = x.clone();
+  for (var k = 2; k < 100; k++) {
+    term.multiply(x);
+    var next = term.clone().multiply((k % 2 ? 1 : -1) / k);
+    result.add(next);
+    if (next.norm(1) <= EPSILON * result.norm(1)) break;
+  }
 
-  // Loop through each number in the matrix
-  var i = 0;
-  for (var row = 0; row < numRows; row++) {
+  // log(A) = 2^k * log(A^(1 / 2^k))
+  return this.copy(result.multiply(Math.pow(2, roots)));
+};
+
+/**
+ * Replace the matrix with its principal square root, the matrix X where
+ * X * X = A and all eigenvalues of X have a non-negative real part. It is
+ * computed with the Denman-Beavers iteration, or from the eigenvalues if the
+ * matrix is singular.
+ * This only works if it is a square matrix. If it is not, the matrix will
+ * stay the same.
+ *
+ * @return {Matrix} This Matrix instance.
+ *
+ * @throws {Error} If the square root can't be computed. That happens when the
+ *     matrix has eigenvalues that are negative real numbers, since it then has
+ *     no real principal square root, or when it is singular and not
+ *     diagonalizable.
+ */
+Matrix.prototype.sqrtm = function() {
+
+  // The matrix must be square
+  if (this.rows !== this.cols) return this;
+
+  // The iteration needs inverses, so singular matrices (like the zero
+  // matrix) get their square root from the eigenvalues instead
+  var root = getSquareRoot(this) || getEigenPower(this, 0.5);
+  if (!root) {
+    throw new Error('Matrix square root did not converge.');
+  }
+
+  return this.copy(root);
+};
+
+/**
+ * Transpose the matrix.
+ *
+ * @return {Matrix} This Matrix instance.
+ */
+Matrix.prototype.transpose = function() {
+  var numRows = this.rows;
+  var numCols = this.cols;
+
+  var values = getValues(this);
+  var newData = arrays.getWithLength(this.length);
+
+  for (var row = 0; row < numRows; row++) {
     for (var col = 0; col < numCols; col++) {
+      newData[col * numRows + row] = values[row * numCols + col];
+    }
+  }
+  this.setData(newData, numCols, numRows);
 
-      // We need to get a temporary copy of the matrix data in an array
-      var newData = arrays.getWithLength(this.length);
-      for (var d = this.length; d--;) {
-        newData[d] = this[d];
-      }
+  arrays.giveBack(newData);
 
-      // We need to get the determinant of the matrix made by the area
-      // that is not in the current number's row or column. To do this,
-      // we remove the first row and the column where the number is.
-      removeRow(newData, row, this.cols);
-      removeColumn(newData, col, this.cols);
-      matrix.setData(newData, this.rows - 1, this.cols - 1);
+  return this;
+};
+
+/**
+ * Change the number of rows and columns, keeping the values. By default the
+ * values are read and written row by row. With column-major order, they are
+ * read and written column by column instead, like in MATLAB.
+ *
+ * @param {number} rows The new number of rows.
+ * @param {number} cols The new number of columns.
+ * @param {string=} opt_order The order of the values, 'row' or 'column'.
+ *     Default is 'row'.
+ *
+ * @return {Matrix} This Matrix instance.
+ *
+ * @throws {MatrixDimensionError} If the new size doesn't have the same number
+ *     of values.
+ * @throws {Error} If the order is unknown, or if this is a view and the size
+ *     would change.
+ */
+Matrix.prototype.reshape = function(rows, cols, opt_order) {
+  var order = opt_order || 'row';
+  if (order !== 'row' && order !== 'column') {
+    throw new Error('Unknown order: ' + order);
+  }
+  if (rows * cols !== this.length) {
+    throw new MatrixDimensionError('reshape', [this.rows, this.cols], [rows, cols]);
+  }
+
+  if (order === 'row') {
+    return this.setData(this.toArray(), rows, cols);
+  }
+
+  var numRows = this.rows;
+  var numCols = this.cols;
+  var values = getValues(this);
+  var newData = arrays.getWithLength(this.length);
+
+  // The n-th value in column-major order keeps its place in that order
+  for (var i = 0, l = this.length; i < l; i++) {
+    var value = values[(i % numRows) * numCols + Math.floor(i / numRows)];
+    newData[(i % rows) * cols + Math.floor(i / rows)] = value;
+  }
+  this.setData(newData, rows, cols);
+
+  arrays.giveBack(newData);
+
+  return this;
+};
+
+/**
+ * Reverse the order of the rows, which flips the matrix upside down.
+ *
+ * @return {Matrix} This Matrix instance.
+ */
+Matrix.prototype.flipRows = function() {
+  var values = getValues(this);
+  var cols = this.cols;
+
+  for (var top = 0, bottom = this.rows - 1; top < bottom; top++, bottom--) {
+    for (var col = 0; col < cols; col++) {
+      var value = values[top * cols + col];
+      values[top * cols + col] = values[bottom * cols + col];
+      values[bottom * cols + col] = value;
+    }
+  }
+
+  return this;
+};
+
+/**
+ * Reverse the order of the columns, which flips the matrix left to right.
+ *
+ * @return {Matrix} This Matrix instance.
+ */
+Matrix.prototype.flipColumns = function() {
+  var values = getValues(this);
+  var cols = this.cols;
+
+  for (var row = 0; row < this.rows; row++) {
+    var offset = row * cols;
+    for (var left = 0, right = cols - 1; left < right; left++, right--) {
+      var value = values[offset + left];
+      values[offset + left] = values[offset + right];
+      values[offset + right] = value;
+    }
+  }
+
+  return this;
+};
+
+/**
+ * Rotate the matrix by 90 degrees counterclockwise, a number of times.
+ * A matrix that is not square gets its number of rows and columns swapped
+ * for odd numbers of turns.
+ *
+ * @param {number=} opt_times The number of turns. Negative numbers rotate
+ *     clockwise. Default is 1.
+ *
+ * @return {Matrix} This Matrix instance.
+ */
+Matrix.prototype.rotate90 = function(opt_times) {
+  var times = opt_times === undefined ? 1 : opt_times;
+  times = ((times % 4) + 4) % 4;
+
+  if (times === 1) {
+    this.transpose().flipRows();
+  } else if (times === 2) {
+    this.flipRows().flipColumns();
+  } else if (times === 3) {
+    this.transpose().flipColumns();
+  }
+
+  return this;
+};
+
+/**
+ * Invert the matrix.
+ * This only works if it is a square matrix. If it is not,
+ * the matrix will stay the same.
+ * For this to work, the determinant of the matrix must not
+ * be zero. If it is, the matrix will stay the same.
+ *
+ * @return {Matrix} This Matrix instance.
+ */
+Matrix.prototype.invert = function() {
+  var numRows = this.rows;
+  var numCols = this.cols;
+  var values = getValues(this);
+
+  // The matrix must be square
+  if (numRows !== numCols) return this;
+
+  // Simple solution for 2x2 matrices
+  if (numRows === 2) {
+    var determinant = this.getDeterminant();
+    if (determinant === 0) return this;
+
+    var invertedDeterminant = 1 / determinant;
+    var m0 = invertedDeterminant * values[3];
+    var m1 = invertedDeterminant * -values[1];
+    var m2 = invertedDeterminant * -values[2];
+    var m3 = invertedDeterminant * values[0];
+    values[0] = m0;
+    values[1] = m1;
+    values[2] = m2;
+    values[3] = m3;
+
+    return this;
+  }
+
+  // Larger matrices are inverted through an LU decomposition, since the
+  // number of cofactors grows factorially with the size.
+  if (numRows >= 4) {
+    var length = this.length;
+    var lu = getData(this, arrays.getWithLength(length));
+    var pivots = arrays.getWithLength(numRows);
+    var tolerances = arrays.getWithLength(numRows);
+    decomposeLU(lu, numRows, pivots, tolerances);
+    var singular = isSingularLU(lu, numRows, tolerances);
+    arrays.giveBack(tolerances);
+
+    // Cancel everything if the matrix is singular
+    if (singular) {
+      arrays.giveBack(lu);
+      arrays.giveBack(pivots);
+      return this;
+    }
+
+    // Solve for each column of the identity matrix
+    var identity = arrays.getWithLength(length);
+    for (var v = 0; v < length; v++) {
+      identity[v] = v % (numCols + 1) ? 0 : 1;
+    }
+    substituteLU(lu, numRows, pivots, identity, numCols, values);
+
+    arrays.giveBack(lu);
+    arrays.giveBack(pivots);
+    arrays.giveBack(identity);
+
+    return this;
+  }
+
+  // By using a cache, only the first call to invert will cause a memory increase.
+  var cache = this._cache || (this._cache = {});
+  var matrixOfCoFactors = cache.matrixOfCoFactors || (cache.matrixOfCoFactors = new Matrix(numRows, numCols, false));
+
+  // Loop through each number in the matrix
+  for (var row = 0; row < numRows; row++) {
+    for (var col = 0; col < numCols; col++) {
 
-      // We're now done with the temporary copy of the matrix data
-      arrays.giveBack(newData);
+      // We need to get the determinant of the matrix made by the area
+      // that is not in the current number's row or column. This is read
+      // directly from the values, without copying them.
+      var coFactor = getMinor(values, numRows, row, col);
 
       // Some of the determinants need to change sign to become the cofactor.
       // This is applied as a checkerboard to the matrix.
-      var coFactor = matrix.getDeterminant();
       var rowAlternate = row % 2 === 1;
       var colAlternate = col % 2 === 1;
       if ((rowAlternate && !colAlternate) || (colAlternate && !rowAlternate)) {
@@ -672,8 +1962,6 @@ Matrix.prototype.invert = function() {
 
       // Set the cofactor in the correct position in the matrix of cofactors.
       matrixOfCoFactors[row * matrixOfCoFactors.cols + col] = coFactor;
-
-      i++;
     }
   }
 
@@ -681,7 +1969,7 @@ Matrix.prototype.invert = function() {
   // This could be done with the getDeterminant method, but this is faster.
   var originalDeterminant = 0;
   for (var n = 0; n < numCols; n++) {
-    originalDeterminant += this[n] * matrixOfCoFactors[n];
+    originalDeterminant += values[n] * matrixOfCoFactors[n];
   }
 
   // Cancel everything if the determinant is zero, since inversion can't be done then
@@ -696,8 +1984,55 @@ Matrix.prototype.invert = function() {
 
   // Copy the data from the inverted temp matrix to this matrix
   for (var x = 0, y = product.length; x < y; x++) {
-    this[x] = product[x];
+    values[x] = product[x];
+  }
+
+  return this;
+};
+
+/**
+ * Replace the matrix with its Moore-Penrose pseudo-inverse.
+ * This works for matrices of any size, and an m x n matrix will become
+ * n x m. It is computed from the singular value decomposition, where singular
+ * values below the tolerance are treated as zero.
+ *
+ * @param {number=} opt_tolerance Singular values smaller than or equal to
+ *     this are treated as zero. Default is max(m, n) * s * e, where s is the
+ *     largest singular value and e is the machine epsilon.
+ *
+ * @return {Matrix} This Matrix instance.
+ */
+Matrix.prototype.pseudoInverse = function(opt_tolerance) {
+  var rows = this.rows;
+  var cols = this.cols;
+  var result = decomposeSVD(this.toArray(), rows, cols);
+  var u = result.u;
+  var s = result.s;
+  var v = result.v;
+  var size = s.length;
+
+  var tolerance = opt_tolerance;
+  if (tolerance === undefined) {
+    tolerance = Math.max(rows, cols) * (s[0] || 0) * EPSILON;
+  }
+
+  // The pseudo-inverse is V * S^-1 * U', using only the singular values that
+  // are above the tolerance
+  var newData = arrays.getWithLength(this.length);
+  for (var row = 0; row < cols; row++) {
+    for (var col = 0; col < rows; col++) {
+      var sum = 0;
+      for (var i = 0; i < size; i++) {
+        if (s[i] > tolerance) {
+          sum += v[row * size + i] * u[col * size + i] / s[i];
+        }
+      }
+      newData[row * rows + col] = sum;
+    }
   }
+  this.setData(newData, cols, rows);
+
+  arrays.giveBack(newData);
 
   return this;
 };
@@ -711,137 +2046,2992 @@ Matrix.prototype.invert = function() {
 Matrix.prototype.getDeterminant = function() {
   var rows = this.rows;
   var cols = this.cols;
+  var values = getValues(this);
 
   // The matrix must be square
   if (rows !== cols) return null;
 
   // For a 1x1 matrix ( [[a]] ), the determinant is: a
   if (rows === 1) {
-    return this[0];
+    return values[0];
   }
 
   // For a 2x2 matrix ( [[a, b], [c, d]] ), the determinant is: a*d - b*c
   if (rows === 2) {
-    return this[0] * this[3] - this[1] * this[2];
+    return values[0] * values[3] - values[1] * values[2];
   }
 
   // For a 3x3 matrix ( [[a, b, c], [d, e, f], [g, h, i]] ), the determinant
   // is: a*(e*i - f*h) - b*(d*i - f*g) + c*(d*h - e*g)
   if (rows === 3) {
-    var a = this[0];
-    var b = this[1];
-    var c = this[2];
-    var d = this[3];
-    var e = this[4];
-    var f = this[5];
-    var g = this[6];
-    var h = this[7];
-    var i = this[8];
+    var a = values[0];
+    var b = values[1];
+    var c = values[2];
+    var d = values[3];
+    var e = values[4];
+    var f = values[5];
+    var g = values[6];
+    var h = values[7];
+    var i = values[8];
     return a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
   }
 
-  // For 4x4 or larger matrices
-  if (rows >= 4) {
-
-    var result = 0;
+  // For 4x4 or larger matrices, the determinant is the product of the
+  // diagonal of U in the LU decomposition, with the sign of the permutation.
+  // It is zero if the matrix is singular, like invert and solve decide it.
+  var lu = getData(this, arrays.getWithLength(this.length));
+  var pivots = arrays.getWithLength(rows);
+  var tolerances = arrays.getWithLength(rows);
+  var result = decomposeLU(lu, rows, pivots, tolerances);
+
+  if (isSingularLU(lu, rows, tolerances)) {
+    result = 0;
+  } else {
+    for (var n = 0; n < rows; n++) {
+      result *= lu[n * rows + n];
+    }
+  }
 
-    // By using a cache, only the first call to the method will cause a memory increase.
-    var cache = this._cache || (this._cache = {});
-    var matrix = cache.tempMatrix || (cache.tempMatrix = new Matrix(this.rows, this.cols, false));
+  arrays.giveBack(lu);
+  arrays.giveBack(pivots);
+  arrays.giveBack(tolerances);
 
-    // Loop through each number for the first row
-    for (var col = 0; col < cols; col++) {
+  return result;
+};
 
-      // We need to get a temporary copy of the matrix data in an array
-      var newData = arrays.getWithLength(this.length);
-      for (var d = this.length; d--;) {
-        newData[d] = this[d];
-      }
+/**
+ * Get a norm of the matrix, which is a measure of its magnitude.
+ *
+ * @param {string|number=} opt_type The type of norm. Default is 'fro'.
+ *     - 'fro': The Frobenius norm, the square root of the sum of all squared
+ *       values.
+ *     - 1: The largest sum of absolute values in a column.
+ *     - Infinity: The largest sum of absolute values in a row.
+ *     - 2: The spectral norm, the largest singular value.
+ *     - 'max': The largest absolute value.
+ *
+ * @return {number} The norm.
+ *
+ * @throws {Error} If the type is unknown.
+ */
+Matrix.prototype.norm = function(opt_type) {
+  var type = opt_type === undefined ? 'fro' : opt_type;
+  var values = getValues(this);
+  var result = 0;
+  var i, l;
 
-      // We need to get the determinant of the matrix made by the area
-      // that is not in the current number's row or column. To do this,
-      // we remove the first row and the column where the number is.
-      removeRow(newData, 0, this.cols);
-      removeColumn(newData, col, this.cols);
-      matrix.setData(newData, this.rows - 1, this.cols - 1);
+  if (type === 'fro') {
+    for (i = 0, l = this.length; i < l; i++) {
+      result = complex.hypot(result, values[i]);
+    }
+    return result;
+  }
 
-      // We're now done with the temporary copy of the matrix data
-      arrays.giveBack(newData);
+  if (type === 1) {
+    return getNorm1(values, this.rows, this.cols);
+  }
 
-      result += (col % 2 ? -1 : 1) * this[col] * matrix.getDeterminant();
+  if (type === Infinity) {
+    for (var row = 0; row < this.rows; row++) {
+      var sum = 0;
+      for (var col = 0; col < this.cols; col++) {
+        sum += Math.abs(values[row * this.cols + col]);
+      }
+      result = Math.max(result, sum);
     }
+    return result;
+  }
+
+  if (type === 2) {
+    if (this.length === 0) return 0;
+    return decomposeSVD(this.toArray(), this.rows, this.cols).s[0];
+  }
 
+  if (type === 'max') {
+    for (i = 0, l = this.length; i < l; i++) {
+      result = Math.max(result, Math.abs(values[i]));
+    }
     return result;
   }
+
+  throw new Error('Unknown norm type: ' + type);
 };
 
 /**
- * Tests if the data of the matrix is the same as the input.
+ * Get the condition number of the matrix, in the 2-norm. That is the ratio
+ * between the largest and the smallest singular value. Large numbers mean
+ * that the matrix is close to singular, and that solving a system with it
+ * can lose that many digits of precision.
  *
- * @param {Matrix} input Another Matrix instance.
+ * @return {number} The condition number. This is Infinity if the matrix is
+ *     singular (or does not have full rank).
+ */
+Matrix.prototype.cond = function() {
+  if (this.length === 0) return 0;
+
+  var singularValues = decomposeSVD(this.toArray(), this.rows, this.cols).s;
+  var smallest = singularValues[singularValues.length - 1];
+  if (smallest === 0) return Infinity;
+
+  return singularValues[0] / smallest;
+};
+
+/**
+ * Estimate the reciprocal of the condition number of the matrix, in the
+ * 1-norm. This is much cheaper than cond(), since it uses an LU decomposition
+ * and a few solves, instead of the singular values. The estimate is never
+ * smaller than the real value, and usually within a factor of a few.
  *
- * @return {Boolean} True if it's the same.
+ * @return {number?} A number between 0 and 1. Numbers close to 0 mean that
+ *     the matrix is close to singular, and exactly 0 that it is singular.
+ *     The matrix must be square for this to be possible, so if it's not,
+ *     this will return null.
  */
-Matrix.prototype.equals = function(input) {
-  if (!(input instanceof Matrix)) return false;
+Matrix.prototype.rcond = function() {
+  var size = this.rows;
 
-  // If the size does not match, it is not equal
-  if (this.rows !== input.rows || this.cols !== input.cols) {
-    return false;
-  }
+  // The matrix must be square
+  if (size !== this.cols) return null;
+  if (size === 0) return 1;
 
-  // Check each number and return false if something doesn't match
-  for (var i = 0, l = this.length; i < l; i++) {
-    if (this[i] !== input[i]) return false;
+  var norm = getNorm1(getValues(this), size, size);
+  if (norm === 0) return 0;
+
+  var lu = getData(this, arrays.getWithLength(this.length));
+  var pivots = arrays.getWithLength(size);
+  var tolerances = arrays.getWithLength(size);
+  decomposeLU(lu, size, pivots, tolerances);
+
+  var result = 0;
+  if (!isSingularLU(lu, size, tolerances)) {
+    result = 1 / (norm * estimateInverseNorm1(lu, size, pivots));
   }
 
-  // If it hasn't returned before, everything matches and is the same
-  return true;
+  arrays.giveBack(lu);
+  arrays.giveBack(pivots);
+  arrays.giveBack(tolerances);
+
+  return result;
 };
 
 /**
- * Tests if the data of the matrix represents the identity matrix.
+ * Get the rank of the matrix, which is the number of linearly independent
+ * rows or columns. It is found by reducing the matrix to row echelon form and
+ * counting the pivots.
  *
- * @return {boolean} True if it is the identity matrix, false otherwise.
+ * @param {number=} opt_tolerance Values smaller than or equal to this are
+ *     treated as zero during the row reduction. Default is max(m, n) * a * e,
+ *     where a is the infinity norm of the matrix and e is the machine
+ *     epsilon.
+ *
+ * @return {number} The rank.
  */
-Matrix.prototype.isIdentity = function() {
-  for (var i = 0, l = this.length; i < l; i++) {
-    if (this[i] !== (i % (this.cols + 1) ? 0 : 1)) {
-      return false;
+Matrix.prototype.rank = function(opt_tolerance) {
+  var values = getData(this, arrays.getWithLength(this.length));
+  var pivotCols = reduceRows(values, this.rows, this.cols, getRowTolerance(this, opt_tolerance));
+
+  arrays.giveBack(values);
+
+  return pivotCols.length;
+};
+
+/**
+ * Replace the matrix with its reduced row echelon form, using Gauss-Jordan
+ * elimination with partial pivoting. Each row starts with a leading 1 that
+ * is the only non-zero value in its column, and rows of zeros are last.
+ *
+ * @param {number=} opt_tolerance Values smaller than or equal to this are
+ *     treated as zero. Default is the same as for rank().
+ *
+ * @return {Matrix} This Matrix instance.
+ */
+Matrix.prototype.rref = function(opt_tolerance) {
+  var values = getData(this, arrays.getWithLength(this.length));
+  reduceRows(values, this.rows, this.cols, getRowTolerance(this, opt_tolerance));
+  this.setData(values);
+
+  arrays.giveBack(values);
+
+  return this;
+};
+
+/**
+ * Get a basis for the null space of the matrix, which holds all vectors x
+ * where A * x = 0. The basis is found from the reduced row echelon form, with
+ * one vector for each column that has no pivot.
+ *
+ * @param {number=} opt_tolerance Values smaller than or equal to this are
+ *     treated as zero. Default is the same as for rank().
+ *
+ * @return {Matrix} A new matrix with n rows and one column for each basis
+ *     vector, so n - rank columns. If the matrix has full column rank, the
+ *     new matrix has no columns.
+ */
+Matrix.prototype.nullSpace = function(opt_tolerance) {
+  var cols = this.cols;
+  var values = getData(this, arrays.getWithLength(this.length));
+  var pivotCols = reduceRows(values, this.rows, cols, getRowTolerance(this, opt_tolerance));
+
+  var freeCols = [];
+  for (var col = 0; col < cols; col++) {
+    if (pivotCols.indexOf(col) === -1) freeCols.push(col);
+  }
+
+  // Each free variable gets a basis vector where it is 1, the other free
+  // variables are 0, and the pivot variables cancel it out
+  var size = freeCols.length;
+  var newData = new Array(cols * size);
+  for (var i = 0; i < newData.length; i++) {
+    newData[i] = 0;
+  }
+  for (var n = 0; n < size; n++) {
+    newData[freeCols[n] * size + n] = 1;
+    for (var row = 0; row < pivotCols.length; row++) {
+      newData[pivotCols[row] * size + n] = -values[row * cols + freeCols[n]];
     }
   }
 
-  return true;
+  arrays.giveBack(values);
+
+  return new Matrix(0, 0, false, this.storage).setData(newData, cols, size);
 };
 
 /**
- * Remove a row from the values array.
+ * Get a basis for the column space of the matrix, which holds all vectors
+ * that A * x can give. The basis is made of the columns of the matrix that
+ * get a pivot in the reduced row echelon form.
  *
- * @param {Array} values Array of values.
- * @param {number} row Index of the row.
- * @param {number} colsPerRow Number of columns per row.
+ * @param {number=} opt_tolerance Values smaller than or equal to this are
+ *     treated as zero. Default is the same as for rank().
  *
- * @private
+ * @return {Matrix} A new matrix with m rows and one column for each basis
+ *     vector, so rank columns.
  */
-function removeRow(values, row, colsPerRow) {
-  values.splice(row * colsPerRow, colsPerRow);
-}
+Matrix.prototype.columnSpace = function(opt_tolerance) {
+  var rows = this.rows;
+  var cols = this.cols;
+  var values = getData(this, arrays.getWithLength(this.length));
+  var pivotCols = reduceRows(values, rows, cols, getRowTolerance(this, opt_tolerance));
+  var size = pivotCols.length;
+
+  var original = getValues(this);
+  var newData = new Array(rows * size);
+  for (var row = 0; row < rows; row++) {
+    for (var n = 0; n < size; n++) {
+      newData[row * size + n] = original[row * cols + pivotCols[n]];
+    }
+  }
+
+  arrays.giveBack(values);
+
+  return new Matrix(0, 0, false, this.storage).setData(newData, rows, size);
+};
 
 /**
- * Remove a column from the values array.
- *
- * @param {Array} values Array of values.
- * @param {number} col Index of the column.
- * @param {number} colsPerRow Number of columns per row.
+ * Get the LU decomposition of the matrix, using partial pivoting.
+ * The factors satisfy P * A = L * U, where A is this matrix, P is a
+ * permutation matrix, L is a lower triangular matrix with ones on the
+ * diagonal and U is an upper triangular matrix.
  *
- * @private
+ * @return {{P: Matrix, L: Matrix, U: Matrix}?} An object with the factors as
+ *     new Matrix instances. The matrix must be square for this to be
+ *     possible, so if it's not, this will return null.
  */
-function removeColumn(values, col, colsPerRow) {
-  var n = 0;
-  for (var i = 0, l = values.length; i < l; i++) {
-    if (i % colsPerRow !== col) values[n++] = values[i];
+Matrix.prototype.lu = function() {
+  var size = this.rows;
+
+  // The matrix must be square
+  if (size !== this.cols) return null;
+
+  var lu = getData(this, arrays.getWithLength(this.length));
+  var pivots = arrays.getWithLength(size);
+  decomposeLU(lu, size, pivots);
+
+  var p = new Matrix(size, size, false, this.storage).setEmptyData();
+  var l = new Matrix(size, size, false, this.storage).setIdentityData();
+  var u = new Matrix(size, size, false, this.storage).setEmptyData();
+  var pValues = getValues(p);
+  var lValues = getValues(l);
+  var uValues = getValues(u);
+
+  for (var row = 0; row < size; row++) {
+    pValues[row * size + pivots[row]] = 1;
+
+    for (var col = 0; col < size; col++) {
+      var index = row * size + col;
+      if (col < row) {
+        lValues[index] = lu[index];
+      } else {
+        uValues[index] = lu[index];
+      }
+    }
   }
-  values.length = n;
+
+  arrays.giveBack(lu);
+  arrays.giveBack(pivots);
+
+  return {P: p, L: l, U: u};
+};
+
+/**
+ * Get the QR decomposition of the matrix, using Householder reflections.
+ * The factors satisfy A = Q * R, where A is this matrix, Q is an orthogonal
+ * matrix and R is an upper triangular matrix. This works for matrices of any
+ * size.
+ *
+ * @param {boolean=} opt_economy Whether to return the economy (thin) form.
+ *     For an m x n matrix with k = min(m, n), Q will then be m x k and R will
+ *     be k x n, instead of m x m and m x n. Default is false.
+ *
+ * @return {{Q: Matrix, R: Matrix}} An object with the factors as new Matrix
+ *     instances.
+ */
+Matrix.prototype.qr = function(opt_economy) {
+  var rows = this.rows;
+  var cols = this.cols;
+  var size = opt_economy ? Math.min(rows, cols) : rows;
+
+  var values = getData(this, arrays.getWithLength(this.length));
+  var reflectors = decomposeQR(values, rows, cols);
+
+  // Build Q by applying the reflections to the first columns of the identity
+  var q = new Matrix(rows, size, false, this.storage).setEmptyData();
+  var qValues = getValues(q);
+  for (var i = 0; i < size; i++) {
+    qValues[i * size + i] = 1;
+  }
+  applyReflectors(reflectors, qValues, size, true);
+
+  // R is the part of the decomposed values that is on or above the diagonal
+  var r = new Matrix(size, cols, false, this.storage).setEmptyData();
+  var rValues = getValues(r);
+  for (var row = 0; row < size; row++) {
+    for (var col = row; col < cols; col++) {
+      rValues[row * cols + col] = values[row * cols + col];
+    }
+  }
+
+  arrays.giveBack(values);
+
+  return {Q: q, R: r};
+};
+
+/**
+ * Get the Cholesky decomposition of the matrix. The matrix must be symmetric
+ * and positive-definite, and the factor satisfies A = L * L', where A is this
+ * matrix and L is a lower triangular matrix.
+ *
+ * @throws {Error} If the matrix is not symmetric positive-definite.
+ *
+ * @return {Matrix?} The factor L as a new Matrix instance. The matrix must be
+ *     square for this to be possible, so if it's not, this will return null.
+ */
+Matrix.prototype.cholesky = function() {
+  var size = this.rows;
+
+  // The matrix must be square
+  if (size !== this.cols) return null;
+
+  // Only the lower half is used, so the upper half must match it, up to
+  // rounding errors relative to the size of the values
+  if (!this.isSymmetric(size * EPSILON * this.norm(Infinity))) {
+    throw new Error('Cholesky decomposition failed: the matrix is not symmetric.');
+  }
+
+  var l = new Matrix(size, size, false, this.storage).setEmptyData();
+  if (!choleskyInto(getValues(this), size, getValues(l), 0)) {
+    throw new Error('Cholesky decomposition failed: the matrix is not positive-definite.');
+  }
+
+  return l;
+};
+
+/**
+ * Get the singular value decomposition of the matrix, using the one-sided
+ * Jacobi method. The factors satisfy A = U * S * V', where A is this matrix,
+ * S is a diagonal matrix with the singular values, and U and V have
+ * orthonormal columns. This works for matrices of any size.
+ *
+ * For an m x n matrix with k = min(m, n), U will be m x k and V will be
+ * n x k (the economy form).
+ *
+ * @return {{U: Matrix, S: Array.<number>, V: Matrix}} An object with U and V
+ *     as new Matrix instances, and S as an array of the k singular values in
+ *     descending order.
+ */
+Matrix.prototype.svd = function() {
+  var result = decomposeSVD(this.toArray(), this.rows, this.cols);
+  var size = result.s.length;
+
+  return {
+    U: new Matrix(this.rows, size, false, this.storage).setData(result.u, this.rows, size),
+    S: result.s,
+    V: new Matrix(this.cols, size, false, this.storage).setData(result.v, this.cols, size)
+  };
+};
+
+/**
+ * Get the eigenvalues and eigenvectors of the matrix.
+ * Symmetric matrices are reduced to tridiagonal form and diagonalized with
+ * the QL method, which gives real eigenvalues in ascending order and
+ * orthonormal eigenvectors. Other matrices are reduced to Hessenberg form and
+ * solved with the shifted QR method, which may give complex eigenvalues.
+ *
+ * Complex eigenvalues come in conjugate pairs, next to each other. For a pair
+ * at index j and j + 1, where the imaginary part at j is positive, column j
+ * of the vectors holds the real part and column j + 1 holds the imaginary
+ * part of the eigenvector for the eigenvalue at j. The eigenvector for the
+ * eigenvalue at j + 1 is the conjugate of that.
+ *
+ * @throws {Error} If the computation does not converge, which can happen if
+ *     the matrix contains values that are not finite.
+ *
+ * @return {{real: Array.<number>, imaginary: Array.<number>, vectors: Matrix}?}
+ *     An object with the real and imaginary parts of the eigenvalues, and a
+ *     new Matrix instance with the eigenvectors as columns. The matrix must
+ *     be square for this to be possible, so if it's not, this will return
+ *     null.
+ */
+Matrix.prototype.eigen = function() {
+  var size = this.rows;
+
+  // The matrix must be square
+  if (size !== this.cols) return null;
+
+  var values = getValues(this);
+  var real = new Array(size);
+  var imaginary = new Array(size);
+  var vectors = new Array(size);
+  var row, col;
+
+  for (row = 0; row < size; row++) {
+    vectors[row] = new Array(size);
+    for (col = 0; col < size; col++) {
+      vectors[row][col] = values[row * size + col];
+    }
+  }
+
+  if (this.isSymmetric()) {
+    tridiagonalize(vectors, real, imaginary);
+    diagonalizeTridiagonal(vectors, real, imaginary);
+  } else {
+    var hessenberg = vectors;
+    vectors = new Array(size);
+    for (row = 0; row < size; row++) {
+      vectors[row] = new Array(size);
+    }
+    reduceToHessenberg(hessenberg, vectors);
+    reduceHessenbergToSchur(hessenberg, vectors, real, imaginary);
+    normalizeEigenvectors(vectors, imaginary);
+  }
+
+  var output = new Matrix(size, size, false, this.storage);
+  var outputValues = getValues(output);
+  for (row = 0; row < size; row++) {
+    for (col = 0; col < size; col++) {
+      outputValues[row * size + col] = vectors[row][col];
+    }
+  }
+
+  return {real: real, imaginary: imaginary, vectors: output};
+};
+
+/**
+ * Tests if the data of the matrix is the same as the input.
+ *
+ * @param {Matrix} input Another Matrix instance.
+ * @param {number=} opt_epsilon The largest difference allowed between two
+ *     values for them to count as the same. Default is 0.
+ *
+ * @return {Boolean} True if it's the same.
+ */
+Matrix.prototype.equals = function(input, opt_epsilon) {
+  if (!(input instanceof Matrix)) return false;
+
+  // If the size does not match, it is not equal
+  if (this.rows !== input.rows || this.cols !== input.cols) {
+    return false;
+  }
+
+  // Check each number and return false if something doesn't match
+  var epsilon = opt_epsilon || 0;
+  var values = getValues(this);
+  var inputValues = getValues(input);
+  for (var i = 0, l = this.length; i < l; i++) {
+    if (!isClose(values[i], inputValues[i], epsilon)) return false;
+  }
+
+  // If it hasn't returned before, everything matches and is the same
+  return true;
+};
+
+/**
+ * Tests if the data of the matrix represents the identity matrix.
+ *
+ * @param {number=} opt_epsilon The largest difference allowed between a value
+ *     and the value in the identity matrix. Default is 0.
+ *
+ * @return {boolean} True if it is the identity matrix, false otherwise.
+ */
+Matrix.prototype.isIdentity = function(opt_epsilon) {
+
+  // Only square matrices can be identity matrices
+  if (this.rows !== this.cols) return false;
+
+  var epsilon = opt_epsilon || 0;
+  var values = getValues(this);
+  for (var i = 0, l = this.length; i < l; i++) {
+    if (!isClose(values[i], i % (this.cols + 1) ? 0 : 1, epsilon)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Tests if the matrix is symmetric, meaning that it is square and equal to
+ * its transpose.
+ *
+ * @param {number=} opt_epsilon The largest difference allowed between a value
+ *     and its mirrored value. Default is 0.
+ *
+ * @return {boolean} True if it is symmetric, false otherwise.
+ */
+Matrix.prototype.isSymmetric = function(opt_epsilon) {
+  return this.rows === this.cols && matchesTranspose(this, 1, opt_epsilon || 0);
+};
+
+/**
+ * Tests if the matrix is skew-symmetric, meaning that it is square and equal
+ * to its transpose negated. The diagonal of such a matrix is zero.
+ *
+ * @param {number=} opt_epsilon The largest difference allowed between a value
+ *     and its mirrored value negated. Default is 0.
+ *
+ * @return {boolean} True if it is skew-symmetric, false otherwise.
+ */
+Matrix.prototype.isSkewSymmetric = function(opt_epsilon) {
+  return this.rows === this.cols && matchesTranspose(this, -1, opt_epsilon || 0);
+};
+
+/**
+ * Tests if all values outside the diagonal are zero. Matrices that are not
+ * square can also be diagonal.
+ *
+ * @param {number=} opt_epsilon The largest absolute value allowed for values
+ *     that should be zero. Default is 0.
+ *
+ * @return {boolean} True if it is diagonal, false otherwise.
+ */
+Matrix.prototype.isDiagonal = function(opt_epsilon) {
+  return isZeroWhere(this, opt_epsilon || 0, function(row, col) {
+    return row !== col;
+  });
+};
+
+/**
+ * Tests if all values below the diagonal are zero. Matrices that are not
+ * square can also be upper triangular.
+ *
+ * @param {number=} opt_epsilon The largest absolute value allowed for values
+ *     that should be zero. Default is 0.
+ *
+ * @return {boolean} True if it is upper triangular, false otherwise.
+ */
+Matrix.prototype.isUpperTriangular = function(opt_epsilon) {
+  return isZeroWhere(this, opt_epsilon || 0, function(row, col) {
+    return row > col;
+  });
+};
+
+/**
+ * Tests if all values above the diagonal are zero. Matrices that are not
+ * square can also be lower triangular.
+ *
+ * @param {number=} opt_epsilon The largest absolute value allowed for values
+ *     that should be zero. Default is 0.
+ *
+ * @return {boolean} True if it is lower triangular, false otherwise.
+ */
+Matrix.prototype.isLowerTriangular = function(opt_epsilon) {
+  return isZeroWhere(this, opt_epsilon || 0, function(row, col) {
+    return row < col;
+  });
+};
+
+/**
+ * Tests if the matrix is orthogonal, meaning that it is square and its
+ * transpose is its inverse (A' * A = I).
+ *
+ * @param {number=} opt_epsilon The largest difference allowed between a value
+ *     in A' * A and the value in the identity matrix. Default is 0.
+ *
+ * @return {boolean} True if it is orthogonal, false otherwise.
+ */
+Matrix.prototype.isOrthogonal = function(opt_epsilon) {
+  var size = this.rows;
+  if (size !== this.cols) return false;
+
+  var epsilon = opt_epsilon || 0;
+  var values = getValues(this);
+
+  // Compare the dot product of each pair of columns with the identity
+  for (var a = 0; a < size; a++) {
+    for (var b = a; b < size; b++) {
+      var sum = 0;
+      for (var row = 0; row < size; row++) {
+        sum += values[row * size + a] * values[row * size + b];
+      }
+      if (!isClose(sum, a === b ? 1 : 0, epsilon)) return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Tests if the matrix is symmetric and positive-definite, meaning that
+ * x' * A * x > 0 for all vectors x that are not zero. This is checked with a
+ * Cholesky decomposition.
+ *
+ * @param {number=} opt_epsilon The largest difference allowed between a value
+ *     and its mirrored value. The pivots in the Cholesky decomposition must
+ *     also be larger than this. Default is 0.
+ *
+ * @return {boolean} True if it is positive-definite, false otherwise.
+ */
+Matrix.prototype.isPositiveDefinite = function(opt_epsilon) {
+  var epsilon = opt_epsilon || 0;
+  if (!this.isSymmetric(epsilon)) return false;
+
+  var size = this.rows;
+  var l = arrays.getWithLength(size * size);
+  var result = choleskyInto(getValues(this), size, l, epsilon);
+  arrays.giveBack(l);
+
+  return result;
+};
+
+/**
+ * Tests if the matrix is singular, meaning that it has no inverse. This is
+ * checked with the smallest singular value. Matrices that are not square
+ * have no inverse and are always singular.
+ *
+ * @param {number=} opt_epsilon The largest singular value that counts as
+ *     zero. Default is 0, but since the singular values are computed with
+ *     floating point numbers, a small tolerance is usually needed.
+ *
+ * @return {boolean} True if it is singular, false otherwise.
+ */
+Matrix.prototype.isSingular = function(opt_epsilon) {
+  if (this.rows !== this.cols) return true;
+  if (this.length === 0) return false;
+
+  var singularValues = decomposeSVD(this.toArray(), this.rows, this.cols).s;
+
+  return singularValues[singularValues.length - 1] <= (opt_epsilon || 0);
+};
+
+/**
+ * Check if two numbers are the same within a tolerance.
+ *
+ * @param {number} a The first number.
+ * @param {number} b The second number.
+ * @param {number} epsilon The largest difference allowed.
+ *
+ * @return {boolean} True if they are the same.
+ *
+ * @private
+ */
+function isClose(a, b, epsilon) {
+  return a === b || Math.abs(a - b) <= epsilon;
+}
+
+/**
+ * Check if a square matrix matches its transpose, possibly negated.
+ *
+ * @param {Matrix} matrix The matrix instance.
+ * @param {number} sign 1 to compare with the transpose, -1 to compare with
+ *     the negated transpose.
+ * @param {number} epsilon The largest difference allowed.
+ *
+ * @return {boolean} True if it matches.
+ *
+ * @private
+ */
+function matchesTranspose(matrix, sign, epsilon) {
+  var size = matrix.rows;
+  var values = getValues(matrix);
+
+  for (var row = 0; row < size; row++) {
+
+    // The diagonal is its own mirror, so it must be zero for the negation
+    if (sign < 0 && !isClose(values[row * size + row], 0, epsilon)) return false;
+
+    for (var col = 0; col < row; col++) {
+      if (!isClose(values[row * size + col], sign * values[col * size + row], epsilon)) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Check if the values at some positions in a matrix are all zero.
+ *
+ * @param {Matrix} matrix The matrix instance.
+ * @param {number} epsilon The largest absolute value allowed.
+ * @param {function(number, number):boolean} test Function that gets the row
+ *     and column, and returns true for positions that should be zero.
+ *
+ * @return {boolean} True if they are all zero.
+ *
+ * @private
+ */
+function isZeroWhere(matrix, epsilon, test) {
+  var values = getValues(matrix);
+
+  for (var row = 0; row < matrix.rows; row++) {
+    for (var col = 0; col < matrix.cols; col++) {
+      if (test(row, col) && !isClose(values[row * matrix.cols + col], 0, epsilon)) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Get the determinant of the matrix that is left when a row and a column are
+ * removed from a 1x1 or 3x3 matrix, without copying any values.
+ *
+ * @param {Array.<number>|Float64Array|Float32Array} values Array of values.
+ * @param {number} size Number of rows (and columns), 1 or 3.
+ * @param {number} row Index of the row to remove.
+ * @param {number} col Index of the column to remove.
+ *
+ * @return {number} The determinant of the remaining matrix.
+ *
+ * @private
+ */
+function getMinor(values, size, row, col) {
+
+  // The determinant of an empty matrix is 1
+  if (size === 1) return 1;
+
+  // The remaining 2x2 matrix is made by the two other rows and columns
+  var row1 = row === 0 ? 1 : 0;
+  var row2 = row === 2 ? 1 : 2;
+  var col1 = col === 0 ? 1 : 0;
+  var col2 = col === 2 ? 1 : 2;
+
+  return values[row1 * size + col1] * values[row2 * size + col2] -
+      values[row1 * size + col2] * values[row2 * size + col1];
+}
+
+/**
+ * Decompose a square matrix into LU form using partial pivoting. The values
+ * are overwritten so that the part below the diagonal holds L (without its
+ * unit diagonal) and the rest holds U.
+ *
+ * @param {Array.<number>} values Array of values, which will be modified.
+ * @param {number} size Number of rows (and columns).
+ * @param {Array.<number>} pivots Array that will be filled with the original
+ *     row index for each row in the decomposition.
+ * @param {Array.<number>=} opt_tolerances Array that will be filled with the
+ *     tolerance for each pivot, for use with isSingularLU. It is based on the
+ *     largest value in the original column of the pivot.
+ *
+ * @return {number} The sign of the row permutation, 1 or -1.
+ *
+ * @private
+ */
+function decomposeLU(values, size, pivots, opt_tolerances) {
+  var sign = 1;
+  var row, col, i, temp;
+
+  for (row = 0; row < size; row++) {
+    pivots[row] = row;
+  }
+
+  if (opt_tolerances) {
+    for (col = 0; col < size; col++) {
+      var max = 0;
+      for (row = 0; row < size; row++) {
+        max = Math.max(max, Math.abs(values[row * size + col]));
+      }
+      opt_tolerances[col] = size * EPSILON * max;
+    }
+  }
+
+  for (col = 0; col < size; col++) {
+
+    // Find the row with the largest value in this column, to keep the
+    // decomposition numerically stable
+    var pivotRow = col;
+    var largest = Math.abs(values[col * size + col]);
+    for (row = col + 1; row < size; row++) {
+      var value = Math.abs(values[row * size + col]);
+      if (value > largest) {
+        largest = value;
+        pivotRow = row;
+      }
+    }
+
+    // Swap the rows
+    if (pivotRow !== col) {
+      for (i = 0; i < size; i++) {
+        temp = values[col * size + i];
+        values[col * size + i] = values[pivotRow * size + i];
+        values[pivotRow * size + i] = temp;
+      }
+      temp = pivots[col];
+      pivots[col] = pivots[pivotRow];
+      pivots[pivotRow] = temp;
+      sign = -sign;
+    }
+
+    // A zero pivot means the column is already eliminated
+    var pivot = values[col * size + col];
+    if (pivot === 0) continue;
+
+    // Eliminate the values below the pivot
+    for (row = col + 1; row < size; row++) {
+      var factor = values[row * size + col] / pivot;
+      values[row * size + col] = factor;
+      if (factor === 0) continue;
+      for (i = col + 1; i < size; i++) {
+        values[row * size + i] -= factor * values[col * size + i];
+      }
+    }
+  }
+
+  return sign;
+}
+
+/**
+ * Compute the Cholesky factor of a square matrix from the values in its lower
+ * half. This stops as soon as a pivot is not positive, since the matrix is
+ * then not positive-definite.
+ *
+ * @param {Array.<number>} values Array of values.
+ * @param {number} size Number of rows (and columns).
+ * @param {Array.<number>} output Target for the lower triangular factor. Only
+ *     the values on or below the diagonal are set.
+ * @param {number} epsilon The pivots must be larger than this.
+ *
+ * @return {boolean} True if the decomposition succeeded, false otherwise.
+ *
+ * @private
+ */
+function choleskyInto(values, size, output, epsilon) {
+  for (var row = 0; row < size; row++) {
+    for (var col = 0; col <= row; col++) {
+      var value = values[row * size + col];
+      for (var i = 0; i < col; i++) {
+        value -= output[row * size + i] * output[col * size + i];
+      }
+
+      if (row === col) {
+        if (isNaN(value) || value <= epsilon) return false;
+        output[row * size + col] = Math.sqrt(value);
+      } else {
+        output[row * size + col] = value / output[col * size + col];
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Solve L * U * X = P * B for X, using a decomposition from decomposeLU.
+ *
+ * @param {Array.<number>} lu Array of values from decomposeLU.
+ * @param {number} size Number of rows (and columns) of the decomposition.
+ * @param {Array.<number>} pivots Array of pivots from decomposeLU.
+ * @param {Array.<number>} rhs Array of values for B, with size rows.
+ * @param {number} cols Number of columns in B.
+ * @param {Array.<number>|Matrix} output Target for the values of X. This
+ *     must not be the same as rhs.
+ *
+ * @private
+ */
+function substituteLU(lu, size, pivots, rhs, cols, output) {
+  var row, col, i, sum;
+
+  for (col = 0; col < cols; col++) {
+
+    // Forward substitution with the unit lower triangular L
+    for (row = 0; row < size; row++) {
+      sum = rhs[pivots[row] * cols + col];
+      for (i = 0; i < row; i++) {
+        sum -= lu[row * size + i] * output[i * cols + col];
+      }
+      output[row * cols + col] = sum;
+    }
+
+    // Back substitution with the upper triangular U
+    for (row = size; row--;) {
+      sum = output[row * cols + col];
+      for (i = row + 1; i < size; i++) {
+        sum -= lu[row * size + i] * output[i * cols + col];
+      }
+      output[row * cols + col] = sum / lu[row * size + row];
+    }
+  }
+}
+
+/**
+ * Raise a square matrix to a power through its eigenvalues, as
+ * A^p = V * D^p * V^-1, where V has the eigenvectors as columns and D has the
+ * eigenvalues on the diagonal.
+ *
+ * @param {Matrix} matrix The matrix instance.
+ * @param {number} power The power to raise it to.
+ *
+ * @return {Matrix?} A new matrix with the result, or null if an eigenvalue is
+ *     complex or negative, a power of an eigenvalue is not finite, or the
+ *     matrix is not diagonalizable (or too close to not being it).
+ *
+ * @private
+ */
+function getEigenPower(matrix, power) {
+  var size = matrix.rows;
+  var eigen = matrix.eigen();
+  var vectors = eigen.vectors;
+  var scaled = vectors.clone();
+  var values = getValues(scaled);
+
+  // Eigenvalues this small are zero, but may have come out slightly negative
+  // from rounding errors
+  var tolerance = size * EPSILON * matrix.norm();
+
+  for (var col = 0; col < size; col++) {
+    var eigenvalue = Math.abs(eigen.real[col]) <= tolerance ? 0 : eigen.real[col];
+    if (eigen.imaginary[col] !== 0 || eigenvalue < 0) return null;
+
+    var factor = Math.pow(eigenvalue, power);
+    if (!isFinite(factor)) return null;
+
+    for (var row = 0; row < size; row++) {
+      values[row * size + col] *= factor;
+    }
+  }
+
+  // Eigenvectors that are almost parallel usually mean that the matrix is
+  // defective, and only got separate eigenvectors from rounding errors. The
+  // error in the result grows with their condition number, so this keeps
+  // about 10 correct digits.
+  if (vectors.rcond() < 1e-6) return null;
+
+  var inverse = Matrix.solve(vectors, new Matrix(size, size, true, matrix.storage));
+
+  return scaled.multiply(inverse);
+}
+
+/**
+ * Compute the principal square root of a square matrix with the
+ * Denman-Beavers iteration. It starts with Y = A and Z = I, and replaces them
+ * with the averages (Y + Z^-1) / 2 and (Z + Y^-1) / 2, which makes Y converge
+ * to the square root of A and Z to its inverse.
+ *
+ * @param {Matrix} matrix The matrix instance.
+ *
+ * @return {Matrix?} A new matrix with the square root, or null if the
+ *     iteration hits a singular matrix or does not converge.
+ *
+ * @private
+ */
+function getSquareRoot(matrix) {
+  var size = matrix.rows;
+  var identity = new Matrix(size, size, true, matrix.storage);
+  var y = matrix.clone();
+  var z = identity.clone();
+  var lastChange = Infinity;
+
+  for (var iteration = 0; iteration < 100; iteration++) {
+    var yInverse = Matrix.solve(y, identity);
+    var zInverse = Matrix.solve(z, identity);
+    if (!yInverse || !zInverse) return null;
+
+    var next = Matrix.add(y, zInverse).multiply(0.5);
+    z.add(yInverse).multiply(0.5);
+
+    var change = Matrix.subtract(next, y).norm();
+    var norm = next.norm();
+    y = next;
+    if (change <= size * EPSILON * norm) return y;
+
+    // The convergence is quadratic, so once the change is this small, it
+    // only stops getting smaller because of rounding errors
+    if (change <= Math.sqrt(EPSILON) * norm && change >= lastChange) return y;
+    lastChange = change;
+  }
+
+  return null;
+}
+
+/**
+ * Reduce a matrix to reduced row echelon form, using Gauss-Jordan elimination
+ * with partial pivoting.
+ *
+ * @param {Array.<number>} values Array of values, which will be modified.
+ * @param {number} rows Number of rows.
+ * @param {number} cols Number of columns.
+ * @param {number} tolerance Values smaller than or equal to this are treated
+ *     as zero, and are set to zero when they can't be used as a pivot.
+ *
+ * @return {Array.<number>} The index of the column for the pivot in each
+ *     row that has one, in order. The length is the rank of the matrix.
+ *
+ * @private
+ */
+function reduceRows(values, rows, cols, tolerance) {
+  var pivotCols = [];
+  var pivotRow = 0;
+  var row, i;
+
+  for (var col = 0; col < cols && pivotRow < rows; col++) {
+
+    // Find the row with the largest value in this column
+    var maxRow = pivotRow;
+    var max = Math.abs(values[pivotRow * cols + col]);
+    for (row = pivotRow + 1; row < rows; row++) {
+      var value = Math.abs(values[row * cols + col]);
+      if (value > max) {
+        max = value;
+        maxRow = row;
+      }
+    }
+
+    // The column is already eliminated, apart from rounding errors
+    if (max <= tolerance) {
+      for (row = pivotRow; row < rows; row++) {
+        values[row * cols + col] = 0;
+      }
+      continue;
+    }
+
+    // Swap the rows
+    if (maxRow !== pivotRow) {
+      for (i = col; i < cols; i++) {
+        var temp = values[pivotRow * cols + i];
+        values[pivotRow * cols + i] = values[maxRow * cols + i];
+        values[maxRow * cols + i] = temp;
+      }
+    }
+
+    // Scale the row to get a leading 1
+    var pivot = values[pivotRow * cols + col];
+    for (i = col; i < cols; i++) {
+      values[pivotRow * cols + i] /= pivot;
+    }
+    values[pivotRow * cols + col] = 1;
+
+    // Eliminate the values above and below the pivot
+    for (row = 0; row < rows; row++) {
+      var factor = values[row * cols + col];
+      if (row === pivotRow || factor === 0) continue;
+      for (i = col; i < cols; i++) {
+        values[row * cols + i] -= factor * values[pivotRow * cols + i];
+      }
+      values[row * cols + col] = 0;
+    }
+
+    pivotCols.push(col);
+    pivotRow++;
+  }
+
+  return pivotCols;
+}
+
+/**
+ * Get the tolerance to use when reducing the rows of a matrix.
+ *
+ * @param {Matrix} matrix The matrix instance.
+ * @param {number=} opt_tolerance A tolerance to use instead of the default.
+ *
+ * @return {number} The tolerance.
+ *
+ * @private
+ */
+function getRowTolerance(matrix, opt_tolerance) {
+  if (opt_tolerance !== undefined) return opt_tolerance;
+
+  return Math.max(matrix.rows, matrix.cols) * matrix.norm(Infinity) * EPSILON;
+}
+
+/**
+ * Solve A' * X = B for X, using the LU decomposition of A from decomposeLU.
+ * Since P * A = L * U, this solves U' * L' * P * X = B.
+ *
+ * @param {Array.<number>} lu Array of values from decomposeLU.
+ * @param {number} size Number of rows (and columns) of the decomposition.
+ * @param {Array.<number>} pivots Array of pivots from decomposeLU.
+ * @param {Array.<number>} rhs Array of values for B, with one column.
+ * @param {Array.<number>} output Target for the values of X. This must not
+ *     be the same as rhs.
+ *
+ * @private
+ */
+function substituteTransposedLU(lu, size, pivots, rhs, output) {
+  var temp = arrays.getWithLength(size);
+  var row, i, sum;
+
+  // Forward substitution with the lower triangular U'
+  for (row = 0; row < size; row++) {
+    sum = rhs[row];
+    for (i = 0; i < row; i++) {
+      sum -= lu[i * size + row] * temp[i];
+    }
+    temp[row] = sum / lu[row * size + row];
+  }
+
+  // Back substitution with the unit upper triangular L'
+  for (row = size; row--;) {
+    sum = temp[row];
+    for (i = row + 1; i < size; i++) {
+      sum -= lu[i * size + row] * temp[i];
+    }
+    temp[row] = sum;
+  }
+
+  // Undo the row permutation
+  for (row = 0; row < size; row++) {
+    output[pivots[row]] = temp[row];
+  }
+
+  arrays.giveBack(temp);
+}
+
+/**
+ * Estimate the 1-norm of the inverse of a matrix, without calculating the
+ * inverse. This uses the method by Hager (1984), which looks for the vector
+ * that A^-1 stretches the most by solving a few systems with A and A'.
+ *
+ * @param {Array.<number>} lu Array of values from decomposeLU, for a matrix
+ *     that is not singular.
+ * @param {number} size Number of rows (and columns) of the decomposition.
+ * @param {Array.<number>} pivots Array of pivots from decomposeLU.
+ *
+ * @return {number} The estimate, which is never larger than the real norm.
+ *
+ * @private
+ */
+function estimateInverseNorm1(lu, size, pivots) {
+  var x = new Array(size);
+  var y = new Array(size);
+  var z = new Array(size);
+  var estimate = 0;
+  var i;
+
+  for (i = 0; i < size; i++) {
+    x[i] = 1 / size;
+  }
+
+  for (var iteration = 0; iteration < 5; iteration++) {
+    substituteLU(lu, size, pivots, x, 1, y);
+
+    estimate = 0;
+    for (i = 0; i < size; i++) {
+      estimate += Math.abs(y[i]);
+      y[i] = y[i] < 0 ? -1 : 1;
+    }
+
+    substituteTransposedLU(lu, size, pivots, y, z);
+
+    // Stop when no unit vector would give a larger value
+    var maxIndex = 0;
+    var product = 0;
+    for (i = 0; i < size; i++) {
+      if (Math.abs(z[i]) > Math.abs(z[maxIndex])) maxIndex = i;
+      product += z[i] * x[i];
+    }
+    if (Math.abs(z[maxIndex]) <= product) break;
+
+    for (i = 0; i < size; i++) {
+      x[i] = i === maxIndex ? 1 : 0;
+    }
+  }
+
+  return estimate;
+}
+
+/**
+ * Get the 1-norm of a matrix, which is the largest sum of absolute values in
+ * a column.
+ *
+ * @param {Array.<number>} values Array of values.
+ * @param {number} rows Number of rows.
+ * @param {number} cols Number of columns.
+ *
+ * @return {number} The norm.
+ *
+ * @private
+ */
+function getNorm1(values, rows, cols) {
+  var result = 0;
+
+  for (var col = 0; col < cols; col++) {
+    var sum = 0;
+    for (var row = 0; row < rows; row++) {
+      sum += Math.abs(values[row * cols + col]);
+    }
+    result = Math.max(result, sum);
+  }
+
+  return result;
+}
+
+/**
+ * Decompose a matrix into QR form using Householder reflections. The values
+ * are overwritten with R, and the reflections that make up Q are returned.
+ *
+ * @param {Array.<number>} values Array of values, which will be modified.
+ * @param {number} rows Number of rows.
+ * @param {number} cols Number of columns.
+ *
+ * @return {Array.<Array.<number>>} List of unit vectors, one for each
+ *     reflection H = I - 2 * v * v', in the order they were applied. A vector
+ *     is null if no reflection was needed for that column.
+ *
+ * @private
+ */
+function decomposeQR(values, rows, cols) {
+  var steps = Math.min(rows - 1, cols);
+  var reflectors = new Array(Math.max(steps, 0));
+  var row, col, norm, sum;
+
+  for (var k = 0; k < steps; k++) {
+
+    // Get the norm of the column, from the diagonal and down
+    norm = 0;
+    for (row = k; row < rows; row++) {
+      norm += values[row * cols + k] * values[row * cols + k];
+    }
+    norm = Math.sqrt(norm);
+
+    // Nothing to eliminate if the column is already zero
+    if (norm === 0) {
+      reflectors[k] = null;
+      continue;
+    }
+
+    // Reflect the column onto the diagonal, choosing the sign that avoids
+    // cancellation
+    var diagonal = values[k * cols + k];
+    var alpha = diagonal > 0 ? -norm : norm;
+    var vector = new Array(rows);
+    var vectorNorm = 0;
+    for (row = 0; row < rows; row++) {
+      vector[row] = row < k ? 0 : values[row * cols + k];
+    }
+    vector[k] -= alpha;
+    for (row = k; row < rows; row++) {
+      vectorNorm += vector[row] * vector[row];
+    }
+    vectorNorm = Math.sqrt(vectorNorm);
+
+    if (vectorNorm === 0) {
+      reflectors[k] = null;
+      continue;
+    }
+
+    for (row = k; row < rows; row++) {
+      vector[row] /= vectorNorm;
+    }
+    reflectors[k] = vector;
+
+    // Apply the reflection to the remaining columns
+    for (col = k + 1; col < cols; col++) {
+      sum = 0;
+      for (row = k; row < rows; row++) {
+        sum += vector[row] * values[row * cols + col];
+      }
+      sum *= 2;
+      for (row = k; row < rows; row++) {
+        values[row * cols + col] -= sum * vector[row];
+      }
+    }
+
+    // The column itself is known, so set it exactly
+    values[k * cols + k] = alpha;
+    for (row = k + 1; row < rows; row++) {
+      values[row * cols + k] = 0;
+    }
+  }
+
+  return reflectors;
+}
+
+/**
+ * Apply Householder reflections from decomposeQR to the left of a matrix.
+ * Applying them in order gives Q' * B, and in reverse order gives Q * B.
+ *
+ * @param {Array.<Array.<number>>} reflectors Reflections from decomposeQR.
+ * @param {Array.<number>|Matrix} values Values of B, which will be modified.
+ * @param {number} cols Number of columns in B.
+ * @param {boolean} reverse Whether to apply the reflections in reverse order.
+ *
+ * @private
+ */
+function applyReflectors(reflectors, values, cols, reverse) {
+  var count = reflectors.length;
+
+  for (var n = 0; n < count; n++) {
+    var vector = reflectors[reverse ? count - 1 - n : n];
+    if (!vector) continue;
+
+    var rows = vector.length;
+    for (var col = 0; col < cols; col++) {
+      var sum = 0;
+      var row;
+      for (row = 0; row < rows; row++) {
+        sum += vector[row] * values[row * cols + col];
+      }
+      sum *= 2;
+      for (row = 0; row < rows; row++) {
+        values[row * cols + col] -= sum * vector[row];
+      }
+    }
+  }
+}
+
+/**
+ * Compute the singular value decomposition of a matrix, using the one-sided
+ * Jacobi method. Columns are rotated in pairs until they are orthogonal,
+ * after which their norms are the singular values.
+ *
+ * @param {Array.<number>} values Array of values, which will be modified.
+ * @param {number} rows Number of rows.
+ * @param {number} cols Number of columns.
+ *
+ * @return {{u: Array.<number>, s: Array.<number>, v: Array.<number>}} The
+ *     factors, where u is a rows x k array, v is a cols x k array and s is
+ *     the k singular values in descending order, with k = min(rows, cols).
+ *
+ * @private
+ */
+function decomposeSVD(values, rows, cols) {
+  var row, col, i;
+
+  // The method works on the columns, so wide matrices are decomposed through
+  // their transpose, swapping U and V afterwards.
+  if (rows < cols) {
+    var transposed = new Array(values.length);
+    for (row = 0; row < rows; row++) {
+      for (col = 0; col < cols; col++) {
+        transposed[col * rows + row] = values[row * cols + col];
+      }
+    }
+    var result = decomposeSVD(transposed, cols, rows);
+    return {u: result.v, s: result.s, v: result.u};
+  }
+
+  var v = new Array(cols * cols);
+  for (i = 0; i < v.length; i++) {
+    v[i] = i % (cols + 1) ? 0 : 1;
+  }
+
+  // Sweep over all pairs of columns until they are all orthogonal
+  var rotated = true;
+  for (var sweep = 0; rotated && sweep < 100; sweep++) {
+    rotated = false;
+
+    for (var p = 0; p < cols - 1; p++) {
+      for (var q = p + 1; q < cols; q++) {
+        var alpha = 0;
+        var beta = 0;
+        var gamma = 0;
+        for (row = 0; row < rows; row++) {
+          var valueP = values[row * cols + p];
+          var valueQ = values[row * cols + q];
+          alpha += valueP * valueP;
+          beta += valueQ * valueQ;
+          gamma += valueP * valueQ;
+        }
+
+        if (gamma === 0 || Math.abs(gamma) <= EPSILON * Math.sqrt(alpha * beta)) {
+          continue;
+        }
+        rotated = true;
+
+        // Get the rotation that makes the two columns orthogonal
+        var zeta = (beta - alpha) / (2 * gamma);
+        var tangent = (zeta < 0 ? -1 : 1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+        var cosine = 1 / Math.sqrt(1 + tangent * tangent);
+        var sine = cosine * tangent;
+
+        rotateColumns(values, rows, cols, p, q, cosine, sine);
+        rotateColumns(v, cols, cols, p, q, cosine, sine);
+      }
+    }
+  }
+
+  // The singular values are the norms of the columns
+  var s = new Array(cols);
+  var order = new Array(cols);
+  for (col = 0; col < cols; col++) {
+    var norm = 0;
+    for (row = 0; row < rows; row++) {
+      norm += values[row * cols + col] * values[row * cols + col];
+    }
+    s[col] = Math.sqrt(norm);
+    order[col] = col;
+  }
+  order.sort(function(a, b) {
+    return s[b] - s[a];
+  });
+
+  // Normalize the columns to get U, sorted by the singular values
+  var u = new Array(rows * cols);
+  var sortedS = new Array(cols);
+  var sortedV = new Array(cols * cols);
+  var tolerance = (s[order[0]] || 0) * Math.max(rows, cols) * EPSILON;
+  for (i = 0; i < cols; i++) {
+    col = order[i];
+    sortedS[i] = s[col];
+    for (row = 0; row < rows; row++) {
+      u[row * cols + i] = s[col] > tolerance ? values[row * cols + col] / s[col] : 0;
+    }
+    for (row = 0; row < cols; row++) {
+      sortedV[row * cols + i] = v[row * cols + col];
+    }
+  }
+
+  // Columns for singular values of zero are arbitrary, but they should still
+  // be orthonormal to the others
+  for (i = 0; i < cols; i++) {
+    if (sortedS[i] <= tolerance) {
+      completeColumn(u, rows, cols, i);
+    }
+  }
+
+  return {u: u, s: sortedS, v: sortedV};
+}
+
+/**
+ * Apply a plane rotation to two columns of a matrix.
+ *
+ * @param {Array.<number>} values Array of values, which will be modified.
+ * @param {number} rows Number of rows.
+ * @param {number} cols Number of columns.
+ * @param {number} p Index of the first column.
+ * @param {number} q Index of the second column.
+ * @param {number} cosine Cosine of the rotation angle.
+ * @param {number} sine Sine of the rotation angle.
+ *
+ * @private
+ */
+function rotateColumns(values, rows, cols, p, q, cosine, sine) {
+  for (var row = 0; row < rows; row++) {
+    var valueP = values[row * cols + p];
+    var valueQ = values[row * cols + q];
+    values[row * cols + p] = cosine * valueP - sine * valueQ;
+    values[row * cols + q] = sine * valueP + cosine * valueQ;
+  }
+}
+
+/**
+ * Replace a column of a matrix with a unit vector that is orthogonal to all
+ * other non-zero columns, by orthogonalizing the standard basis vectors.
+ *
+ * @param {Array.<number>} values Array of values, which will be modified.
+ * @param {number} rows Number of rows.
+ * @param {number} cols Number of columns.
+ * @param {number} target Index of the column to replace.
+ *
+ * @private
+ */
+function completeColumn(values, rows, cols, target) {
+  var vector = new Array(rows);
+  var row, col, i;
+
+  for (var basis = 0; basis < rows; basis++) {
+    for (row = 0; row < rows; row++) {
+      vector[row] = row === basis ? 1 : 0;
+    }
+
+    // Remove the parts along the other columns, twice for stability
+    for (var pass = 0; pass < 2; pass++) {
+      for (col = 0; col < cols; col++) {
+        if (col === target) continue;
+        var dot = 0;
+        for (row = 0; row < rows; row++) {
+          dot += values[row * cols + col] * vector[row];
+        }
+        for (row = 0; row < rows; row++) {
+          vector[row] -= dot * values[row * cols + col];
+        }
+      }
+    }
+
+    var norm = 0;
+    for (i = 0; i < rows; i++) {
+      norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm);
+
+    // A large enough remainder means the basis vector was independent
+    if (norm > 0.5) {
+      for (row = 0; row < rows; row++) {
+        values[row * cols + target] = vector[row] / norm;
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * Reduce a symmetric matrix to tridiagonal form with Householder
+ * transformations, accumulating the transformations.
+ * This is based on the tred2 procedure from EISPACK.
+ *
+ * @param {Array.<Array.<number>>} v Rows of the matrix. This will be
+ *     overwritten with the accumulated transformations.
+ * @param {Array.<number>} d Array that will be filled with the diagonal.
+ * @param {Array.<number>} e Array that will be filled with the subdiagonal,
+ *     starting at index 1.
+ *
+ * @private
+ */
+function tridiagonalize(v, d, e) {
+  var n = v.length;
+  var i, j, k, f, g, h, hh, scale;
+
+  if (n === 0) return;
+
+  for (j = 0; j < n; j++) {
+    d[j] = v[n - 1][j];
+  }
+
+  for (i = n - 1; i > 0; i--) {
+    scale = 0;
+    h = 0;
+    for (k = 0; k < i; k++) {
+      scale += Math.abs(d[k]);
+    }
+
+    if (scale === 0) {
+      e[i] = d[i - 1];
+      for (j = 0; j < i; j++) {
+        d[j] = v[i - 1][j];
+        v[i][j] = 0;
+        v[j][i] = 0;
+      }
+    } else {
+
+      // Generate the Householder vector
+      for (k = 0; k < i; k++) {
+        d[k] /= scale;
+        h += d[k] * d[k];
+      }
+      f = d[i - 1];
+      g = Math.sqrt(h);
+      if (f > 0) g = -g;
+      e[i] = scale * g;
+      h -= f * g;
+      d[i - 1] = f - g;
+      for (j = 0; j < i; j++) {
+        e[j] = 0;
+      }
+
+      // Apply the similarity transformation to the remaining columns
+      for (j = 0; j < i; j++) {
+        f = d[j];
+        v[j][i] = f;
+        g = e[j] + v[j][j] * f;
+        for (k = j + 1; k <= i - 1; k++) {
+          g += v[k][j] * d[k];
+          e[k] += v[k][j] * f;
+        }
+        e[j] = g;
+      }
+      f = 0;
+      for (j = 0; j < i; j++) {
+        e[j] /= h;
+        f += e[j] * d[j];
+      }
+      hh = f / (h + h);
+      for (j = 0; j < i; j++) {
+        e[j] -= hh * d[j];
+      }
+      for (j = 0; j < i; j++) {
+        f = d[j];
+        g = e[j];
+        for (k = j; k <= i - 1; k++) {
+          v[k][j] -= f * e[k] + g * d[k];
+        }
+        d[j] = v[i - 1][j];
+        v[i][j] = 0;
+      }
+    }
+    d[i] = h;
+  }
+
+  // Accumulate the transformations
+  for (i = 0; i < n - 1; i++) {
+    v[n - 1][i] = v[i][i];
+    v[i][i] = 1;
+    h = d[i + 1];
+    if (h !== 0) {
+      for (k = 0; k <= i; k++) {
+        d[k] = v[k][i + 1] / h;
+      }
+      for (j = 0; j <= i; j++) {
+        g = 0;
+        for (k = 0; k <= i; k++) {
+          g += v[k][i + 1] * v[k][j];
+        }
+        for (k = 0; k <= i; k++) {
+          v[k][j] -= g * d[k];
+        }
+      }
+    }
+    for (k = 0; k <= i; k++) {
+      v[k][i + 1] = 0;
+    }
+  }
+  for (j = 0; j < n; j++) {
+    d[j] = v[n - 1][j];
+    v[n - 1][j] = 0;
+  }
+  v[n - 1][n - 1] = 1;
+  e[0] = 0;
+}
+
+/**
+ * Diagonalize a symmetric tridiagonal matrix with the implicit QL method,
+ * and sort the eigenvalues in ascending order.
+ * This is based on the tql2 procedure from EISPACK.
+ *
+ * @param {Array.<Array.<number>>} v Rows of the transformations from
+ *     tridiagonalize. This will be overwritten with the eigenvectors.
+ * @param {Array.<number>} d The diagonal. This will be overwritten with the
+ *     eigenvalues.
+ * @param {Array.<number>} e The subdiagonal. This will be overwritten with
+ *     zeros.
+ *
+ * @private
+ */
+function diagonalizeTridiagonal(v, d, e) {
+  var n = v.length;
+  var i, j, k, l, m, c, c2, c3, dl1, el1, f, g, h, p, r, s, s2, tst1;
+
+  for (i = 1; i < n; i++) {
+    e[i - 1] = e[i];
+  }
+  if (n > 0) e[n - 1] = 0;
+
+  f = 0;
+  tst1 = 0;
+  for (l = 0; l < n; l++) {
+
+    // Find a small subdiagonal element
+    tst1 = Math.max(tst1, Math.abs(d[l]) + Math.abs(e[l]));
+    m = l;
+    while (m < n) {
+      if (Math.abs(e[m]) <= EPSILON * tst1) break;
+      m++;
+    }
+
+    // If m === l, d[l] is already an eigenvalue, otherwise iterate
+    if (m > l) {
+      var iterations = 0;
+      do {
+        if (++iterations > 30 * n) {
+          throw new Error('Eigenvalue computation did not converge.');
+        }
+
+        // Compute the implicit shift
+        g = d[l];
+        p = (d[l + 1] - g) / (2 * e[l]);
+        r = complex.hypot(p, 1);
+        if (p < 0) r = -r;
+        d[l] = e[l] / (p + r);
+        d[l + 1] = e[l] * (p + r);
+        dl1 = d[l + 1];
+        h = g - d[l];
+        for (i = l + 2; i < n; i++) {
+          d[i] -= h;
+        }
+        f += h;
+
+        // Implicit QL transformation
+        p = d[m];
+        c = 1;
+        c2 = c;
+        c3 = c;
+        el1 = e[l + 1];
+        s = 0;
+        s2 = 0;
+        for (i = m - 1; i >= l; i--) {
+          c3 = c2;
+          c2 = c;
+          s2 = s;
+          g = c * e[i];
+          h = c * p;
+          r = complex.hypot(p, e[i]);
+          e[i + 1] = s * r;
+          s = e[i] / r;
+          c = p / r;
+          p = c * d[i] - s * g;
+          d[i + 1] = h + s * (c * g + s * d[i]);
+
+          // Accumulate the transformation
+          for (k = 0; k < n; k++) {
+            h = v[k][i + 1];
+            v[k][i + 1] = s * v[k][i] + c * h;
+            v[k][i] = c * v[k][i] - s * h;
+          }
+        }
+        p = -s * s2 * c3 * el1 * e[l] / dl1;
+        e[l] = s * p;
+        d[l] = c * p;
+
+      } while (Math.abs(e[l]) > EPSILON * tst1);
+    }
+    d[l] = d[l] + f;
+    e[l] = 0;
+  }
+
+  // Sort the eigenvalues and the corresponding vectors
+  for (i = 0; i < n - 1; i++) {
+    k = i;
+    p = d[i];
+    for (j = i + 1; j < n; j++) {
+      if (d[j] < p) {
+        k = j;
+        p = d[j];
+      }
+    }
+    if (k !== i) {
+      d[k] = d[i];
+      d[i] = p;
+      for (j = 0; j < n; j++) {
+        p = v[j][i];
+        v[j][i] = v[j][k];
+        v[j][k] = p;
+      }
+    }
+  }
+}
+
+/**
+ * Reduce a general matrix to upper Hessenberg form with orthogonal
+ * similarity transformations, accumulating the transformations.
+ * This is based on the orthes and ortran procedures from EISPACK.
+ *
+ * @param {Array.<Array.<number>>} h Rows of the matrix. This will be
+ *     overwritten with the Hessenberg form.
+ * @param {Array.<Array.<number>>} v Rows that will be filled with the
+ *     accumulated transformations.
+ *
+ * @private
+ */
+function reduceToHessenberg(h, v) {
+  var n = h.length;
+  var high = n - 1;
+  var ort = new Array(n);
+  var i, j, m, f, g, hh, scale;
+
+  for (m = 1; m <= high - 1; m++) {
+    scale = 0;
+    for (i = m; i <= high; i++) {
+      scale += Math.abs(h[i][m - 1]);
+    }
+
+    if (scale !== 0) {
+
+      // Compute the Householder transformation
+      hh = 0;
+      for (i = high; i >= m; i--) {
+        ort[i] = h[i][m - 1] / scale;
+        hh += ort[i] * ort[i];
+      }
+      g = Math.sqrt(hh);
+      if (ort[m] > 0) g = -g;
+      hh -= ort[m] * g;
+      ort[m] -= g;
+
+      // Apply the Householder similarity transformation
+      for (j = m; j < n; j++) {
+        f = 0;
+        for (i = high; i >= m; i--) {
+          f += ort[i] * h[i][j];
+        }
+        f /= hh;
+        for (i = m; i <= high; i++) {
+          h[i][j] -= f * ort[i];
+        }
+      }
+      for (i = 0; i <= high; i++) {
+        f = 0;
+        for (j = high; j >= m; j--) {
+          f += ort[j] * h[i][j];
+        }
+        f /= hh;
+        for (j = m; j <= high; j++) {
+          h[i][j] -= f * ort[j];
+        }
+      }
+      ort[m] = scale * ort[m];
+      h[m][m - 1] = scale * g;
+    }
+  }
+
+  // Accumulate the transformations
+  for (i = 0; i < n; i++) {
+    for (j = 0; j < n; j++) {
+      v[i][j] = i === j ? 1 : 0;
+    }
+  }
+  for (m = high - 1; m >= 1; m--) {
+    if (h[m][m - 1] !== 0) {
+      for (i = m + 1; i <= high; i++) {
+        ort[i] = h[i][m - 1];
+      }
+      for (j = m; j <= high; j++) {
+        g = 0;
+        for (i = m; i <= high; i++) {
+          g += ort[i] * v[i][j];
+        }
+        g = (g / ort[m]) / h[m][m - 1];
+        for (i = m; i <= high; i++) {
+          v[i][j] += g * ort[i];
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Reduce an upper Hessenberg matrix to real Schur form with the shifted QR
+ * method, and compute the eigenvectors by back substitution.
+ * This is based on the hqr2 procedure from EISPACK.
+ *
+ * @param {Array.<Array.<number>>} h Rows of the Hessenberg matrix. This will
+ *     be modified.
+ * @param {Array.<Array.<number>>} v Rows of the transformations from
+ *     reduceToHessenberg. This will be overwritten with the eigenvectors.
+ * @param {Array.<number>} d Array that will be filled with the real parts of
+ *     the eigenvalues.
+ * @param {Array.<number>} e Array that will be filled with the imaginary
+ *     parts of the eigenvalues.
+ *
+ * @private
+ */
+function reduceHessenbergToSchur(h, v, d, e) {
+  var nn = h.length;
+  var n = nn - 1;
+  var exshift = 0;
+  var p = 0;
+  var q = 0;
+  var r = 0;
+  var s = 0;
+  var z = 0;
+  var i, j, k, l, m, t, w, x, y, ra, sa, vr, vi, notlast, quotient;
+
+  // Store the norm of the matrix, used for small values
+  var norm = 0;
+  for (i = 0; i < nn; i++) {
+    for (j = Math.max(i - 1, 0); j < nn; j++) {
+      norm += Math.abs(h[i][j]);
+    }
+  }
+
+  // Outer loop over the eigenvalue index
+  var iterations = 0;
+  var totalIterations = 0;
+  while (n >= 0) {
+    if (++totalIterations > 100 * nn) {
+      throw new Error('Eigenvalue computation did not converge.');
+    }
+
+    // Look for a single small subdiagonal element
+    l = n;
+    while (l > 0) {
+      s = Math.abs(h[l - 1][l - 1]) + Math.abs(h[l][l]);
+      if (s === 0) s = norm;
+      if (Math.abs(h[l][l - 1]) < EPSILON * s) break;
+      l--;
+    }
+
+    // One root found
+    if (l === n) {
+      h[n][n] += exshift;
+      d[n] = h[n][n];
+      e[n] = 0;
+      n--;
+      iterations = 0;
+
+    // Two roots found
+    } else if (l === n - 1) {
+      w = h[n][n - 1] * h[n - 1][n];
+      p = (h[n - 1][n - 1] - h[n][n]) / 2;
+      q = p * p + w;
+      z = Math.sqrt(Math.abs(q));
+      h[n][n] += exshift;
+      h[n - 1][n - 1] += exshift;
+      x = h[n][n];
+
+      // Real pair
+      if (q >= 0) {
+        z = p >= 0 ? p + z : p - z;
+        d[n - 1] = x + z;
+        d[n] = d[n - 1];
+        if (z !== 0) d[n] = x - w / z;
+        e[n - 1] = 0;
+        e[n] = 0;
+        x = h[n][n - 1];
+        s = Math.abs(x) + Math.abs(z);
+        p = x / s;
+        q = z / s;
+        r = Math.sqrt(p * p + q * q);
+        p /= r;
+        q /= r;
+
+        // Row modification
+        for (j = n - 1; j < nn; j++) {
+          z = h[n - 1][j];
+          h[n - 1][j] = q * z + p * h[n][j];
+          h[n][j] = q * h[n][j] - p * z;
+        }
+
+        // Column modification
+        for (i = 0; i <= n; i++) {
+          z = h[i][n - 1];
+          h[i][n - 1] = q * z + p * h[i][n];
+          h[i][n] = q * h[i][n] - p * z;
+        }
+
+        // Accumulate the transformations
+        for (i = 0; i < nn; i++) {
+          z = v[i][n - 1];
+          v[i][n - 1] = q * z + p * v[i][n];
+          v[i][n] = q * v[i][n] - p * z;
+        }
+
+      // Complex pair
+      } else {
+        d[n - 1] = x + p;
+        d[n] = x + p;
+        e[n - 1] = z;
+        e[n] = -z;
+      }
+      n -= 2;
+      iterations = 0;
+
+    // No convergence yet
+    } else {
+
+      // Form the shift
+      x = h[n][n];
+      y = 0;
+      w = 0;
+      if (l < n) {
+        y = h[n - 1][n - 1];
+        w = h[n][n - 1] * h[n - 1][n];
+      }
+
+      // Wilkinson's original ad hoc shift
+      if (iterations === 10) {
+        exshift += x;
+        for (i = 0; i <= n; i++) {
+          h[i][i] -= x;
+        }
+        s = Math.abs(h[n][n - 1]) + Math.abs(h[n - 1][n - 2]);
+        x = y = 0.75 * s;
+        w = -0.4375 * s * s;
+      }
+
+      // MATLAB's new ad hoc shift
+      if (iterations === 30) {
+        s = (y - x) / 2;
+        s = s * s + w;
+        if (s > 0) {
+          s = Math.sqrt(s);
+          if (y < x) s = -s;
+          s = x - w / ((y - x) / 2 + s);
+          for (i = 0; i <= n; i++) {
+            h[i][i] -= s;
+          }
+          exshift += s;
+          x = y = w = 0.964;
+        }
+      }
+
+      iterations++;
+
+      // Look for two consecutive small subdiagonal elements
+      m = n - 2;
+      while (m >= l) {
+        z = h[m][m];
+        r = x - z;
+        s = y - z;
+        p = (r * s - w) / h[m + 1][m] + h[m][m + 1];
+        q = h[m + 1][m + 1] - z - r - s;
+        r = h[m + 2][m + 1];
+        s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+        p /= s;
+        q /= s;
+        r /= s;
+        if (m === l) break;
+        if (Math.abs(h[m][m - 1]) * (Math.abs(q) + Math.abs(r)) <
+            EPSILON * (Math.abs(p) * (Math.abs(h[m - 1][m - 1]) + Math.abs(z) + Math.abs(h[m + 1][m + 1])))) {
+          break;
+        }
+        m--;
+      }
+
+      for (i = m + 2; i <= n; i++) {
+        h[i][i - 2] = 0;
+        if (i > m + 2) h[i][i - 3] = 0;
+      }
+
+      // Double QR step involving rows l to n and columns m to n
+      for (k = m; k <= n - 1; k++) {
+        notlast = k !== n - 1;
+        if (k !== m) {
+          p = h[k][k - 1];
+          q = h[k + 1][k - 1];
+          r = notlast ? h[k + 2][k - 1] : 0;
+          x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+          if (x === 0) continue;
+          p /= x;
+          q /= x;
+          r /= x;
+        }
+
+        s = Math.sqrt(p * p + q * q + r * r);
+        if (p < 0) s = -s;
+
+        if (s !== 0) {
+          if (k !== m) {
+            h[k][k - 1] = -s * x;
+          } else if (l !== m) {
+            h[k][k - 1] = -h[k][k - 1];
+          }
+          p += s;
+          x = p / s;
+          y = q / s;
+          z = r / s;
+          q /= p;
+          r /= p;
+
+          // Row modification
+          for (j = k; j < nn; j++) {
+            p = h[k][j] + q * h[k + 1][j];
+            if (notlast) {
+              p += r * h[k + 2][j];
+              h[k + 2][j] -= p * z;
+            }
+            h[k][j] -= p * x;
+            h[k + 1][j] -= p * y;
+          }
+
+          // Column modification
+          for (i = 0; i <= Math.min(n, k + 3); i++) {
+            p = x * h[i][k] + y * h[i][k + 1];
+            if (notlast) {
+              p += z * h[i][k + 2];
+              h[i][k + 2] -= p * r;
+            }
+            h[i][k] -= p;
+            h[i][k + 1] -= p * q;
+          }
+
+          // Accumulate the transformations
+          for (i = 0; i < nn; i++) {
+            p = x * v[i][k] + y * v[i][k + 1];
+            if (notlast) {
+              p += z * v[i][k + 2];
+              v[i][k + 2] -= p * r;
+            }
+            v[i][k] -= p;
+            v[i][k + 1] -= p * q;
+          }
+        }
+      }
+    }
+  }
+
+  // Back substitute to find the vectors of the upper triangular form
+  if (norm === 0) return;
+
+  for (n = nn - 1; n >= 0; n--) {
+    p = d[n];
+    q = e[n];
+
+    // Real vector
+    if (q === 0) {
+      l = n;
+      h[n][n] = 1;
+      for (i = n - 1; i >= 0; i--) {
+        w = h[i][i] - p;
+        r = 0;
+        for (j = l; j <= n; j++) {
+          r += h[i][j] * h[j][n];
+        }
+        if (e[i] < 0) {
+          z = w;
+          s = r;
+        } else {
+          l = i;
+          if (e[i] === 0) {
+            h[i][n] = w !== 0 ? -r / w : -r / (EPSILON * norm);
+
+          // Solve the real equations
+          } else {
+            x = h[i][i + 1];
+            y = h[i + 1][i];
+            q = (d[i] - p) * (d[i] - p) + e[i] * e[i];
+            t = (x * s - z * r) / q;
+            h[i][n] = t;
+            h[i + 1][n] = Math.abs(x) > Math.abs(z) ? (-r - w * t) / x : (-s - y * t) / z;
+          }
+
+          // Overflow control
+          t = Math.abs(h[i][n]);
+          if ((EPSILON * t) * t > 1) {
+            for (j = i; j <= n; j++) {
+              h[j][n] /= t;
+            }
+          }
+        }
+      }
+
+    // Complex vector
+    } else if (q < 0) {
+      l = n - 1;
+
+      // The last vector component is imaginary, so the matrix is triangular
+      if (Math.abs(h[n][n - 1]) > Math.abs(h[n - 1][n])) {
+        h[n - 1][n - 1] = q / h[n][n - 1];
+        h[n - 1][n] = -(h[n][n] - p) / h[n][n - 1];
+      } else {
+        quotient = complex.divide(0, -h[n - 1][n], h[n - 1][n - 1] - p, q);
+        h[n - 1][n - 1] = quotient[0];
+        h[n - 1][n] = quotient[1];
+      }
+      h[n][n - 1] = 0;
+      h[n][n] = 1;
+      for (i = n - 2; i >= 0; i--) {
+        ra = 0;
+        sa = 0;
+        for (j = l; j <= n; j++) {
+          ra += h[i][j] * h[j][n - 1];
+          sa += h[i][j] * h[j][n];
+        }
+        w = h[i][i] - p;
+
+        if (e[i] < 0) {
+          z = w;
+          r = ra;
+          s = sa;
+        } else {
+          l = i;
+          if (e[i] === 0) {
+            quotient = complex.divide(-ra, -sa, w, q);
+            h[i][n - 1] = quotient[0];
+            h[i][n] = quotient[1];
+
+          // Solve the complex equations
+          } else {
+            x = h[i][i + 1];
+            y = h[i + 1][i];
+            vr = (d[i] - p) * (d[i] - p) + e[i] * e[i] - q * q;
+            vi = (d[i] - p) * 2 * q;
+            if (vr === 0 && vi === 0) {
+              vr = EPSILON * norm * (Math.abs(w) + Math.abs(q) + Math.abs(x) + Math.abs(y) + Math.abs(z));
+            }
+            quotient = complex.divide(x * r - z * ra + q * sa, x * s - z * sa - q * ra, vr, vi);
+            h[i][n - 1] = quotient[0];
+            h[i][n] = quotient[1];
+            if (Math.abs(x) > Math.abs(z) + Math.abs(q)) {
+              h[i + 1][n - 1] = (-ra - w * h[i][n - 1] + q * h[i][n]) / x;
+              h[i + 1][n] = (-sa - w * h[i][n] - q * h[i][n - 1]) / x;
+            } else {
+              quotient = complex.divide(-r - y * h[i][n - 1], -s - y * h[i][n], z, q);
+              h[i + 1][n - 1] = quotient[0];
+              h[i + 1][n] = quotient[1];
+            }
+          }
+
+          // Overflow control
+          t = Math.max(Math.abs(h[i][n - 1]), Math.abs(h[i][n]));
+          if ((EPSILON * t) * t > 1) {
+            for (j = i; j <= n; j++) {
+              h[j][n - 1] /= t;
+              h[j][n] /= t;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Back transformation to get the eigenvectors of the original matrix
+  for (j = nn - 1; j >= 0; j--) {
+    for (i = 0; i < nn; i++) {
+      z = 0;
+      for (k = 0; k <= j; k++) {
+        z += v[i][k] * h[k][j];
+      }
+      v[i][j] = z;
+    }
+  }
+}
+
+/**
+ * Scale eigenvectors to unit length. The two columns of a complex vector are
+ * scaled together.
+ *
+ * @param {Array.<Array.<number>>} v Rows of the eigenvectors.
+ * @param {Array.<number>} e Imaginary parts of the eigenvalues.
+ *
+ * @private
+ */
+function normalizeEigenvectors(v, e) {
+  var n = v.length;
+  var row, norm;
+
+  for (var col = 0; col < n; col++) {
+    var isComplex = e[col] > 0 && col + 1 < n;
+
+    norm = 0;
+    for (row = 0; row < n; row++) {
+      norm += v[row][col] * v[row][col];
+      if (isComplex) norm += v[row][col + 1] * v[row][col + 1];
+    }
+    norm = Math.sqrt(norm);
+
+    if (norm !== 0) {
+      for (row = 0; row < n; row++) {
+        v[row][col] /= norm;
+        if (isComplex) v[row][col + 1] /= norm;
+      }
+    }
+
+    if (isComplex) col++;
+  }
+}
+
+/**
+ * Solve R * X = B or R' * X = B for X, where R is upper triangular.
+ *
+ * @param {Array.<number>} values Array of values, where the upper triangular
+ *     part of the first size rows and columns is R.
+ * @param {number} cols Number of columns in the values array.
+ * @param {number} size Number of rows (and columns) in R.
+ * @param {Array.<number>} rhs Array of values for B, with at least size rows.
+ * @param {number} rhsCols Number of columns in B.
+ * @param {Array.<number>|Matrix} output Target for the first size rows of X.
+ * @param {boolean} transposed Whether to solve with R' instead of R.
+ *
+ * @private
+ */
+function substituteTriangular(values, cols, size, rhs, rhsCols, output, transposed) {
+  var row, i, sum;
+
+  for (var col = 0; col < rhsCols; col++) {
+
+    // Forward substitution with the lower triangular R'
+    if (transposed) {
+      for (row = 0; row < size; row++) {
+        sum = rhs[row * rhsCols + col];
+        for (i = 0; i < row; i++) {
+          sum -= values[i * cols + row] * output[i * rhsCols + col];
+        }
+        output[row * rhsCols + col] = sum / values[row * cols + row];
+      }
+
+    // Back substitution with the upper triangular R
+    } else {
+      for (row = size; row--;) {
+        sum = rhs[row * rhsCols + col];
+        for (i = row + 1; i < size; i++) {
+          sum -= values[row * cols + i] * output[i * rhsCols + col];
+        }
+        output[row * rhsCols + col] = sum / values[row * cols + row];
+      }
+    }
+  }
+}
+
+/**
+ * Check if an LU decomposition is of a singular matrix. Elimination rarely
+ * gives exact zeros, so a pivot counts as zero if it's not larger than its
+ * tolerance from decomposeLU.
+ *
+ * @param {Array.<number>} lu Array of values from decomposeLU.
+ * @param {number} size Number of rows (and columns) of the decomposition.
+ * @param {Array.<number>} tolerances Array of tolerances from decomposeLU.
+ *
+ * @return {boolean} True if the matrix is singular.
+ *
+ * @private
+ */
+function isSingularLU(lu, size, tolerances) {
+  for (var i = 0; i < size; i++) {
+    if (Math.abs(lu[i * size + i]) <= tolerances[i]) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Check that all values on the diagonal of a matrix are non-zero.
+ *
+ * @param {Array.<number>} values Array of values.
+ * @param {number} size Number of values on the diagonal to check.
+ * @param {number=} opt_cols Number of columns. Default is same as size.
+ * @param {number=} opt_tolerance The largest absolute value that counts as
+ *     zero. Default is 0.
+ *
+ * @return {boolean} True if no value on the diagonal is zero.
+ *
+ * @private
+ */
+function hasNonZeroDiagonal(values, size, opt_cols, opt_tolerance) {
+  var cols = opt_cols || size;
+  var tolerance = opt_tolerance || 0;
+
+  for (var i = 0; i < size; i++) {
+    if (Math.abs(values[i * cols + i]) <= tolerance) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Get the object that holds the values of a matrix. For the typed storage
+ * types this is the typed array, and otherwise it's the matrix itself.
+ *
+ * @param {Matrix} matrix The matrix instance.
+ *
+ * @return {Matrix|Float64Array|Float32Array} The object with the values.
+ *
+ * @private
+ */
+function getValues(matrix) {
+  return matrix.values || matrix;
+}
+
+/**
+ * Change the number of values that a matrix can hold. With the 'array'
+ * storage type, values beyond the new length are removed. With the typed
+ * storage types, a new typed array is created if the length changes, so the
+ * values must be set again after this. The length of a view can't change.
+ *
+ * @param {Matrix} matrix The matrix instance.
+ * @param {number} length The new number of values.
+ *
+ * @private
+ */
+function setLength(matrix, length) {
+  if (matrix.parent) {
+    if (length !== matrix.length) {
+      throw new Error('The size of a view can not be changed.');
+    }
+    return;
+  }
+
+  if (matrix.values) {
+    if (matrix.values.length !== length) {
+      matrix.values = new STORAGE_TYPES[matrix.storage](length);
+    }
+    return;
+  }
+
+  for (var i = length, l = matrix.length; i < l; i++) {
+    delete matrix[i];
+  }
+}
+
+/**
+ * Check if an object is a typed array.
+ *
+ * @param {*} object The object to check.
+ *
+ * @return {boolean} True if it is a typed array.
+ *
+ * @private
+ */
+function isTypedArray(object) {
+  return object instanceof Float64Array || object instanceof Float32Array;
+}
+
+/**
+ * Combine the values of a matrix with the values of other matrices or
+ * numbers, element by element.
+ *
+ * @param {Matrix} matrix The matrix, which will get the result.
+ * @param {Arguments|Array.<Matrix|number>} operands The matrices or numbers
+ *     to combine with, in order. Matrices with a different size are skipped.
+ * @param {function(number, number):number} combine Function that gets a value
+ *     from the matrix and the value from the operand, and returns the result.
+ * @param {boolean=} opt_broadcast Whether row and column vectors should be
+ *     repeated to the size of the matrix, instead of being skipped.
+ *
+ * @private
+ */
+function combineElements(matrix, operands, combine, opt_broadcast) {
+  var values = getValues(matrix);
+  var numValues = matrix.length;
+  var cols = matrix.cols;
+
+  for (var i = 0, l = operands.length; i < l; i++) {
+    var operand = operands[i];
+    var n;
+
+    if (typeof operand === 'number') {
+      for (n = 0; n < numValues; n++) {
+        values[n] = combine(values[n], operand);
+      }
+      continue;
+    }
+
+    var input = getValues(operand);
+
+    // The size of the matrices must match
+    if (operand.cols === cols && operand.rows === matrix.rows) {
+      for (n = 0; n < numValues; n++) {
+        values[n] = combine(values[n], input[n]);
+      }
+      continue;
+    }
+
+    if (!opt_broadcast || !canBroadcast(matrix, operand)) {
+      continue;
+    }
+
+    // A vector is repeated along the dimension where it has a size of 1
+    var rowStep = operand.rows === 1 ? 0 : operand.cols;
+    var colStep = operand.cols === 1 ? 0 : 1;
+    for (n = 0; n < numValues; n++) {
+      var row = Math.floor(n / cols);
+      var col = n % cols;
+      values[n] = combine(values[n], input[row * rowStep + col * colStep]);
+    }
+  }
+}
+
+/**
+ * Join a list of matrices side by side or on top of each other.
+ *
+ * @param {Arguments|Array.<Matrix>} matrices The matrices to join, in order.
+ * @param {boolean} horizontal Whether to join them side by side. Otherwise
+ *     they are joined on top of each other.
+ * @param {string} operation The name of the operation, for errors.
+ *
+ * @return {Matrix} A new matrix, with the same storage type as the first
+ *     matrix.
+ *
+ * @throws {Error} If there are no matrices.
+ * @throws {MatrixDimensionError} If the sizes don't match.
+ *
+ * @private
+ */
+function concatenate(matrices, horizontal, operation) {
+  if (!matrices.length) {
+    throw new Error('At least one matrix is needed for ' + operation + '.');
+  }
+
+  var first = matrices[0];
+  var rows = horizontal ? first.rows : 0;
+  var cols = horizontal ? 0 : first.cols;
+  var i, l, matrix;
+
+  for (i = 0, l = matrices.length; i < l; i++) {
+    matrix = matrices[i];
+    if (horizontal ? matrix.rows !== rows : matrix.cols !== cols) {
+      throw new MatrixDimensionError(operation, [first.rows, first.cols], [matrix.rows, matrix.cols]);
+    }
+    if (horizontal) {
+      cols += matrix.cols;
+    } else {
+      rows += matrix.rows;
+    }
+  }
+
+  var output = new Matrix(rows, cols, false, first.storage);
+  var outputValues = getValues(output);
+  var rowOffset = 0;
+  var colOffset = 0;
+
+  for (i = 0, l = matrices.length; i < l; i++) {
+    matrix = matrices[i];
+    var values = getValues(matrix);
+    for (var row = 0; row < matrix.rows; row++) {
+      for (var col = 0; col < matrix.cols; col++) {
+        outputValues[(rowOffset + row) * cols + colOffset + col] = values[row * matrix.cols + col];
+      }
+    }
+    if (horizontal) {
+      colOffset += matrix.cols;
+    } else {
+      rowOffset += matrix.rows;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Get a vector with the same direction as a 3D vector, but unit length.
+ *
+ * @param {Array.<number>|Matrix} vector The vector, as [x, y, z].
+ *
+ * @return {Array.<number>?} A new array with the unit vector, or null if the
+ *     vector has zero length.
+ *
+ * @private
+ */
+function normalizeVector(vector) {
+  var values = vector instanceof Matrix ? vector.toArray() : vector;
+  var length = complex.hypot(complex.hypot(values[0], values[1]), values[2]);
+  if (length === 0) return null;
+
+  return [values[0] / length, values[1] / length, values[2] / length];
+}
+
+/**
+ * Get the 4x4 matrix for a CSS transform function.
+ *
+ * @param {string} name The name of the function, in lower case.
+ * @param {Array.<string>} args The arguments of the function.
+ *
+ * @return {Matrix} A new 4x4 matrix.
+ *
+ * @throws {Error} If the function is not supported, or if the arguments are
+ *     not valid for it.
+ *
+ * @private
+ */
+function getCSSTransform(name, args) {
+  if (!CSS_ARGUMENT_COUNTS.hasOwnProperty(name)) {
+    throw new Error('Unsupported CSS transform function: ' + name);
+  }
+
+  var counts = CSS_ARGUMENT_COUNTS[name];
+  var count = args.length;
+  if (count < counts[0] || count > counts[1]) {
+    throw new Error('Invalid number of arguments for CSS transform function: ' + name);
+  }
+
+  var values, x, angle;
+
+  switch (name) {
+    case 'matrix':
+      values = args.map(parseCSSNumber);
+      return new Matrix(4, 4).setData([
+        values[0], values[2], 0, values[4],
+        values[1], values[3], 0, values[5],
+        0, 0, 1, 0,
+        0, 0, 0, 1
+      ]);
+    case 'matrix3d':
+      return new Matrix(4, 4).setData(args.map(parseCSSNumber)).transpose();
+    case 'translate':
+      values = args.map(parseCSSLength);
+      return Matrix.translation(values[0], values[1] || 0, 0);
+    case 'translatex':
+      return Matrix.translation(parseCSSLength(args[0]), 0, 0);
+    case 'translatey':
+      return Matrix.translation(0, parseCSSLength(args[0]), 0);
+    case 'translatez':
+      return Matrix.translation(0, 0, parseCSSLength(args[0]));
+    case 'translate3d':
+      values = args.map(parseCSSLength);
+      return Matrix.translation(values[0], values[1], values[2]);
+    case 'scale':
+      values = args.map(parseCSSNumber);
+      x = values[0];
+      return Matrix.scaling(x, count > 1 ? values[1] : x, 1);
+    case 'scalex':
+      return Matrix.scaling(parseCSSNumber(args[0]), 1, 1);
+    case 'scaley':
+      return Matrix.scaling(1, parseCSSNumber(args[0]), 1);
+    case 'scalez':
+      return Matrix.scaling(1, 1, parseCSSNumber(args[0]));
+    case 'scale3d':
+      values = args.map(parseCSSNumber);
+      return Matrix.scaling(values[0], values[1], values[2]);
+    case 'rotate':
+    case 'rotatez':
+      return Matrix.rotation(parseCSSAngle(args[0]), [0, 0, 1]);
+    case 'rotatex':
+      return Matrix.rotation(parseCSSAngle(args[0]), [1, 0, 0]);
+    case 'rotatey':
+      return Matrix.rotation(parseCSSAngle(args[0]), [0, 1, 0]);
+    case 'rotate3d':
+      angle = parseCSSAngle(args[3]);
+      values = args.slice(0, 3).map(parseCSSNumber);
+
+      // An axis without a direction gives no rotation, like in browsers
+      if (values[0] === 0 && values[1] === 0 && values[2] === 0) return new Matrix(4, 4);
+
+      return Matrix.rotation(angle, values);
+    case 'skew':
+      values = args.map(parseCSSAngle);
+      return Matrix.shear(Math.tan(values[0]), Math.tan(values[1] || 0), 0, 0, 0, 0);
+    case 'skewx':
+      return Matrix.shear(Math.tan(parseCSSAngle(args[0])), 0, 0, 0, 0, 0);
+    case 'skewy':
+      return Matrix.shear(0, Math.tan(parseCSSAngle(args[0])), 0, 0, 0, 0);
+  }
+}
+
+/**
+ * Split a CSS value into its number and unit.
+ *
+ * @param {string} value The CSS value, like '10px'.
+ *
+ * @return {{number: number, unit: string}} The number and the unit in lower
+ *     case, which is an empty string if there is none.
+ *
+ * @throws {Error} If the value does not start with a number.
+ *
+ * @private
+ */
+function splitCSSValue(value) {
+  var match = /^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)([a-z%]*)$/i.exec(value || '');
+  if (!match) {
+    throw new Error('Invalid CSS value: ' + value);
+  }
+
+  return {number: parseFloat(match[1]), unit: match[2].toLowerCase()};
+}
+
+/**
+ * Parse a CSS number without a unit.
+ *
+ * @param {string} value The CSS value.
+ *
+ * @return {number} The number.
+ *
+ * @throws {Error} If the value is not a number.
+ *
+ * @private
+ */
+function parseCSSNumber(value) {
+  var parts = splitCSSValue(value);
+  if (parts.unit) {
+    throw new Error('Invalid CSS number: ' + value);
+  }
+
+  return parts.number;
+}
+
+/**
+ * Parse a CSS length in pixels. Zero can be written without a unit.
+ *
+ * @param {string} value The CSS value, like '10px'.
+ *
+ * @return {number} The length in pixels.
+ *
+ * @throws {Error} If the value is not a length in pixels.
+ *
+ * @private
+ */
+function parseCSSLength(value) {
+  var parts = splitCSSValue(value);
+  if (parts.unit !== 'px' && (parts.unit || parts.number !== 0)) {
+    throw new Error('Unsupported CSS length: ' + value);
+  }
+
+  return parts.number;
+}
+
+/**
+ * Parse a CSS angle. Zero can be written without a unit.
+ *
+ * @param {string} value The CSS value, like '45deg'.
+ *
+ * @return {number} The angle in radians.
+ *
+ * @throws {Error} If the value is not an angle.
+ *
+ * @private
+ */
+function parseCSSAngle(value) {
+  var parts = splitCSSValue(value);
+
+  switch (parts.unit) {
+    case 'deg': return parts.number * Math.PI / 180;
+    case 'grad': return parts.number * Math.PI / 200;
+    case 'rad': return parts.number;
+    case 'turn': return parts.number * 2 * Math.PI;
+  }
+
+  if (parts.unit || parts.number !== 0) {
+    throw new Error('Unsupported CSS angle: ' + value);
+  }
+
+  return 0;
+}
+
+/**
+ * Get the cross product of two 3D vectors.
+ *
+ * @param {Array.<number>} a The first vector, as [x, y, z].
+ * @param {Array.<number>} b The second vector, as [x, y, z].
+ *
+ * @return {Array.<number>} A new array with the cross product.
+ *
+ * @private
+ */
+function crossVectors(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ];
+}
+
+/**
+ * Get the dot product of two 3D vectors.
+ *
+ * @param {Array.<number>} a The first vector, as [x, y, z].
+ * @param {Array.<number>} b The second vector, as [x, y, z].
+ *
+ * @return {number} The dot product.
+ *
+ * @private
+ */
+function dotVectors(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * Check if a matrix can be broadcast to the size of another matrix. That is
+ * the case if every dimension either matches or is 1, so it works for row
+ * vectors, column vectors and 1x1 matrices.
+ *
+ * @param {Matrix} matrix The matrix with the target size.
+ * @param {Matrix} operand The matrix to broadcast.
+ *
+ * @return {boolean} True if it can be broadcast, false otherwise.
+ *
+ * @private
+ */
+function canBroadcast(matrix, operand) {
+  return (operand.rows === matrix.rows || operand.rows === 1) &&
+      (operand.cols === matrix.cols || operand.cols === 1);
+}
+
+/**
+ * Take the matrix that a static method clones out of its list of arguments.
+ * For operations where the order doesn't matter, numbers may come before
+ * it, and they are then used after it instead.
+ *
+ * @param {Array.<Matrix|number>} matrices The arguments. The matrix is
+ *     removed from the list.
+ * @param {string} operation The name of the operation.
+ * @param {boolean} anyOrder Whether the operation allows numbers before the
+ *     first matrix.
+ *
+ * @return {Matrix} The first Matrix instance.
+ *
+ * @throws {Error} If there is no Matrix instance where it's needed.
+ *
+ * @private
+ */
+function shiftFirstMatrix(matrices, operation, anyOrder) {
+  var index = 0;
+  if (anyOrder) {
+    while (index < matrices.length && typeof matrices[index] === 'number') {
+      index++;
+    }
+  }
+
+  if (!(matrices[index] instanceof Matrix)) {
+    throw new Error('Matrix.' + operation + ' needs ' +
+        (anyOrder ? 'at least one Matrix instance.' : 'a Matrix instance as the first argument.'));
+  }
+
+  return matrices.splice(index, 1)[0];
+}
+
+/**
+ * Check that a list of matrices all have the same size as a matrix. Numbers
+ * in the list are ignored.
+ *
+ * @param {Matrix} matrix The matrix instance.
+ * @param {string} operation The name of the operation.
+ * @param {Arguments|Array.<Matrix|number>} matrices The matrices to check.
+ * @param {boolean=} opt_broadcast Whether row and column vectors that can be
+ *     broadcast to the size of the matrix are allowed.
+ *
+ * @throws {MatrixDimensionError} If the size of a matrix doesn't match.
+ *
+ * @private
+ */
+function checkSameSize(matrix, operation, matrices, opt_broadcast) {
+  for (var i = 0, l = matrices.length; i < l; i++) {
+    var input = matrices[i];
+    if (typeof input === 'number') continue;
+    if (opt_broadcast && canBroadcast(matrix, input)) continue;
+    if (input.rows !== matrix.rows || input.cols !== matrix.cols) {
+      throw new MatrixDimensionError(operation, [matrix.rows, matrix.cols], [input.rows, input.cols]);
+    }
+  }
+}
+
+/**
+ * Check that a matrix can be multiplied by a list of matrices and numbers,
+ * in order.
+ *
+ * @param {Matrix} matrix The matrix instance.
+ * @param {string} operation The name of the operation.
+ * @param {Arguments|Array.<Matrix|number>} matrices The matrices to check.
+ * @param {boolean} inverted Whether the matrix is multiplied by the
+ *     (pseudo-)inverse of the matrices, which have their shape swapped.
+ *
+ * @throws {MatrixDimensionError} If the size of a matrix doesn't match.
+ *
+ * @private
+ */
+function checkProductSize(matrix, operation, matrices, inverted) {
+  var rows = matrix.rows;
+  var cols = matrix.cols;
+
+  for (var i = 0, l = matrices.length; i < l; i++) {
+    var input = matrices[i];
+    if (typeof input === 'number') continue;
+
+    var inputRows = inverted ? input.cols : input.rows;
+    var inputCols = inverted ? input.rows : input.cols;
+    if (inputRows !== cols) {
+      throw new MatrixDimensionError(operation, [rows, cols], [input.rows, input.cols]);
+    }
+    cols = inputCols;
+  }
+}
+
+/**
+ * Check that an index is an integer within a range.
+ *
+ * @param {number} index The index.
+ * @param {number} count The number of items, which the index must be below.
+ * @param {string} name What the index is for, used in the error message.
+ *
+ * @throws {Error} If the index is not valid.
+ *
+ * @private
+ */
+function checkIndex(index, count, name) {
+  if (typeof index !== 'number' || index % 1 !== 0 || index < 0 || index >= count) {
+    throw new Error(name + ' index ' + index + ' is outside the matrix (0 to ' + (count - 1) + ').');
+  }
+}
+
+/**
+ * Check that a range of indices is within a range and not empty.
+ *
+ * @param {number} start The first index.
+ * @param {number} end The index after the last index.
+ * @param {number} count The number of items, which the end can't be above.
+ * @param {string} name What the indices are for, used in the error message.
+ *
+ * @throws {Error} If the range is not valid.
+ *
+ * @private
+ */
+function checkRange(start, end, count, name) {
+  if (typeof start !== 'number' || typeof end !== 'number' ||
+      start % 1 !== 0 || end % 1 !== 0 || start < 0 || end > count || start >= end) {
+    throw new Error(name + ' range ' + start + ' to ' + end + ' is not valid for the matrix (0 to ' + count + ').');
+  }
+}
+
+/**
+ * Define the values of a view, as index accessors that read and write the
+ * values of the parent matrix at the positions covered by the view. With the
+ * 'array' storage type, they are defined on the view itself like the values
+ * of other matrices. With the typed storage types, they are defined on a new
+ * object that is used as the values property.
+ *
+ * @param {Matrix} view The view.
+ *
+ * @private
+ */
+function defineViewValues(view) {
+  var target = view;
+  if (view.storage !== 'array') {
+    target = view.values = {length: view.length};
+  }
+
+  for (var i = 0; i < view.length; i++) {
+    var row = Math.floor(i / view.cols);
+    var index = view._view.offset + row * view._view.stride + i - row * view.cols;
+    Object.defineProperty(target, i, createViewAccessor(view.parent, index));
+  }
+}
+
+/**
+ * Create a property descriptor for one of the values of a view.
+ *
+ * @param {Matrix} parent The matrix that holds the values.
+ * @param {number} index Index of the value in the parent matrix.
+ *
+ * @return {Object} The property descriptor.
+ *
+ * @private
+ */
+function createViewAccessor(parent, index) {
+  return {
+    get: function() {
+      return getValues(parent)[index];
+    },
+    set: function(value) {
+      getValues(parent)[index] = value;
+    },
+    enumerable: true
+  };
+}
+
+/**
+ * Get the shape of data for an error message.
+ *
+ * @param {Array.<number>|Float64Array|Float32Array|Matrix} data The data.
+ *
+ * @return {Array.<number>|number} The shape as [rows, cols] for a matrix,
+ *     otherwise the number of values.
+ *
+ * @private
+ */
+function getShape(data) {
+  return data instanceof Matrix ? [data.rows, data.cols] : data.length;
+}
+
+/**
+ * Return values from a row, column or diagonal, as an array or a matrix.
+ *
+ * @param {Matrix} matrix The matrix the values come from.
+ * @param {Array.<number>} values The values.
+ * @param {boolean=} asMatrix Whether to return a matrix.
+ * @param {boolean} column Whether a matrix should be a column (n x 1) instead
+ *     of a row (1 x n).
+ *
+ * @return {Array.<number>|Matrix} The array, or a new matrix with the same
+ *     storage type as the matrix the values come from.
+ *
+ * @private
+ */
+function toVector(matrix, values, asMatrix, column) {
+  if (!asMatrix) return values;
+
+  var rows = column ? values.length : 1;
+  var cols = column ? 1 : values.length;
+
+  return new Matrix(rows, cols, false, matrix.storage).setData(values, rows, cols);
 }
 
 /**
@@ -855,8 +5045,9 @@ function removeColumn(values, col, colsPerRow) {
  * @private
  */
 function toArray(matrix, array) {
+  var values = getValues(matrix);
   for (var i = 0, l = matrix.length; i < l; i++) {
-    array[i] = matrix[i];
+    array[i] = values[i];
   }
 
   return array;
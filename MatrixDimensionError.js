@@ -0,0 +1,64 @@
+/**
+ * @module matrixmath/MatrixDimensionError
+ */
+'use strict';
+
+/**
+ * @classdesc An error thrown when the dimensions of matrices don't match for
+ *     an operation. Most operations only throw it in strict mode.
+ *
+ * @property {string} name The name of the error, 'MatrixDimensionError'.
+ * @property {string} message A description of the error.
+ * @property {string} operation The name of the operation, like 'add'.
+ * @property {Array.<Array.<number>|number>} shapes The two shapes that didn't
+ *     match.
+ *
+ * @constructor
+ * @extends Error
+ *
+ * @param {string} operation The name of the operation, like 'add'.
+ * @param {Array.<number>|number} shape1 The shape of the first operand, as
+ *     [rows, cols], or the number of values if it doesn't have a shape.
+ * @param {Array.<number>|number} shape2 The shape of the second operand, as
+ *     [rows, cols], or the number of values if it doesn't have a shape.
+ *
+ * @example
+ * var error = new MatrixDimensionError('add', [2, 3], [3, 3]);
+ * error.message; // 'Matrix dimension mismatch in add: 2x3 and 3x3'
+ */
+function MatrixDimensionError(operation, shape1, shape2) {
+  this.name = 'MatrixDimensionError';
+  this.operation = operation;
+  this.shapes = [shape1, shape2];
+  this.message = 'Matrix dimension mismatch in ' + operation + ': ' +
+      formatShape(shape1) + ' and ' + formatShape(shape2);
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, MatrixDimensionError);
+  } else {
+    this.stack = new Error(this.message).stack;
+  }
+}
+
+MatrixDimensionError.prototype = Object.create(Error.prototype);
+MatrixDimensionError.prototype.constructor = MatrixDimensionError;
+
+/**
+ * Format a shape for an error message.
+ *
+ * @param {Array.<number>|number} shape The shape as [rows, cols], or the
+ *     number of values.
+ *
+ * @return {string} The shape as a string, like '2x3' or '5 values'.
+ *
+ * @private
+ */
+function formatShape(shape) {
+  if (typeof shape === 'number') {
+    return shape + (shape === 1 ? ' value' : ' values');
+  }
+
+  return shape[0] + 'x' + shape[1];
+}
+
+module.exports = MatrixDimensionError;
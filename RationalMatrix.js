@@ -0,0 +1,886 @@
+/**
+ * @module matrixmath/RationalMatrix
+ */
+/* jshint esversion: 11 */
+'use strict';
+
+var Matrix = require('./Matrix');
+var MatrixDimensionError = require('./MatrixDimensionError');
+var strict = require('./strict');
+
+/**
+ * @classdesc A class for representing and working with a matrix of exact
+ * rational numbers. All operations are done with BigInt fractions, so there
+ * are no rounding errors.
+ *
+ * The numerators and denominators are stored in two separate arrays, in the
+ * same order as the values of a Matrix (row by row). Each fraction is kept in
+ * lowest terms, with a positive denominator.
+ *
+ * This class needs an environment with support for BigInt.
+ *
+ * @property {number} rows Number of rows.
+ * @property {number} cols Number of cols.
+ * @property {number} length Number of values.
+ * @property {Array.<BigInt>} numerators The numerators of the values.
+ * @property {Array.<BigInt>} denominators The denominators of the values.
+ * @property {boolean?} strict Whether operations on this matrix throw a
+ *     MatrixDimensionError when the dimensions don't match, instead of
+ *     skipping the operand. If null, the global Matrix.strict is used.
+ *
+ * @constructor
+ *
+ * @param {number=} opt_rows The number of rows for the matrix. Default is 0.
+ * @param {number=} opt_cols The number of columns for the matrix. Default is same
+ *     amount of columns as rows.
+ * @param {boolean=} opt_setInitial Whether to set the initial data when created.
+ *     The initial data will be set to the identity matrix if it specifies the same
+ *     amount of rows as columns. Default is true.
+ *
+ * @example
+ * // Create a 2x2 matrix with the values 1/2, 1/3, 2 and 4
+ * var matrix = new RationalMatrix(2, 2);
+ * matrix.setData(['1/2', '1/3', 2, BigInt(4)]);
+ *
+ * // Create a rational matrix from a Matrix
+ * var matrix = RationalMatrix.fromMatrix(new Matrix(2, 2));
+ */
+function RationalMatrix(opt_rows, opt_cols, opt_setInitial) {
+  this.rows = opt_rows || 0;
+  this.cols = opt_cols || this.rows;
+  this.length = this.rows * this.cols;
+  this.numerators = new Array(this.length);
+  this.denominators = new Array(this.length);
+  this.strict = null;
+
+  var setInitial = opt_setInitial === undefined ? true : opt_setInitial;
+
+  if (setInitial) {
+    if (this.rows === this.cols) {
+      this.setIdentityData();
+    } else {
+      this.setEmptyData();
+    }
+  }
+}
+
+/**
+ * Create a rational matrix from a Matrix. Each number is converted to the
+ * exact fraction it represents, so 0.5 becomes 1/2, but 0.1 becomes
+ * 3602879701896397/36028797018963968 as that is the number closest to 0.1.
+ *
+ * @param {Matrix} matrix A Matrix instance.
+ *
+ * @return {RationalMatrix} A new rational matrix.
+ */
+RationalMatrix.fromMatrix = function(matrix) {
+  var values = matrix.values || matrix;
+  var data = [];
+  for (var i = 0, l = matrix.length; i < l; i++) {
+    data[i] = values[i];
+  }
+
+  return new RationalMatrix(matrix.rows, matrix.cols, false).setData(data);
+};
+
+/**
+ * Add matrices together and return a new rational matrix.
+ * It will clone the first matrix and add to that.
+ *
+ * @param {...RationalMatrix|Matrix} var_args At least two RationalMatrix or
+ *     Matrix instances as multiple arguments.
+ *
+ * @return {RationalMatrix} A new rational matrix for the result.
+ */
+RationalMatrix.add = function(var_args) {
+  var matrices = Array.prototype.slice.call(arguments);
+  var outputMatrix = toRational(matrices.shift()).clone();
+  outputMatrix.add.apply(outputMatrix, matrices);
+
+  return outputMatrix;
+};
+
+/**
+ * Subtract matrices and return a new rational matrix.
+ * It will clone the first matrix and subtract from that.
+ *
+ * @param {...RationalMatrix|Matrix} var_args At least two RationalMatrix or
+ *     Matrix instances as multiple arguments.
+ *
+ * @return {RationalMatrix} A new rational matrix for the result.
+ */
+RationalMatrix.subtract = function(var_args) {
+  var matrices = Array.prototype.slice.call(arguments);
+  var outputMatrix = toRational(matrices.shift()).clone();
+  outputMatrix.subtract.apply(outputMatrix, matrices);
+
+  return outputMatrix;
+};
+
+/**
+ * Multiply matrices and return a new rational matrix.
+ * It will clone the first matrix and multiply that.
+ *
+ * @param {...RationalMatrix|Matrix|number|BigInt|string} var_args At least
+ *     two RationalMatrix or Matrix instances as multiple arguments, or
+ *     scalars after the first.
+ *
+ * @return {RationalMatrix} A new rational matrix for the result.
+ */
+RationalMatrix.multiply = function(var_args) {
+  var matrices = Array.prototype.slice.call(arguments);
+  var outputMatrix = toRational(matrices.shift()).clone();
+  outputMatrix.multiply.apply(outputMatrix, matrices);
+
+  return outputMatrix;
+};
+
+/**
+ * Set the data for this matrix to be only zeros.
+ *
+ * @return {RationalMatrix} This RationalMatrix instance.
+ */
+RationalMatrix.prototype.setEmptyData = function() {
+  for (var i = 0, l = this.length; i < l; i++) {
+    this.numerators[i] = BigInt(0);
+    this.denominators[i] = BigInt(1);
+  }
+
+  return this;
+};
+
+/**
+ * Set the data for this matrix to the identity data.
+ *
+ * @return {RationalMatrix} This RationalMatrix instance.
+ */
+RationalMatrix.prototype.setIdentityData = function() {
+  for (var i = 0, l = this.length; i < l; i++) {
+    this.numerators[i] = BigInt(i % (this.cols + 1) ? 0 : 1);
+    this.denominators[i] = BigInt(1);
+  }
+
+  return this;
+};
+
+/**
+ * Set the data for this matrix.
+ *
+ * @param {Array.<number|BigInt|string>} data An array of values. Numbers are
+ *     converted to the exact fraction they represent, and strings are parsed
+ *     as an integer or a fraction like '1/3'.
+ * @param {number=} opt_rows Number of rows in the new data. If not provided,
+ *     the data must match the size of the previous data.
+ * @param {number=} opt_cols Number of columns in the new data. If not provided,
+ *     the data must match the size of the previous data.
+ *
+ * @return {RationalMatrix} This RationalMatrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of the data
+ *     doesn't match.
+ * @throws {Error} If a value is not a rational number.
+ */
+RationalMatrix.prototype.setData = function(data, opt_rows, opt_cols) {
+  var length = data.length;
+
+  // If the number of values is different than before, and there was no hint
+  // provided for the size of the new matrix data, we can't modify the data
+  // safely, so we do nothing (or throw in strict mode).
+  if (length !== this.length) {
+    if (opt_rows === undefined || opt_cols === undefined) {
+      if (strict.isStrict(this)) {
+        throw new MatrixDimensionError('setData', [this.rows, this.cols], length);
+      }
+      return this;
+    } else if (opt_rows * opt_cols !== length) {
+      if (strict.isStrict(this)) {
+        throw new MatrixDimensionError('setData', [opt_rows, opt_cols], length);
+      }
+      return this;
+    }
+  }
+
+  // Parse all values first, so nothing is changed if one of them is invalid
+  var fractions = [];
+  for (var i = 0; i < length; i++) {
+    fractions[i] = toFraction(data[i]);
+  }
+
+  setFractions(this, fractions);
+  this.length = length;
+  this.rows = opt_rows || this.rows;
+  this.cols = opt_cols || this.cols;
+
+  return this;
+};
+
+/**
+ * Convert the matrix to a Matrix with the nearest floating point numbers.
+ *
+ * @param {string=} opt_storage The storage type for the new matrix. See the
+ *     Matrix constructor.
+ *
+ * @return {Matrix} A new matrix.
+ */
+RationalMatrix.prototype.toMatrix = function(opt_storage) {
+  var matrix = new Matrix(this.rows, this.cols, false, opt_storage);
+  var values = matrix.values || matrix;
+
+  for (var i = 0, l = this.length; i < l; i++) {
+    values[i] = toNumber(this.numerators[i], this.denominators[i]);
+  }
+
+  return matrix;
+};
+
+/**
+ * Get a string representation of the matrix, where the values are written
+ * as fractions like 1/3, or as integers if the denominator is 1.
+ *
+ * @param {string|number=} opt_indentation Optional argument to control
+ *     indentation in the output string. If set to a number, the indentation
+ *     will be that many spaces wide. If it is a string, the indentation will be
+ *     this string itself. If not set, it will be two spaces wide.
+ * @param {string=} opt_separator Optional argument to control what separates
+ *     the values in the output string. If not set, it will be two spaces.
+ * @param {string=} opt_start String to use in the start of the string.
+ *     Default value is '['.
+ * @param {string=} opt_end String to use in the end of the string.
+ *     Default value is ']'.
+ *
+ * @return {string} The string representation of the matrix.
+ */
+RationalMatrix.prototype.toLogString = function(opt_indentation, opt_separator, opt_start, opt_end) {
+  var strings = [];
+  for (var i = 0, l = this.length; i < l; i++) {
+    strings[i] = formatFraction(this.numerators[i], this.denominators[i]);
+  }
+
+  var matrix = new Matrix(this.rows, this.cols, false).setData(strings);
+
+  return matrix.toLogString(opt_indentation, opt_separator, opt_start, opt_end);
+};
+
+/**
+ * Copy data from the input matrix to this matrix.
+ *
+ * @param {RationalMatrix|Matrix} matrix Input matrix to copy from.
+ *
+ * @return {RationalMatrix} This RationalMatrix instance.
+ */
+RationalMatrix.prototype.copy = function(matrix) {
+  matrix = toRational(matrix);
+
+  this.numerators = matrix.numerators.slice();
+  this.denominators = matrix.denominators.slice();
+  this.length = matrix.length;
+  this.rows = matrix.rows;
+  this.cols = matrix.cols;
+
+  return this;
+};
+
+/**
+ * Clone this matrix to a new instance.
+ *
+ * @return {RationalMatrix} A new rational matrix for the result.
+ */
+RationalMatrix.prototype.clone = function() {
+  var matrix = new RationalMatrix(this.rows, this.cols, false).copy(this);
+  matrix.strict = this.strict;
+
+  return matrix;
+};
+
+/**
+ * Add matrices together into this matrix.
+ *
+ * @param {...RationalMatrix|Matrix} var_args At least one RationalMatrix or
+ *     Matrix instance. If many, use multiple arguments. Matrices with a
+ *     different size are skipped.
+ *
+ * @return {RationalMatrix} This RationalMatrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of a matrix
+ *     doesn't match. See Matrix.strict.
+ */
+RationalMatrix.prototype.add = function(var_args) {
+  if (strict.isStrict(this)) checkSameSize(this, 'add', arguments);
+
+  for (var i = 0, l = arguments.length; i < l; i++) {
+    addInto(this, toRational(arguments[i]), false);
+  }
+
+  return this;
+};
+
+/**
+ * Subtract matrices from this matrix.
+ *
+ * @param {...RationalMatrix|Matrix} var_args At least one RationalMatrix or
+ *     Matrix instance. If many, use multiple arguments. Matrices with a
+ *     different size are skipped.
+ *
+ * @return {RationalMatrix} This RationalMatrix instance.
+ *
+ * @throws {MatrixDimensionError} In strict mode, if the size of a matrix
+ *     doesn't match. See Matrix.strict.
+ */
+RationalMatrix.prototype.subtract = function(var_args) {
+  if (strict.isStrict(this)) checkSameSize(this, 'subtract', arguments);
+
+  for (var i = 0, l = arguments.length; i < l; i++) {
+    addInto(this, toRational(arguments[i]), true);
+  }
+
+  return this;
+};
+
+/**
+ * Multiply matrices into this matrix.
+ *
+ * @param {...RationalMatrix|Matrix|number|BigInt|string} var_args At least
+ *     one RationalMatrix or Matrix instance or a scalar. If many, use multiple
+ *     arguments. A scalar can be anything that setData accepts as a value.
+ *     Matrices where the number of rows doesn't match the number of columns
+ *     in this matrix are skipped.
+ *
+ * @return {RationalMatrix} This RationalMatrix instance.
+ *
+ * @throws {Error} If a scalar is not a rational number.
+ * @throws {MatrixDimensionError} In strict mode, if the number of rows in a
+ *     matrix doesn't match the number of columns in the product so far. See
+ *     Matrix.strict.
+ */
+RationalMatrix.prototype.multiply = function(var_args) {
+  if (strict.isStrict(this)) checkProductSize(this, 'multiply', arguments);
+
+  for (var i = 0, l = arguments.length; i < l; i++) {
+    var matrix = arguments[i];
+
+    if (matrix instanceof RationalMatrix || matrix instanceof Matrix) {
+      multiplyInto(this, toRational(matrix));
+      continue;
+    }
+
+    var scale = toFraction(matrix);
+    var fractions = getFractions(this);
+    for (var n = 0; n < this.length; n++) {
+      fractions[n] = multiplyFractions(fractions[n], scale);
+    }
+    setFractions(this, fractions);
+  }
+
+  return this;
+};
+
+/**
+ * Transpose the matrix.
+ *
+ * @return {RationalMatrix} This RationalMatrix instance.
+ */
+RationalMatrix.prototype.transpose = function() {
+  var numerators = this.numerators.slice();
+  var denominators = this.denominators.slice();
+  var rows = this.rows;
+  var cols = this.cols;
+
+  for (var row = 0; row < rows; row++) {
+    for (var col = 0; col < cols; col++) {
+      this.numerators[col * rows + row] = numerators[row * cols + col];
+      this.denominators[col * rows + row] = denominators[row * cols + col];
+    }
+  }
+
+  this.rows = cols;
+  this.cols = rows;
+
+  return this;
+};
+
+/**
+ * Invert the matrix exactly, using Gauss-Jordan elimination.
+ * The matrix must be square and not singular. If it's not, the matrix is
+ * left unchanged.
+ *
+ * @return {RationalMatrix} This RationalMatrix instance.
+ */
+RationalMatrix.prototype.invert = function() {
+  var size = this.rows;
+  if (size !== this.cols) return this;
+
+  var values = getFractions(this);
+  var inverse = getFractions(new RationalMatrix(size));
+
+  for (var col = 0; col < size; col++) {
+    var pivot = findPivot(values, size, col);
+    if (pivot === -1) return this;
+
+    if (pivot !== col) {
+      swapRows(values, size, col, pivot);
+      swapRows(inverse, size, col, pivot);
+    }
+
+    // Scale the pivot row so that the pivot becomes 1
+    var scale = invertFraction(values[col * size + col]);
+    for (var j = 0; j < size; j++) {
+      values[col * size + j] = multiplyFractions(values[col * size + j], scale);
+      inverse[col * size + j] = multiplyFractions(inverse[col * size + j], scale);
+    }
+
+    // Eliminate the column from all other rows
+    for (var row = 0; row < size; row++) {
+      var factor = values[row * size + col];
+      if (row === col || isZero(factor)) continue;
+
+      for (j = 0; j < size; j++) {
+        values[row * size + j] = subtractFractions(values[row * size + j], multiplyFractions(factor, values[col * size + j]));
+        inverse[row * size + j] = subtractFractions(inverse[row * size + j], multiplyFractions(factor, inverse[col * size + j]));
+      }
+    }
+  }
+
+  setFractions(this, inverse);
+
+  return this;
+};
+
+/**
+ * Get the exact determinant of the matrix, if possible.
+ *
+ * @return {{numerator: BigInt, denominator: BigInt}?} The determinant as a
+ *     fraction in lowest terms. The matrix must be square for this to be
+ *     possible, so if it's not, this will return null.
+ */
+RationalMatrix.prototype.getDeterminant = function() {
+  var size = this.rows;
+  if (size !== this.cols) return null;
+
+  var values = getFractions(this);
+  var determinant = [BigInt(1), BigInt(1)];
+
+  for (var col = 0; col < size; col++) {
+    var pivot = findPivot(values, size, col);
+    if (pivot === -1) return {numerator: BigInt(0), denominator: BigInt(1)};
+
+    if (pivot !== col) {
+      swapRows(values, size, col, pivot);
+      determinant[0] = -determinant[0];
+    }
+
+    var pivotValue = values[col * size + col];
+    determinant = multiplyFractions(determinant, pivotValue);
+
+    // Eliminate the column from the rows below
+    for (var row = col + 1; row < size; row++) {
+      if (isZero(values[row * size + col])) continue;
+
+      var factor = multiplyFractions(values[row * size + col], invertFraction(pivotValue));
+      for (var j = col; j < size; j++) {
+        values[row * size + j] = subtractFractions(values[row * size + j], multiplyFractions(factor, values[col * size + j]));
+      }
+    }
+  }
+
+  return {numerator: determinant[0], denominator: determinant[1]};
+};
+
+/**
+ * Test if the matrix has the same content as another matrix.
+ *
+ * @param {RationalMatrix|Matrix} input The matrix to compare with.
+ *
+ * @return {boolean} True if it's the same. Anything that is not a
+ *     RationalMatrix or Matrix instance is never the same.
+ */
+RationalMatrix.prototype.equals = function(input) {
+  if (!(input instanceof RationalMatrix || input instanceof Matrix)) return false;
+
+  input = toRational(input);
+
+  if (input.rows !== this.rows || input.cols !== this.cols) return false;
+
+  // Fractions are always in lowest terms, so equal values have equal parts
+  for (var i = 0, l = this.length; i < l; i++) {
+    if (input.numerators[i] !== this.numerators[i] || input.denominators[i] !== this.denominators[i]) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Get a rational matrix for a matrix that may use floating point numbers.
+ *
+ * @param {RationalMatrix|Matrix} matrix The matrix.
+ *
+ * @return {RationalMatrix} The matrix itself if it's rational, otherwise a
+ *     new rational matrix with the same values.
+ *
+ * @private
+ */
+function toRational(matrix) {
+  return matrix instanceof RationalMatrix ? matrix : RationalMatrix.fromMatrix(matrix);
+}
+
+/**
+ * Get the values of a matrix as a list of fractions.
+ *
+ * @param {RationalMatrix} matrix The matrix.
+ *
+ * @return {Array.<Array.<BigInt>>} List of [numerator, denominator].
+ *
+ * @private
+ */
+function getFractions(matrix) {
+  var fractions = [];
+  for (var i = 0, l = matrix.length; i < l; i++) {
+    fractions[i] = [matrix.numerators[i], matrix.denominators[i]];
+  }
+
+  return fractions;
+}
+
+/**
+ * Set the values of a matrix from a list of fractions.
+ *
+ * @param {RationalMatrix} matrix The matrix, which will be modified.
+ * @param {Array.<Array.<BigInt>>} fractions List of [numerator, denominator].
+ *
+ * @private
+ */
+function setFractions(matrix, fractions) {
+  matrix.numerators.length = fractions.length;
+  matrix.denominators.length = fractions.length;
+
+  for (var i = 0, l = fractions.length; i < l; i++) {
+    matrix.numerators[i] = fractions[i][0];
+    matrix.denominators[i] = fractions[i][1];
+  }
+}
+
+/**
+ * Convert a value to a fraction.
+ *
+ * @param {number|BigInt|string} value A number, a BigInt, or a string with
+ *     an integer or a fraction like '1/3'.
+ *
+ * @return {Array.<BigInt>} The fraction as [numerator, denominator], in
+ *     lowest terms.
+ *
+ * @throws {Error} If the value is not a rational number.
+ *
+ * @private
+ */
+function toFraction(value) {
+  if (typeof value === 'bigint') return [value, BigInt(1)];
+
+  if (typeof value === 'number' && isFinite(value)) {
+
+    // Doubling a number that is not an integer is always exact, so this
+    // gives the exact fraction with a power of two as denominator
+    var denominator = BigInt(1);
+    while (Math.floor(value) !== value) {
+      value *= 2;
+      denominator *= BigInt(2);
+    }
+
+    return reduceFraction(BigInt(value), denominator);
+  }
+
+  var match = typeof value === 'string' && /^\s*(-?\d+)\s*(?:\/\s*(-?\d+)\s*)?$/.exec(value);
+  if (match && !/^-?0+$/.test(match[2] || '1')) {
+    return reduceFraction(BigInt(match[1]), BigInt(match[2] || 1));
+  }
+
+  throw new Error('Not a rational number: ' + value);
+}
+
+/**
+ * Convert a fraction to the nearest floating point number.
+ *
+ * @param {BigInt} numerator The numerator.
+ * @param {BigInt} denominator The denominator.
+ *
+ * @return {number} The number.
+ *
+ * @private
+ */
+function toNumber(numerator, denominator) {
+  var quotient = numerator / denominator;
+  var remainder = numerator % denominator;
+
+  return Number(quotient) + Number(remainder) / Number(denominator);
+}
+
+/**
+ * Format a fraction, like 1/3, or as an integer if the denominator is 1.
+ *
+ * @param {BigInt} numerator The numerator.
+ * @param {BigInt} denominator The denominator.
+ *
+ * @return {string} The formatted fraction.
+ *
+ * @private
+ */
+function formatFraction(numerator, denominator) {
+  if (denominator === BigInt(1)) return String(numerator);
+
+  return numerator + '/' + denominator;
+}
+
+/**
+ * Get the greatest common divisor of two integers.
+ *
+ * @param {BigInt} a The first integer.
+ * @param {BigInt} b The second integer.
+ *
+ * @return {BigInt} The greatest common divisor, which is never negative.
+ *
+ * @private
+ */
+function gcd(a, b) {
+  if (a < 0) a = -a;
+  if (b < 0) b = -b;
+
+  while (b) {
+    var temp = a % b;
+    a = b;
+    b = temp;
+  }
+
+  return a;
+}
+
+/**
+ * Reduce a fraction to lowest terms with a positive denominator.
+ *
+ * @param {BigInt} numerator The numerator.
+ * @param {BigInt} denominator The denominator, which must not be zero.
+ *
+ * @return {Array.<BigInt>} The fraction as [numerator, denominator].
+ *
+ * @private
+ */
+function reduceFraction(numerator, denominator) {
+  var divisor = gcd(numerator, denominator);
+  if (denominator < 0) divisor = -divisor;
+
+  return [numerator / divisor, denominator / divisor];
+}
+
+/**
+ * Multiply two fractions.
+ *
+ * @param {Array.<BigInt>} a The first fraction.
+ * @param {Array.<BigInt>} b The second fraction.
+ *
+ * @return {Array.<BigInt>} The product.
+ *
+ * @private
+ */
+function multiplyFractions(a, b) {
+  return reduceFraction(a[0] * b[0], a[1] * b[1]);
+}
+
+/**
+ * Add two fractions.
+ *
+ * @param {Array.<BigInt>} a The first fraction.
+ * @param {Array.<BigInt>} b The second fraction.
+ *
+ * @return {Array.<BigInt>} The sum.
+ *
+ * @private
+ */
+function addFractions(a, b) {
+  return reduceFraction(a[0] * b[1] + b[0] * a[1], a[1] * b[1]);
+}
+
+/**
+ * Subtract a fraction from another.
+ *
+ * @param {Array.<BigInt>} a The fraction to subtract from.
+ * @param {Array.<BigInt>} b The fraction to subtract.
+ *
+ * @return {Array.<BigInt>} The difference.
+ *
+ * @private
+ */
+function subtractFractions(a, b) {
+  return addFractions(a, [-b[0], b[1]]);
+}
+
+/**
+ * Get the reciprocal of a fraction that is not zero.
+ *
+ * @param {Array.<BigInt>} a The fraction.
+ *
+ * @return {Array.<BigInt>} The reciprocal.
+ *
+ * @private
+ */
+function invertFraction(a) {
+  return a[0] < 0 ? [-a[1], -a[0]] : [a[1], a[0]];
+}
+
+/**
+ * Check if a fraction is zero.
+ *
+ * @param {Array.<BigInt>} a The fraction.
+ *
+ * @return {boolean} True if it's zero.
+ *
+ * @private
+ */
+function isZero(a) {
+  return !a[0];
+}
+
+/**
+ * Find the first row at or below the diagonal with a value in a column that
+ * is not zero.
+ *
+ * @param {Array.<Array.<BigInt>>} values The fractions of a square matrix.
+ * @param {number} size Number of rows and columns.
+ * @param {number} col Index of the column.
+ *
+ * @return {number} Index of the row, or -1 if there is none.
+ *
+ * @private
+ */
+function findPivot(values, size, col) {
+  for (var row = col; row < size; row++) {
+    if (!isZero(values[row * size + col])) return row;
+  }
+
+  return -1;
+}
+
+/**
+ * Swap two rows in a list of values.
+ *
+ * @param {Array} values The values, row by row.
+ * @param {number} cols Number of columns.
+ * @param {number} a Index of the first row.
+ * @param {number} b Index of the second row.
+ *
+ * @private
+ */
+function swapRows(values, cols, a, b) {
+  for (var col = 0; col < cols; col++) {
+    var temp = values[a * cols + col];
+    values[a * cols + col] = values[b * cols + col];
+    values[b * cols + col] = temp;
+  }
+}
+
+/**
+ * Check that a list of matrices all have the same size as a matrix. Numbers
+ * in the list are ignored.
+ *
+ * @param {RationalMatrix} matrix The matrix instance.
+ * @param {string} operation The name of the operation.
+ * @param {Arguments} matrices The matrices to check.
+ *
+ * @throws {MatrixDimensionError} If the size of a matrix doesn't match.
+ *
+ * @private
+ */
+function checkSameSize(matrix, operation, matrices) {
+  for (var i = 0, l = matrices.length; i < l; i++) {
+    var input = matrices[i];
+    if (typeof input === 'number') continue;
+    if (input.rows !== matrix.rows || input.cols !== matrix.cols) {
+      throw new MatrixDimensionError(operation, [matrix.rows, matrix.cols], [input.rows, input.cols]);
+    }
+  }
+}
+
+/**
+ * Check that a matrix can be multiplied by a list of matrices and scalars,
+ * in order. Values that are not matrices are scalars, and are ignored.
+ *
+ * @param {RationalMatrix} matrix The matrix instance.
+ * @param {string} operation The name of the operation.
+ * @param {Arguments} matrices The matrices to check.
+ *
+ * @throws {MatrixDimensionError} If the size of a matrix doesn't match.
+ *
+ * @private
+ */
+function checkProductSize(matrix, operation, matrices) {
+  var cols = matrix.cols;
+
+  for (var i = 0, l = matrices.length; i < l; i++) {
+    var input = matrices[i];
+    if (!(input instanceof RationalMatrix || input instanceof Matrix)) continue;
+
+    if (input.rows !== cols) {
+      throw new MatrixDimensionError(operation, [matrix.rows, cols], [input.rows, input.cols]);
+    }
+    cols = input.cols;
+  }
+}
+
+/**
+ * Add a matrix into another matrix, or subtract it.
+ *
+ * @param {RationalMatrix} target The matrix to add into.
+ * @param {RationalMatrix} matrix The matrix to add. It's skipped if the size
+ *     doesn't match.
+ * @param {boolean} negate Whether to subtract instead of add.
+ *
+ * @private
+ */
+function addInto(target, matrix, negate) {
+  if (matrix.rows !== target.rows || matrix.cols !== target.cols) return;
+
+  var fractions = getFractions(target);
+  var input = getFractions(matrix);
+  for (var i = 0, l = target.length; i < l; i++) {
+    fractions[i] = negate ? subtractFractions(fractions[i], input[i]) : addFractions(fractions[i], input[i]);
+  }
+
+  setFractions(target, fractions);
+}
+
+/**
+ * Multiply a matrix with another matrix, storing the result in the first.
+ *
+ * @param {RationalMatrix} target The matrix on the left side, which will be
+ *     modified.
+ * @param {RationalMatrix} matrix The matrix on the right side. It's skipped if
+ *     the number of rows doesn't match the number of columns in the target.
+ *
+ * @private
+ */
+function multiplyInto(target, matrix) {
+  if (matrix.rows !== target.cols) return;
+
+  var rows = target.rows;
+  var cols = matrix.cols;
+  var inner = target.cols;
+  var left = getFractions(target);
+  var right = getFractions(matrix);
+  var fractions = [];
+
+  for (var row = 0; row < rows; row++) {
+    for (var col = 0; col < cols; col++) {
+      var sum = [BigInt(0), BigInt(1)];
+
+      for (var i = 0; i < inner; i++) {
+        sum = addFractions(sum, multiplyFractions(left[row * inner + i], right[i * cols + col]));
+      }
+
+      fractions[row * cols + col] = sum;
+    }
+  }
+
+  setFractions(target, fractions);
+  target.length = rows * cols;
+  target.cols = cols;
+}
+
+module.exports = RationalMatrix;
@@ -0,0 +1,791 @@
+/**
+ * @module matrixmath/SparseMatrix
+ */
+'use strict';
+
+var Matrix = require('./Matrix');
+var MatrixDimensionError = require('./MatrixDimensionError');
+var strict = require('./strict');
+
+/**
+ * The supported storage formats.
+ *
+ * @type {Object.<string, boolean>}
+ * @private
+ */
+var FORMATS = {
+  csr: true,
+  csc: true
+};
+
+/**
+ * @classdesc A class for representing and working with a sparse matrix,
+ * where only the values that are not zero are stored.
+ *
+ * The values are stored in compressed sparse row (CSR) or compressed sparse
+ * column (CSC) format. For CSR, the values of row r are values[pointers[r]]
+ * to values[pointers[r + 1] - 1], and indices holds the column of each value.
+ * For CSC, it's the same but with rows and columns swapped. The indices are
+ * sorted within each row (or column).
+ *
+ * @property {number} rows Number of rows.
+ * @property {number} cols Number of cols.
+ * @property {string} format The storage format, 'csr' or 'csc'.
+ * @property {Array.<number>} values The values that are not zero.
+ * @property {Array.<number>} indices The column (CSR) or row (CSC) index for
+ *     each value.
+ * @property {Array.<number>} pointers The position in values where each row
+ *     (CSR) or column (CSC) starts, followed by the number of values.
+ * @property {boolean?} strict Whether operations on this matrix throw a
+ *     MatrixDimensionError when the dimensions don't match, instead of
+ *     skipping the operand. If null, the global Matrix.strict is used.
+ *
+ * @constructor
+ *
+ * @param {number=} opt_rows The number of rows for the matrix. Default is 0.
+ * @param {number=} opt_cols The number of columns for the matrix. Default is same
+ *     amount of columns as rows.
+ * @param {string=} opt_format The storage format, 'csr' or 'csc'. Default is
+ *     'csr'.
+ *
+ * @throws {Error} If the format is not known.
+ *
+ * @example
+ * // Create a 3x3 matrix with only zeros
+ * var matrix = new SparseMatrix(3, 3);
+ *
+ * // Create a sparse matrix from a dense matrix
+ * var matrix = SparseMatrix.fromMatrix(new Matrix(3, 3));
+ *
+ * // Create a sparse matrix from a list of [row, column, value]
+ * var matrix = SparseMatrix.fromTriplets(3, 3, [[0, 0, 1], [2, 1, 5]]);
+ */
+function SparseMatrix(opt_rows, opt_cols, opt_format) {
+  this.rows = opt_rows || 0;
+  this.cols = opt_cols || this.rows;
+  this.format = opt_format || 'csr';
+
+  if (!FORMATS.hasOwnProperty(this.format)) {
+    throw new Error('Unknown sparse format: ' + this.format);
+  }
+
+  this.values = [];
+  this.indices = [];
+  this.pointers = createPointers(this.format === 'csr' ? this.rows : this.cols);
+  this.strict = null;
+}
+
+/**
+ * Create a sparse matrix from a dense matrix.
+ *
+ * @param {Matrix} matrix A Matrix instance.
+ * @param {string=} opt_format The storage format, 'csr' or 'csc'. Default is
+ *     'csr'.
+ *
+ * @return {SparseMatrix} A new sparse matrix.
+ */
+SparseMatrix.fromMatrix = function(matrix, opt_format) {
+  var rows = matrix.rows;
+  var cols = matrix.cols;
+  var input = matrix.values || matrix;
+  var sparse = new SparseMatrix(rows, cols, 'csr');
+
+  for (var row = 0; row < rows; row++) {
+    for (var col = 0; col < cols; col++) {
+      var value = input[row * cols + col];
+      if (value !== 0) {
+        sparse.values.push(value);
+        sparse.indices.push(col);
+      }
+    }
+    sparse.pointers[row + 1] = sparse.values.length;
+  }
+
+  return sparse.setFormat(opt_format || 'csr');
+};
+
+/**
+ * Create a sparse matrix from a list of values and their positions.
+ * Values for the same position are added together.
+ *
+ * @param {number} rows Number of rows.
+ * @param {number} cols Number of columns.
+ * @param {Array.<Array.<number>>} triplets List of [row, column, value].
+ * @param {string=} opt_format The storage format, 'csr' or 'csc'. Default is
+ *     'csr'.
+ *
+ * @return {SparseMatrix} A new sparse matrix.
+ *
+ * @throws {Error} If a position is outside the matrix.
+ */
+SparseMatrix.fromTriplets = function(rows, cols, triplets, opt_format) {
+  var sparse = new SparseMatrix(rows, cols, 'csr');
+  var count = triplets.length;
+  var row, i;
+
+  for (i = 0; i < count; i++) {
+    checkPosition(triplets[i][0], rows, 'Row', i);
+    checkPosition(triplets[i][1], cols, 'Column', i);
+  }
+
+  // Count the values in each row, to know where each row starts
+  var starts = createPointers(rows);
+  for (i = 0; i < count; i++) {
+    starts[triplets[i][0] + 1]++;
+  }
+  for (row = 0; row < rows; row++) {
+    starts[row + 1] += starts[row];
+  }
+
+  // Sort the values into rows
+  var next = starts.slice(0, rows);
+  var order = new Array(count);
+  for (i = 0; i < count; i++) {
+    order[next[triplets[i][0]]++] = i;
+  }
+
+  // Sort each row by column, adding together duplicates
+  var accumulator = new Accumulator(cols);
+  for (row = 0; row < rows; row++) {
+    for (i = starts[row]; i < starts[row + 1]; i++) {
+      var triplet = triplets[order[i]];
+      accumulator.add(triplet[1], triplet[2]);
+    }
+    accumulator.flush(sparse.indices, sparse.values);
+    sparse.pointers[row + 1] = sparse.values.length;
+  }
+
+  return sparse.setFormat(opt_format || 'csr');
+};
+
+/**
+ * Add sparse matrices together and return a new sparse matrix.
+ * It will clone the first matrix and add to that.
+ *
+ * @param {...SparseMatrix} var_args At least two SparseMatrix instances as
+ *     multiple arguments.
+ *
+ * @return {SparseMatrix} A new sparse matrix for the result.
+ */
+SparseMatrix.add = function(var_args) {
+  var matrices = Array.prototype.slice.call(arguments);
+  var firstMatrix = matrices.shift();
+
+  var outputMatrix = firstMatrix.clone();
+  outputMatrix.add.apply(outputMatrix, matrices);
+
+  return outputMatrix;
+};
+
+/**
+ * Subtract sparse matrices and return a new sparse matrix.
+ * It will clone the first matrix and subtract from that.
+ *
+ * @param {...SparseMatrix} var_args At least two SparseMatrix instances as
+ *     multiple arguments.
+ *
+ * @return {SparseMatrix} A new sparse matrix for the result.
+ */
+SparseMatrix.subtract = function(var_args) {
+  var matrices = Array.prototype.slice.call(arguments);
+  var firstMatrix = matrices.shift();
+
+  var outputMatrix = firstMatrix.clone();
+  outputMatrix.subtract.apply(outputMatrix, matrices);
+
+  return outputMatrix;
+};
+
+/**
+ * Multiply sparse matrices and return a new sparse matrix.
+ * It will clone the first matrix and multiply that.
+ *
+ * @param {...SparseMatrix|number} var_args At least two SparseMatrix
+ *     instances or numbers as multiple arguments. The first one must be a
+ *     SparseMatrix instance.
+ *
+ * @return {SparseMatrix} A new sparse matrix for the result.
+ */
+SparseMatrix.multiply = function(var_args) {
+  var matrices = Array.prototype.slice.call(arguments);
+  var firstMatrix = matrices.shift();
+
+  var outputMatrix = firstMatrix.clone();
+  outputMatrix.multiply.apply(outputMatrix, matrices);
+
+  return outputMatrix;
+};
+
+/**
+ * Get the value at a position in the matrix.
+ *
+ * @param {number} row Index of the row.
+ * @param {number} col Index of the column.
+ *
+ * @return {number} The value, which is 0 if it's not stored.
+ *
+ * @throws {Error} If an index is outside the matrix.
+ */
+SparseMatrix.prototype.get = function(row, col) {
+  checkPosition(row, this.rows, 'Row');
+  checkPosition(col, this.cols, 'Column');
+
+  var isCSR = this.format === 'csr';
+  var major = isCSR ? row : col;
+  var minor = isCSR ? col : row;
+
+  // The indices are sorted, so a binary search can be used
+  var low = this.pointers[major];
+  var high = this.pointers[major + 1] - 1;
+  while (low <= high) {
+    var middle = (low + high) >> 1;
+    var index = this.indices[middle];
+    if (index === minor) return this.values[middle];
+    if (index < minor) {
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return 0;
+};
+
+/**
+ * Change the storage format of the matrix.
+ *
+ * @param {string} format The storage format, 'csr' or 'csc'.
+ *
+ * @throws {Error} If the format is not known.
+ *
+ * @return {SparseMatrix} This SparseMatrix instance.
+ */
+SparseMatrix.prototype.setFormat = function(format) {
+  if (!FORMATS.hasOwnProperty(format)) {
+    throw new Error('Unknown sparse format: ' + format);
+  }
+
+  if (format === this.format) return this;
+
+  var isCSR = this.format === 'csr';
+  transposeCompressed(this, isCSR ? this.rows : this.cols, isCSR ? this.cols : this.rows);
+  this.format = format;
+
+  return this;
+};
+
+/**
+ * Get the data for this matrix as a dense Matrix.
+ *
+ * @param {string=} opt_storage The storage type for the new matrix. See the
+ *     Matrix constructor. Default is 'array'.
+ *
+ * @return {Matrix} A new Matrix instance.
+ */
+SparseMatrix.prototype.toMatrix = function(opt_storage) {
+  var matrix = new Matrix(this.rows, this.cols, false, opt_storage).setEmptyData();
+  var output = matrix.values || matrix;
+  var isCSR = this.format === 'csr';
+  var majorCount = isCSR ? this.rows : this.cols;
+
+  for (var major = 0; major < majorCount; major++) {
+    for (var i = this.pointers[major], l = this.pointers[major + 1]; i < l; i++) {
+      var minor = this.indices[i];
+      var row = isCSR ? major : minor;
+      var col = isCSR ? minor : major;
+      output[row * this.cols + col] = this.values[i];
+    }
+  }
+
+  return matrix;
+};
+
+/**
+ * Clone this matrix to a new instance.
+ *
+ * @return {SparseMatrix} A new sparse matrix for the result.
+ */
+SparseMatrix.prototype.clone = function() {
+  var clone = new SparseMatrix(this.rows, this.cols, this.format);
+  clone.values = this.values.slice();
+  clone.indices = this.indices.slice();
+  clone.pointers = this.pointers.slice();
+  clone.strict = this.strict;
+
+  return clone;
+};
+
+/**
+ * Add sparse matrices together into this matrix.
+ *
+ * @param {...SparseMatrix} var_args At least one SparseMatrix instance. If
+ *     many, use multiple arguments. Matrices of a different size are skipped.
+ *
+ * @return {SparseMatrix} This SparseMatrix instance.
+ *
+ * @throws {Error} If an argument is not a SparseMatrix instance.
+ * @throws {MatrixDimensionError} In strict mode, if the size of a matrix
+ *     doesn't match. See Matrix.strict.
+ */
+SparseMatrix.prototype.add = function(var_args) {
+  if (strict.isStrict(this)) checkSameSize(this, 'add', arguments);
+
+  for (var i = 0, l = arguments.length; i < l; i++) {
+    addInto(this, arguments[i], 1);
+  }
+
+  return this;
+};
+
+/**
+ * Subtract sparse matrices from this matrix.
+ *
+ * @param {...SparseMatrix} var_args At least one SparseMatrix instance. If
+ *     many, use multiple arguments. Matrices of a different size are skipped.
+ *
+ * @return {SparseMatrix} This SparseMatrix instance.
+ *
+ * @throws {Error} If an argument is not a SparseMatrix instance.
+ * @throws {MatrixDimensionError} In strict mode, if the size of a matrix
+ *     doesn't match. See Matrix.strict.
+ */
+SparseMatrix.prototype.subtract = function(var_args) {
+  if (strict.isStrict(this)) checkSameSize(this, 'subtract', arguments);
+
+  for (var i = 0, l = arguments.length; i < l; i++) {
+    addInto(this, arguments[i], -1);
+  }
+
+  return this;
+};
+
+/**
+ * Multiply sparse matrices into this matrix.
+ *
+ * @param {...SparseMatrix|number} var_args At least one SparseMatrix instance
+ *     or a number. If many, use multiple arguments. If a number, it will make
+ *     a scalar multiplication. Matrices where the number of rows doesn't
+ *     match the number of columns in the previous result are skipped.
+ *
+ * @return {SparseMatrix} This SparseMatrix instance.
+ *
+ * @throws {Error} If an argument is neither a SparseMatrix instance nor a
+ *     number. Use multiplyMatrix to multiply with a dense Matrix instance.
+ * @throws {MatrixDimensionError} In strict mode, if the number of rows in a
+ *     matrix doesn't match the number of columns in the product so far. See
+ *     Matrix.strict.
+ */
+SparseMatrix.prototype.multiply = function(var_args) {
+  if (strict.isStrict(this)) checkProductSize(this, 'multiply', arguments);
+
+  for (var i = 0, l = arguments.length; i < l; i++) {
+    var matrix = arguments[i];
+
+    if (typeof matrix === 'number') {
+      scale(this, matrix);
+      continue;
+    }
+
+    checkSparse(matrix, 'multiply');
+    if (matrix.rows === this.cols) {
+      multiplyInto(this, matrix);
+    }
+  }
+
+  return this;
+};
+
+/**
+ * Multiply this matrix with a dense matrix, and return a new dense matrix.
+ *
+ * @param {Matrix} matrix A Matrix instance, with the same number of rows as
+ *     the number of columns in this matrix.
+ *
+ * @return {Matrix?} A new Matrix instance for the result, with the same
+ *     storage type as the input matrix. If the sizes don't match, this will
+ *     return null.
+ */
+SparseMatrix.prototype.multiplyMatrix = function(matrix) {
+  if (matrix.rows !== this.cols) return null;
+
+  var cols = matrix.cols;
+  var input = matrix.values || matrix;
+  var output = new Matrix(this.rows, cols, false, matrix.storage).setEmptyData();
+  var outputValues = output.values || output;
+  var isCSR = this.format === 'csr';
+  var majorCount = isCSR ? this.rows : this.cols;
+
+  for (var major = 0; major < majorCount; major++) {
+    for (var i = this.pointers[major], l = this.pointers[major + 1]; i < l; i++) {
+      var value = this.values[i];
+      var row = isCSR ? major : this.indices[i];
+      var inner = isCSR ? this.indices[i] : major;
+      for (var col = 0; col < cols; col++) {
+        outputValues[row * cols + col] += value * input[inner * cols + col];
+      }
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Transpose the matrix. The storage format stays the same.
+ *
+ * @return {SparseMatrix} This SparseMatrix instance.
+ */
+SparseMatrix.prototype.transpose = function() {
+  var format = this.format;
+  var rows = this.rows;
+
+  // The compressed data for a matrix in one format is the same as the data
+  // for its transpose in the other format
+  this.rows = this.cols;
+  this.cols = rows;
+  this.format = format === 'csr' ? 'csc' : 'csr';
+
+  return this.setFormat(format);
+};
+
+/**
+ * Helper for building a sorted row of values, where values for the same
+ * column are added together.
+ *
+ * @constructor
+ *
+ * @param {number} size The number of columns.
+ *
+ * @private
+ */
+function Accumulator(size) {
+  this.sums = new Array(size);
+  this.used = [];
+  for (var i = 0; i < size; i++) {
+    this.sums[i] = null;
+  }
+}
+
+/**
+ * Add a value to a column.
+ *
+ * @param {number} index Index of the column.
+ * @param {number} value The value to add.
+ */
+Accumulator.prototype.add = function(index, value) {
+  if (this.sums[index] === null) {
+    this.sums[index] = value;
+    this.used.push(index);
+  } else {
+    this.sums[index] += value;
+  }
+};
+
+/**
+ * Append the non-zero sums to the lists of indices and values, sorted by
+ * index, and reset the accumulator.
+ *
+ * @param {Array.<number>} indices List to append indices to.
+ * @param {Array.<number>} values List to append values to.
+ */
+Accumulator.prototype.flush = function(indices, values) {
+  var used = this.used;
+  used.sort(compareNumbers);
+
+  for (var i = 0, l = used.length; i < l; i++) {
+    var index = used[i];
+    var value = this.sums[index];
+    if (value !== 0) {
+      indices.push(index);
+      values.push(value);
+    }
+    this.sums[index] = null;
+  }
+  used.length = 0;
+};
+
+/**
+ * Compare two numbers for sorting in ascending order.
+ *
+ * @param {number} a First number.
+ * @param {number} b Second number.
+ *
+ * @return {number} Negative if a is smaller, positive if b is smaller.
+ *
+ * @private
+ */
+function compareNumbers(a, b) {
+  return a - b;
+}
+
+/**
+ * Create a list of pointers for a matrix without values.
+ *
+ * @param {number} count Number of rows (CSR) or columns (CSC).
+ *
+ * @return {Array.<number>} List of zeros, with one more than the count.
+ *
+ * @private
+ */
+function createPointers(count) {
+  var pointers = new Array(count + 1);
+  for (var i = 0; i <= count; i++) {
+    pointers[i] = 0;
+  }
+
+  return pointers;
+}
+
+/**
+ * Check that a position is inside the matrix.
+ *
+ * @param {number} index The row or column index.
+ * @param {number} count Number of rows or columns in the matrix.
+ * @param {string} name Name of the index, for the error message.
+ * @param {number=} opt_triplet Index of the triplet the position is from, for
+ *     the error message.
+ *
+ * @throws {Error} If the index is not an integer from 0 up to count.
+ *
+ * @private
+ */
+function checkPosition(index, count, name, opt_triplet) {
+  if (typeof index !== 'number' || index % 1 !== 0 || index < 0 || index >= count) {
+    var position = opt_triplet === undefined ? ' index ' + index : ' ' + index + ' of triplet ' + opt_triplet;
+    throw new Error(name + position + ' is outside the matrix (0 to ' + (count - 1) + ').');
+  }
+}
+
+/**
+ * Check that an operand is a sparse matrix. Dense matrices have none of the
+ * compressed storage, so they can't be used in place of one.
+ *
+ * @param {*} matrix The operand.
+ * @param {string} method Name of the method, for the error message.
+ *
+ * @throws {Error} If the operand is not a SparseMatrix instance.
+ *
+ * @private
+ */
+function checkSparse(matrix, method) {
+  if (matrix instanceof SparseMatrix) return;
+
+  var message = 'SparseMatrix#' + method + ' only works with SparseMatrix instances.';
+  if (matrix instanceof Matrix) {
+    message += ' Convert a dense Matrix with SparseMatrix.fromMatrix';
+    message += method === 'multiply' ? ', or use multiplyMatrix to get a dense result.' : '.';
+  }
+  throw new Error(message);
+}
+
+/**
+ * Convert the compressed data of a sparse matrix to the other orientation,
+ * which means going from CSR to CSC or the other way around.
+ *
+ * @param {SparseMatrix} sparse The sparse matrix, which will be modified.
+ * @param {number} majorCount Number of rows (CSR) or columns (CSC).
+ * @param {number} minorCount Number of columns (CSR) or rows (CSC).
+ *
+ * @private
+ */
+function transposeCompressed(sparse, majorCount, minorCount) {
+  var count = sparse.values.length;
+  var pointers = createPointers(minorCount);
+  var indices = new Array(count);
+  var values = new Array(count);
+  var major, minor, i;
+
+  // Count the values for each minor index
+  for (i = 0; i < count; i++) {
+    pointers[sparse.indices[i] + 1]++;
+  }
+  for (minor = 0; minor < minorCount; minor++) {
+    pointers[minor + 1] += pointers[minor];
+  }
+
+  // Move the values into place. Going through the major indices in order
+  // keeps the new indices sorted.
+  var next = pointers.slice(0, minorCount);
+  for (major = 0; major < majorCount; major++) {
+    for (i = sparse.pointers[major]; i < sparse.pointers[major + 1]; i++) {
+      var position = next[sparse.indices[i]]++;
+      indices[position] = major;
+      values[position] = sparse.values[i];
+    }
+  }
+
+  sparse.pointers = pointers;
+  sparse.indices = indices;
+  sparse.values = values;
+}
+
+/**
+ * Check that a list of matrices all have the same size as a matrix. Numbers
+ * in the list are ignored.
+ *
+ * @param {SparseMatrix} matrix The matrix instance.
+ * @param {string} operation The name of the operation.
+ * @param {Arguments} matrices The matrices to check.
+ *
+ * @throws {MatrixDimensionError} If the size of a matrix doesn't match.
+ *
+ * @private
+ */
+function checkSameSize(matrix, operation, matrices) {
+  for (var i = 0, l = matrices.length; i < l; i++) {
+    var input = matrices[i];
+    if (typeof input === 'number') continue;
+    if (input.rows !== matrix.rows || input.cols !== matrix.cols) {
+      throw new MatrixDimensionError(operation, [matrix.rows, matrix.cols], [input.rows, input.cols]);
+    }
+  }
+}
+
+/**
+ * Check that a matrix can be multiplied by a list of matrices and scalars,
+ * in order. Numbers in the list are ignored.
+ *
+ * @param {SparseMatrix} matrix The matrix instance.
+ * @param {string} operation The name of the operation.
+ * @param {Arguments} matrices The matrices to check.
+ *
+ * @throws {MatrixDimensionError} If the size of a matrix doesn't match.
+ *
+ * @private
+ */
+function checkProductSize(matrix, operation, matrices) {
+  var cols = matrix.cols;
+
+  for (var i = 0, l = matrices.length; i < l; i++) {
+    var input = matrices[i];
+    if (typeof input === 'number') continue;
+
+    if (input.rows !== cols) {
+      throw new MatrixDimensionError(operation, [matrix.rows, cols], [input.rows, input.cols]);
+    }
+    cols = input.cols;
+  }
+}
+
+/**
+ * Add a sparse matrix multiplied by a factor into another sparse matrix.
+ *
+ * @param {SparseMatrix} target The matrix to add into.
+ * @param {SparseMatrix} matrix The matrix to add. It's skipped if the size
+ *     doesn't match.
+ * @param {number} factor The factor to multiply the values with.
+ *
+ * @private
+ */
+function addInto(target, matrix, factor) {
+  checkSparse(matrix, factor < 0 ? 'subtract' : 'add');
+
+  // The size of the matrices must match
+  if (matrix.rows !== target.rows || matrix.cols !== target.cols) return;
+
+  var other = matrix.format === target.format ? matrix : matrix.clone().setFormat(target.format);
+  var majorCount = target.format === 'csr' ? target.rows : target.cols;
+  var pointers = createPointers(majorCount);
+  var indices = [];
+  var values = [];
+
+  // Merge the sorted indices of each row (or column)
+  for (var major = 0; major < majorCount; major++) {
+    var a = target.pointers[major];
+    var aEnd = target.pointers[major + 1];
+    var b = other.pointers[major];
+    var bEnd = other.pointers[major + 1];
+
+    while (a < aEnd || b < bEnd) {
+      var aIndex = a < aEnd ? target.indices[a] : Infinity;
+      var bIndex = b < bEnd ? other.indices[b] : Infinity;
+      var index, value;
+
+      if (aIndex < bIndex) {
+        index = aIndex;
+        value = target.values[a++];
+      } else if (bIndex < aIndex) {
+        index = bIndex;
+        value = factor * other.values[b++];
+      } else {
+        index = aIndex;
+        value = target.values[a++] + factor * other.values[b++];
+      }
+
+      if (value !== 0) {
+        indices.push(index);
+        values.push(value);
+      }
+    }
+    pointers[major + 1] = values.length;
+  }
+
+  target.pointers = pointers;
+  target.indices = indices;
+  target.values = values;
+}
+
+/**
+ * Multiply a sparse matrix with another sparse matrix, storing the result in
+ * the first one.
+ *
+ * @param {SparseMatrix} target The matrix on the left side, which will be
+ *     modified.
+ * @param {SparseMatrix} matrix The matrix on the right side.
+ *
+ * @private
+ */
+function multiplyInto(target, matrix) {
+  var format = target.format;
+  var left = format === 'csr' ? target : target.clone().setFormat('csr');
+  var right = matrix.format === 'csr' ? matrix : matrix.clone().setFormat('csr');
+  var rows = target.rows;
+  var cols = matrix.cols;
+  var pointers = createPointers(rows);
+  var indices = [];
+  var values = [];
+  var accumulator = new Accumulator(cols);
+
+  // For each row in the left matrix, add up the rows of the right matrix
+  // that its values point to
+  for (var row = 0; row < rows; row++) {
+    for (var i = left.pointers[row]; i < left.pointers[row + 1]; i++) {
+      var value = left.values[i];
+      var inner = left.indices[i];
+      for (var n = right.pointers[inner]; n < right.pointers[inner + 1]; n++) {
+        accumulator.add(right.indices[n], value * right.values[n]);
+      }
+    }
+    accumulator.flush(indices, values);
+    pointers[row + 1] = values.length;
+  }
+
+  target.cols = cols;
+  target.format = 'csr';
+  target.pointers = pointers;
+  target.indices = indices;
+  target.values = values;
+  target.setFormat(format);
+}
+
+/**
+ * Multiply all values of a sparse matrix with a number.
+ *
+ * @param {SparseMatrix} target The matrix, which will be modified.
+ * @param {number} factor The number to multiply with.
+ *
+ * @private
+ */
+function scale(target, factor) {
+  if (factor === 0) {
+    target.pointers = createPointers(target.pointers.length - 1);
+    target.indices = [];
+    target.values = [];
+    return;
+  }
+
+  for (var i = 0, l = target.values.length; i < l; i++) {
+    target.values[i] *= factor;
+  }
+}
+
+module.exports = SparseMatrix;
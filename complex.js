@@ -0,0 +1,56 @@
+/**
+ * @module matrixmath/complex
+ * @private
+ */
+'use strict';
+
+/**
+ * Get the length of the hypotenuse of a right triangle, without overflow or
+ * underflow in the intermediate steps. This is also the absolute value of a
+ * complex number.
+ *
+ * @param {number} a Length of the first side.
+ * @param {number} b Length of the second side.
+ *
+ * @return {number} The length of the hypotenuse.
+ */
+function hypot(a, b) {
+  var absA = Math.abs(a);
+  var absB = Math.abs(b);
+
+  if (absA > absB) {
+    return absA * Math.sqrt(1 + (b / a) * (b / a));
+  }
+  if (absB !== 0) {
+    return absB * Math.sqrt(1 + (a / b) * (a / b));
+  }
+
+  return 0;
+}
+
+/**
+ * Divide two complex numbers.
+ *
+ * @param {number} xr Real part of the dividend.
+ * @param {number} xi Imaginary part of the dividend.
+ * @param {number} yr Real part of the divisor.
+ * @param {number} yi Imaginary part of the divisor.
+ *
+ * @return {Array.<number>} The real and imaginary parts of the quotient.
+ */
+function divide(xr, xi, yr, yi) {
+  var r, d;
+
+  if (Math.abs(yr) > Math.abs(yi)) {
+    r = yi / yr;
+    d = yr + r * yi;
+    return [(xr + r * xi) / d, (xi - r * xr) / d];
+  }
+
+  r = yr / yi;
+  d = yi + r * yr;
+  return [(r * xr + xi) / d, (r * xi - xr) / d];
+}
+
+exports.hypot = hypot;
+exports.divide = divide;
@@ -2,7 +2,16 @@
  * @module matrixmath
  *
  * @property {Object} Matrix The Matrix class.
+ * @property {Object} SparseMatrix The SparseMatrix class.
+ * @property {Object} ComplexMatrix The ComplexMatrix class.
+ * @property {Object} RationalMatrix The RationalMatrix class.
+ * @property {Object} MatrixDimensionError The error class for dimension
+ *     mismatches in strict mode.
  */
 'use strict';
 
 exports.Matrix = require('./Matrix');
+exports.SparseMatrix = require('./SparseMatrix');
+exports.ComplexMatrix = require('./ComplexMatrix');
+exports.RationalMatrix = require('./RationalMatrix');
+exports.MatrixDimensionError = require('./MatrixDimensionError');
@@ -0,0 +1,23 @@
+/**
+ * @module matrixmath/strict
+ * @private
+ */
+'use strict';
+
+/**
+ * Check if strict mode is used for a matrix. This works for all the matrix
+ * classes, which all have a strict property that overrides the global
+ * Matrix.strict unless it's null.
+ *
+ * @param {Object} matrix The matrix instance.
+ *
+ * @return {boolean} True if strict mode is used.
+ */
+function isStrict(matrix) {
+  if (matrix.strict !== null) return matrix.strict;
+
+  // Matrix requires this module, so it can't be required until it's loaded
+  return require('./Matrix').strict;
+}
+
+exports.isStrict = isStrict;
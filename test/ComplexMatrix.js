@@ -0,0 +1,415 @@
+var expect = require('expect.js');
+var Matrix = require('../Matrix');
+var ComplexMatrix = require('../ComplexMatrix');
+var MatrixDimensionError = require('../MatrixDimensionError');
+
+describe('ComplexMatrix', function() {
+
+  // [ 1+2i  3 ]
+  // [ -i   4-i ]
+  var createMatrix = function() {
+    return new ComplexMatrix(2, 2).setData([1, 3, 0, 4], [2, 0, -1, -1]);
+  };
+
+  var expectClose = function(matrix, real, imaginary) {
+    for (var i = 0; i < real.length; i++) {
+      expect(matrix.real[i]).to.be.within(real[i] - 1e-12, real[i] + 1e-12);
+      expect(matrix.imaginary[i]).to.be.within(imaginary[i] - 1e-12, imaginary[i] + 1e-12);
+    }
+  };
+
+  describe('ComplexMatrix constructor', function() {
+
+    it('should create an identity matrix for square sizes', function() {
+      var matrix = new ComplexMatrix(2);
+      expect(matrix.rows).to.equal(2);
+      expect(matrix.cols).to.equal(2);
+      expect(matrix.length).to.equal(4);
+      expect(matrix.real).to.eql([1, 0, 0, 1]);
+      expect(matrix.imaginary).to.eql([0, 0, 0, 0]);
+    });
+
+    it('should create a matrix with zeros for other sizes', function() {
+      var matrix = new ComplexMatrix(1, 3);
+      expect(matrix.real).to.eql([0, 0, 0]);
+      expect(matrix.imaginary).to.eql([0, 0, 0]);
+    });
+
+  });
+
+  describe('.fromMatrix()', function() {
+
+    it('should create a matrix from the real and imaginary parts', function() {
+      var real = new Matrix(1, 2).setData(1, 2);
+      var imaginary = new Matrix(1, 2, false, 'float64').setData(3, 4);
+      var matrix = ComplexMatrix.fromMatrix(real, imaginary);
+      expect(matrix.real).to.eql([1, 2]);
+      expect(matrix.imaginary).to.eql([3, 4]);
+      expect(ComplexMatrix.fromMatrix(real).imaginary).to.eql([0, 0]);
+    });
+
+    it('should throw if the sizes do not match', function() {
+      expect(function() {
+        ComplexMatrix.fromMatrix(new Matrix(1, 2), new Matrix(2, 1));
+      }).to.throwError(/same size/);
+    });
+
+  });
+
+  describe('.add()', function() {
+
+    it('should return a new matrix with the sum', function() {
+      var matrix = createMatrix();
+      var sum = ComplexMatrix.add(matrix, matrix, new Matrix(2, 2));
+      expect(sum).not.to.equal(matrix);
+      expect(sum.real).to.eql([3, 6, 0, 9]);
+      expect(sum.imaginary).to.eql([4, 0, -2, -2]);
+      expect(matrix.real).to.eql([1, 3, 0, 4]);
+    });
+
+  });
+
+  describe('.subtract()', function() {
+
+    it('should return a new matrix with the difference', function() {
+      var matrix = createMatrix();
+      var difference = ComplexMatrix.subtract(matrix, new Matrix(2, 2));
+      expect(difference.real).to.eql([0, 3, 0, 3]);
+      expect(difference.imaginary).to.eql([2, 0, -1, -1]);
+    });
+
+  });
+
+  describe('.multiply()', function() {
+
+    it('should return a new matrix with the product', function() {
+      var matrix = createMatrix();
+      var product = ComplexMatrix.multiply(matrix, matrix);
+      expect(product).not.to.equal(matrix);
+      expect(product.real).to.eql([-3, 15, 1, 15]);
+      expect(product.imaginary).to.eql([1, 3, -5, -11]);
+    });
+
+  });
+
+  describe('#setData()', function() {
+
+    it('should set the real and imaginary parts', function() {
+      var matrix = new ComplexMatrix(2, 2).setData([1, 2, 3, 4], [5, 6, 7, 8]);
+      expect(matrix.real).to.eql([1, 2, 3, 4]);
+      expect(matrix.imaginary).to.eql([5, 6, 7, 8]);
+    });
+
+    it('should set the imaginary parts to zero if not provided', function() {
+      var matrix = new ComplexMatrix(1, 2).setData([1, 2]);
+      expect(matrix.imaginary).to.eql([0, 0]);
+    });
+
+    it('should change the size if provided', function() {
+      var matrix = new ComplexMatrix(2, 2).setData([1, 2, 3], [4, 5, 6], 1, 3);
+      expect(matrix.rows).to.equal(1);
+      expect(matrix.cols).to.equal(3);
+      expect(matrix.real).to.eql([1, 2, 3]);
+    });
+
+    it('should not set the values if the length does not match', function() {
+      var matrix = new ComplexMatrix(2, 2);
+      matrix.setData([1, 2, 3]);
+      matrix.setData([1, 2, 3, 4], [1, 2]);
+      expect(matrix.real).to.eql([1, 0, 0, 1]);
+      expect(matrix.imaginary).to.eql([0, 0, 0, 0]);
+    });
+
+  });
+
+  describe('#getReal() and #getImaginary()', function() {
+
+    it('should return the parts as Matrix instances', function() {
+      var matrix = createMatrix();
+      expect(matrix.getReal() instanceof Matrix).to.equal(true);
+      expect(matrix.getReal().toArray()).to.eql([1, 3, 0, 4]);
+      expect(matrix.getImaginary().toArray()).to.eql([2, 0, -1, -1]);
+    });
+
+  });
+
+  describe('#toLogString()', function() {
+
+    it('should write the values as complex numbers', function() {
+      var matrix = new ComplexMatrix(2, 3).setData([1, 3, 0, 4, 0, -1.5], [2, 0, -1, -1, 0, 2.5]);
+      expect(matrix.toLogString()).to.equal('[\n  1+2i  3  -1i\n  4-1i  0  -1.5+2.5i\n]');
+    });
+
+    it('should write imaginary parts that are Infinity or NaN as a product', function() {
+      var matrix = new ComplexMatrix(1, 4).setData([1, 1, 0, 2], [-Infinity, NaN, Infinity, 0]);
+      expect(matrix.toLogString()).to.equal('[\n  1-Infinity*i  1+NaN*i  Infinity*i  2\n]');
+    });
+
+    it('should take the same options as Matrix#toLogString()', function() {
+      var matrix = createMatrix();
+      expect(matrix.toLogString(0, ', ', '(', ')')).to.equal('(\n1+2i, 3\n-1i, 4-1i\n)');
+    });
+
+  });
+
+  describe('#clone()', function() {
+
+    it('should return a new instance with the same data', function() {
+      var matrix = createMatrix();
+      var clone = matrix.clone();
+      expect(clone).not.to.equal(matrix);
+      expect(clone.real).not.to.equal(matrix.real);
+      expect(clone.equals(matrix)).to.equal(true);
+    });
+
+  });
+
+  describe('#add()', function() {
+
+    it('should add complex and real matrices', function() {
+      var matrix = createMatrix();
+      matrix.add(createMatrix(), new Matrix(2, 2));
+      expect(matrix.real).to.eql([3, 6, 0, 9]);
+      expect(matrix.imaginary).to.eql([4, 0, -2, -2]);
+    });
+
+    it('should not add a matrix with a different size', function() {
+      var matrix = createMatrix();
+      matrix.add(new ComplexMatrix(2, 3));
+      expect(matrix.equals(createMatrix())).to.equal(true);
+    });
+
+    it('should return the instance', function() {
+      var matrix = createMatrix();
+      expect(matrix.add(createMatrix())).to.equal(matrix);
+    });
+
+  });
+
+  describe('#subtract()', function() {
+
+    it('should subtract complex matrices', function() {
+      var matrix = createMatrix();
+      matrix.subtract(createMatrix());
+      expect(matrix.real).to.eql([0, 0, 0, 0]);
+      expect(matrix.imaginary).to.eql([0, 0, 0, 0]);
+    });
+
+  });
+
+  describe('strict mode', function() {
+
+    afterEach(function() {
+      Matrix.strict = false;
+    });
+
+    it('should throw in add, subtract and multiply when the sizes do not match', function() {
+      var matrix = createMatrix();
+      Matrix.strict = true;
+      expect(function() {
+        matrix.add(createMatrix(), new ComplexMatrix(2, 3));
+      }).to.throwError(function(error) {
+        expect(error).to.be.a(MatrixDimensionError);
+        expect(error.message).to.equal('Matrix dimension mismatch in add: 2x2 and 2x3');
+      });
+      expect(function() {
+        matrix.subtract(new Matrix(3, 3));
+      }).to.throwError(/in subtract: 2x2 and 3x3/);
+      expect(function() {
+        matrix.multiply(new ComplexMatrix(2, 3), 2, new Matrix(2, 2));
+      }).to.throwError(/in multiply: 2x3 and 2x2/);
+
+      // Nothing was changed before the errors were thrown
+      expectClose(matrix, [1, 3, 0, 4], [2, 0, -1, -1]);
+    });
+
+    it('should let the instance setting override the global setting', function() {
+      var matrix = createMatrix();
+      expect(matrix.strict).to.equal(null);
+      matrix.strict = true;
+      expect(function() {
+        matrix.add(new ComplexMatrix(2, 3));
+      }).to.throwError(/in add: 2x2 and 2x3/);
+      expect(matrix.clone().strict).to.equal(true);
+
+      matrix.strict = false;
+      Matrix.strict = true;
+      expectClose(matrix.add(new ComplexMatrix(2, 3)), [1, 3, 0, 4], [2, 0, -1, -1]);
+    });
+
+    it('should throw in setData when the length does not match', function() {
+      var matrix = createMatrix();
+      matrix.strict = true;
+      expect(function() {
+        matrix.setData([1, 2, 3]);
+      }).to.throwError(/in setData: 2x2 and 3 values/);
+      expect(function() {
+        matrix.setData([1, 2, 3, 4, 5, 6], [1, 2, 3, 4, 5, 6], 2, 2);
+      }).to.throwError(/in setData: 2x2 and 6 values/);
+      expect(function() {
+        matrix.setData([1, 2, 3, 4], [1, 2]);
+      }).to.throwError(/in setData: 4 values and 2 values/);
+      expectClose(matrix, [1, 3, 0, 4], [2, 0, -1, -1]);
+    });
+
+    it('should skip numbers when checking the sizes', function() {
+      var matrix = createMatrix();
+      matrix.strict = true;
+      expect(function() {
+        matrix.add(2);
+      }).not.to.throwError();
+    });
+
+  });
+
+  describe('#multiply()', function() {
+
+    it('should multiply complex matrices', function() {
+      var matrix = createMatrix();
+      var vector = new ComplexMatrix(2, 1).setData([1, 0], [0, 1]);
+      matrix.multiply(vector);
+      expect(matrix.rows).to.equal(2);
+      expect(matrix.cols).to.equal(1);
+      expect(matrix.real).to.eql([1, 1]);
+      expect(matrix.imaginary).to.eql([5, 3]);
+    });
+
+    it('should multiply with real matrices and numbers', function() {
+      var matrix = createMatrix();
+      matrix.multiply(new Matrix(2, 2).setData(0, 1, 1, 0), 2);
+      expect(matrix.real).to.eql([6, 2, 8, 0]);
+      expect(matrix.imaginary).to.eql([0, 4, -2, -2]);
+    });
+
+    it('should not multiply a matrix where the number of rows does not match', function() {
+      var matrix = createMatrix();
+      matrix.multiply(new ComplexMatrix(3, 3));
+      expect(matrix.equals(createMatrix())).to.equal(true);
+    });
+
+  });
+
+  describe('#conjugate()', function() {
+
+    it('should negate the imaginary parts', function() {
+      var matrix = createMatrix().conjugate();
+      expect(matrix.real).to.eql([1, 3, 0, 4]);
+      expect(matrix.imaginary).to.eql([-2, 0, 1, 1]);
+    });
+
+  });
+
+  describe('#transpose()', function() {
+
+    it('should transpose without conjugating', function() {
+      var matrix = new ComplexMatrix(2, 3).setData([1, 2, 3, 4, 5, 6], [1, 0, 0, 0, 0, -1]);
+      matrix.transpose();
+      expect(matrix.rows).to.equal(3);
+      expect(matrix.cols).to.equal(2);
+      expect(matrix.real).to.eql([1, 4, 2, 5, 3, 6]);
+      expect(matrix.imaginary).to.eql([1, 0, 0, 0, 0, -1]);
+    });
+
+  });
+
+  describe('#conjugateTranspose()', function() {
+
+    it('should transpose and conjugate', function() {
+      var matrix = createMatrix().conjugateTranspose();
+      expect(matrix.real).to.eql([1, 0, 3, 4]);
+      expect(matrix.imaginary).to.eql([-2, 1, 0, 1]);
+    });
+
+  });
+
+  describe('#invert()', function() {
+
+    it('should invert the matrix', function() {
+      var matrix = createMatrix().invert();
+
+      // The inverse is [ 4-i  -3 ; i  1+2i ] / (6+10i)
+      expectClose(matrix, [7 / 68, -9 / 68, 5 / 68, 13 / 68], [-23 / 68, 15 / 68, 3 / 68, 1 / 68]);
+    });
+
+    it('should give the identity when multiplied with the original', function() {
+      var real = [];
+      var imaginary = [];
+      for (var i = 0; i < 16; i++) {
+        real.push(Math.sin(i + 1));
+        imaginary.push(Math.cos(2 * i));
+      }
+      var matrix = new ComplexMatrix(4, 4).setData(real, imaginary);
+      var product = ComplexMatrix.multiply(matrix, matrix.clone().invert());
+      expectClose(product, [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    });
+
+    it('should invert a matrix that needs several row swaps', function() {
+      var matrix = new ComplexMatrix(3, 3).setData([0, 0, 1, 2, 0, 0, 0, 3, 0], [0, 0, 0, 0, 0, 0, 0, 0, 1]);
+      var product = ComplexMatrix.multiply(matrix.clone().invert(), matrix);
+      expectClose(product, [1, 0, 0, 0, 1, 0, 0, 0, 1], [0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    });
+
+    it('should not change a singular or non-square matrix', function() {
+      var matrix1 = new ComplexMatrix(2, 2).setData([1, 2, 2, 4], [1, 2, 2, 4]);
+      var matrix2 = new ComplexMatrix(2, 3);
+      expect(matrix1.clone().invert().equals(matrix1)).to.equal(true);
+      expect(matrix2.clone().invert().equals(matrix2)).to.equal(true);
+    });
+
+    it('should not change a singular matrix that elimination does not make exactly singular', function() {
+      var matrix = new ComplexMatrix(4, 4).setData([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+      expect(matrix.clone().invert().equals(matrix)).to.equal(true);
+    });
+
+    it('should invert a matrix with values of very different magnitudes', function() {
+      var matrix = new ComplexMatrix(4, 4).setData([1e16, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+      expect(matrix.invert().getReal().toArray()).to.eql([1e-16, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+    });
+
+  });
+
+  describe('#getDeterminant()', function() {
+
+    it('should return the complex determinant', function() {
+      expect(createMatrix().getDeterminant()).to.eql({real: 6, imaginary: 10});
+      expect(new ComplexMatrix(1, 1).setData([0], [2]).getDeterminant()).to.eql({real: 0, imaginary: 2});
+    });
+
+    it('should work with larger matrices', function() {
+      var matrix = new ComplexMatrix(3, 3).setData([0, 1, 0, 1, 0, 0, 0, 0, 1], [0, 0, 0, 0, 0, 0, 0, 0, 1]);
+      var determinant = matrix.getDeterminant();
+      expect(determinant.real).to.be.within(-1 - 1e-12, -1 + 1e-12);
+      expect(determinant.imaginary).to.be.within(-1 - 1e-12, -1 + 1e-12);
+    });
+
+    it('should return zero for a singular matrix', function() {
+      var matrix = new ComplexMatrix(4, 4).setData([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+      expect(matrix.getDeterminant()).to.eql({real: 0, imaginary: 0});
+    });
+
+    it('should return null for a non-square matrix', function() {
+      expect(new ComplexMatrix(2, 3).getDeterminant()).to.equal(null);
+    });
+
+  });
+
+  describe('#equals()', function() {
+
+    it('should compare complex and real matrices', function() {
+      expect(createMatrix().equals(createMatrix())).to.equal(true);
+      expect(createMatrix().equals(createMatrix().conjugate())).to.equal(false);
+      expect(new ComplexMatrix(2).equals(new Matrix(2))).to.equal(true);
+      expect(new ComplexMatrix(2).equals(new Matrix(2, 3))).to.equal(false);
+    });
+
+    it('should return false for anything that is not a matrix', function() {
+      var matrix = createMatrix();
+      expect(matrix.equals(null)).to.equal(false);
+      expect(matrix.equals(undefined)).to.equal(false);
+      expect(matrix.equals([1, 3, 0, 4])).to.equal(false);
+      expect(matrix.equals({rows: 2, cols: 2, real: [1, 3, 0, 4], imaginary: [2, 0, -1, -1]})).to.equal(false);
+    });
+
+  });
+
+});
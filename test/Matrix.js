@@ -1,5 +1,6 @@
 var expect = require('expect.js');
 var Matrix = require('../Matrix');
+var MatrixDimensionError = require('../MatrixDimensionError');
 
 describe('Matrix', function() {
 
@@ -38,6 +39,220 @@ describe('Matrix', function() {
       expect(matrix2[0]).to.equal(undefined);
     });
 
+    it('should use the array storage type by default', function() {
+      var matrix = new Matrix(3, 3);
+      expect(matrix.storage).to.equal('array');
+      expect(matrix.values).to.equal(null);
+    });
+
+    it('should store the values in a typed array if option says so', function() {
+      var matrix1 = new Matrix(3, 3, true, 'float64');
+      expect(matrix1.storage).to.equal('float64');
+      expect(matrix1.values instanceof Float64Array).to.equal(true);
+      expect(matrix1.values.length).to.equal(9);
+      expect(matrix1.values[0]).to.equal(1);
+      expect(matrix1[0]).to.equal(undefined);
+
+      var matrix2 = new Matrix(3, 2, true, 'float32');
+      expect(matrix2.storage).to.equal('float32');
+      expect(matrix2.values instanceof Float32Array).to.equal(true);
+      expect(matrix2.values.length).to.equal(6);
+    });
+
+    it('should throw for an unknown storage type', function() {
+      expect(function() {
+        new Matrix(3, 3, true, 'int8');
+      }).to.throwError(/Unknown storage type/);
+    });
+
+  });
+
+  describe('typed storage', function() {
+
+    function create(rows, cols, data) {
+      return new Matrix(rows, cols, false, 'float64').setData(data);
+    }
+
+    it('should add and subtract matrices', function() {
+      var matrix1 = create(1, 3, [1, 2, 3]);
+      var matrix2 = new Matrix(1, 3).setData([2, 4, 6]);
+      expect(Matrix.add(matrix1, matrix2).toArray()).to.eql([3, 6, 9]);
+      expect(Matrix.subtract(matrix1, matrix2).toArray()).to.eql([-1, -2, -3]);
+    });
+
+    it('should multiply matrices', function() {
+      var matrix1 = create(2, 3, [1, 2, 3, 4, 5, 6]);
+      var matrix2 = create(3, 1, [8, 10, 12]);
+      var product = Matrix.multiply(matrix1, matrix2, 2);
+      expect(product.storage).to.equal('float64');
+      expect(product.rows).to.equal(2);
+      expect(product.cols).to.equal(1);
+      expect(product.values.length).to.equal(2);
+      expect(product.toArray()).to.eql([128, 308]);
+    });
+
+    it('should transpose the matrix', function() {
+      var matrix = create(2, 3, [1, 2, 4, 1, 3, 5]).transpose();
+      expect(matrix.rows).to.equal(3);
+      expect(matrix.toArray()).to.eql([1, 1, 2, 3, 4, 5]);
+    });
+
+    it('should invert the matrix and get the determinant', function() {
+      var matrix1 = create(3, 3, [3, 0, 2, 2, 0, -2, 0, 1, 1]);
+      expect(matrix1.getDeterminant()).to.equal(10);
+      expect(matrix1.invert().toArray()).to.eql([0.2, 0.2, 0, -0.2, 0.3, 1, 0.2, -0.3, 0]);
+
+      var matrix2 = create(4, 4, [4, 0, 0, 0, 0, 0, 2, 0, 0, 1, 2, 0, 1, 0, 0, 1]);
+      expect(matrix2.invert().toArray()).to.eql([0.25, 0, 0, 0, 0, -1, 1, 0, 0, 0.5, 0, 0, -0.25, 0, 0, 1]);
+    });
+
+    it('should keep the storage type when cloning', function() {
+      var matrix = create(2, 2, [1, 2, 3, 4]);
+      var clone = matrix.clone();
+      expect(clone.storage).to.equal('float64');
+      expect(clone.values).not.to.equal(matrix.values);
+      expect(clone.equals(matrix)).to.equal(true);
+    });
+
+    it('should copy between storage types', function() {
+      var matrix1 = create(2, 2, [1, 2, 3, 4]);
+      var matrix2 = new Matrix(3, 3).copy(matrix1);
+      expect(matrix2.storage).to.equal('array');
+      expect(matrix2[3]).to.equal(4);
+      expect(matrix2.equals(matrix1)).to.equal(true);
+    });
+
+    it('should resize the typed array when setting data of a different size', function() {
+      var matrix = create(2, 2, [1, 2, 3, 4]);
+      matrix.setData([1, 2, 3, 4, 5, 6], 3, 2);
+      expect(matrix.values.length).to.equal(6);
+      expect(matrix.toArray()).to.eql([1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should accept a typed array as data', function() {
+      var matrix = new Matrix(2, 2).setData(new Float64Array([1, 2, 3, 4]));
+      expect(matrix.toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+    it('should round values to single precision for the float32 storage type', function() {
+      var matrix = new Matrix(1, 1, false, 'float32').setData([0.1]);
+      expect(matrix.values[0]).to.not.equal(0.1);
+      expect(matrix.values[0]).to.be.within(0.1 - 1e-7, 0.1 + 1e-7);
+    });
+
+    it('should format the values as a string', function() {
+      var matrix = create(2, 2, [1, 2, 3, 4]);
+      expect(matrix.toLogString()).to.equal('[\n  1  2\n  3  4\n]');
+    });
+
+    it('should decompose the matrix', function() {
+      var matrix = create(2, 2, [4, 2, 2, 3]);
+      expect(matrix.lu().U.storage).to.equal('float64');
+      expect(matrix.qr().Q.storage).to.equal('float64');
+      expect(matrix.cholesky().toArray()).to.eql([2, 0, 1, Math.sqrt(2)]);
+      expect(matrix.svd().V.storage).to.equal('float64');
+      expect(matrix.eigen().vectors.storage).to.equal('float64');
+    });
+
+
+  });
+
+  describe('strict mode', function() {
+
+    afterEach(function() {
+      Matrix.strict = false;
+    });
+
+    it('should be off by default', function() {
+      var matrix = new Matrix(1, 3).setData([1, 2, 3]);
+      expect(Matrix.strict).to.equal(false);
+      expect(matrix.strict).to.equal(null);
+      expect(matrix.add(new Matrix(2, 3)).toArray()).to.eql([1, 2, 3]);
+    });
+
+    it('should throw in add and subtract when the sizes do not match', function() {
+      var matrix = new Matrix(1, 3).setData([1, 2, 3]);
+      matrix.strict = true;
+      expect(function() {
+        matrix.add(new Matrix(1, 3), new Matrix(2, 3));
+      }).to.throwError(function(error) {
+        expect(error).to.be.a(MatrixDimensionError);
+        expect(error).to.be.an(Error);
+        expect(error.name).to.equal('MatrixDimensionError');
+        expect(error.operation).to.equal('add');
+        expect(error.shapes).to.eql([[1, 3], [2, 3]]);
+        expect(error.message).to.equal('Matrix dimension mismatch in add: 1x3 and 2x3');
+      });
+      expect(function() {
+        matrix.subtract(new Matrix(1, 2));
+      }).to.throwError(/in subtract: 1x3 and 1x2/);
+
+      // Nothing was added before the error was thrown
+      expect(matrix.toArray()).to.eql([1, 2, 3]);
+    });
+
+    it('should throw in multiply when the sizes do not match', function() {
+      var matrix = new Matrix(2, 3);
+      matrix.strict = true;
+      expect(function() {
+        matrix.multiply(new Matrix(3, 4), 2, new Matrix(3, 3));
+      }).to.throwError(/in multiply: 2x4 and 3x3/);
+      expect(function() {
+        new Matrix(2, 2).multiply(new Matrix(3, 3));
+      }).not.to.throwError();
+
+      Matrix.strict = true;
+      expect(function() {
+        new Matrix(2, 2).multiply(new Matrix(3, 3));
+      }).to.throwError(/in multiply: 2x2 and 3x3/);
+    });
+
+    it('should throw in divide when the sizes do not match', function() {
+      var matrix = new Matrix(2, 2);
+      matrix.strict = true;
+      expect(function() {
+        matrix.divide(new Matrix(3, 3));
+      }).to.throwError(/in divide: 2x2 and 3x3/);
+      expect(function() {
+        matrix.divide(new Matrix(3, 2));
+      }).not.to.throwError();
+    });
+
+    it('should throw in setData when the length does not match', function() {
+      var matrix = new Matrix(2, 2);
+      matrix.strict = true;
+      expect(function() {
+        matrix.setData(1, 2, 3);
+      }).to.throwError(/in setData: 2x2 and 3 values/);
+      expect(function() {
+        matrix.setData([1, 2, 3, 4, 5, 6], 2, 2);
+      }).to.throwError(/in setData: 2x2 and 6 values/);
+      expect(matrix.setData([1, 2, 3, 4, 5, 6], 2, 3).cols).to.equal(3);
+    });
+
+    it('should let the instance setting override the global setting', function() {
+      var matrix = new Matrix(1, 3).setData([1, 2, 3]);
+      matrix.strict = false;
+      Matrix.strict = true;
+      expect(matrix.add(new Matrix(2, 3)).toArray()).to.eql([1, 2, 3]);
+      expect(function() {
+        new Matrix(1, 3).add(new Matrix(2, 3));
+      }).to.throwError(function(error) {
+        expect(error).to.be.a(MatrixDimensionError);
+      });
+    });
+
+    it('should be kept by clones and the static methods', function() {
+      var matrix = new Matrix(1, 3);
+      matrix.strict = true;
+      expect(matrix.clone().strict).to.equal(true);
+      expect(function() {
+        Matrix.add(matrix, new Matrix(2, 3));
+      }).to.throwError(function(error) {
+        expect(error).to.be.a(MatrixDimensionError);
+      });
+    });
+
   });
 
   describe('.add()', function() {
@@ -74,6 +289,30 @@ describe('Matrix', function() {
       expect(sum[0]).to.equal(25);
     });
 
+    it('should add a number to all values', function() {
+      var sum = Matrix.add(matrix1, 5);
+      expect(sum.toArray()).to.eql([6, 7, 8]);
+      expect(matrix1.toArray()).to.eql([1, 2, 3]);
+    });
+
+    it('should add a row vector to all rows', function() {
+      var sum = Matrix.add(matrix5, matrix1);
+      expect(sum.toArray()).to.eql([3, 6, 9, 3, 6, 11]);
+      expect(matrix5.toArray()).to.eql([2, 4, 6, 2, 4, 8]);
+    });
+
+    it('should allow numbers before the first matrix', function() {
+      var sum = Matrix.add(5, 1, matrix1, matrix2);
+      expect(sum.toArray()).to.eql([9, 12, 15]);
+      expect(matrix1.toArray()).to.eql([1, 2, 3]);
+    });
+
+    it('should throw if no matrix is passed in', function() {
+      expect(function() {
+        Matrix.add(1, 2);
+      }).to.throwError(/Matrix.add needs at least one Matrix instance/);
+    });
+
   });
 
   describe('.subtract()', function() {
@@ -110,6 +349,17 @@ describe('Matrix', function() {
       expect(difference[0]).to.equal(-23);
     });
 
+    it('should subtract a number from all values', function() {
+      var difference = Matrix.subtract(matrix1, 1);
+      expect(difference.toArray()).to.eql([0, 1, 2]);
+    });
+
+
+    it('should throw if the first argument is not a matrix', function() {
+      expect(function() {
+        Matrix.subtract(5, matrix1);
+      }).to.throwError(/Matrix.subtract needs a Matrix instance as the first argument/);
+    });
   });
 
   describe('.multiply()', function() {
@@ -166,9 +416,14 @@ describe('Matrix', function() {
       expect(quotient[0]).to.equal(0.5);
     });
 
-    it('should not divide matrices that are not square', function() {
-      var quotient = Matrix.divide(matrix1, matrix4);
-      expect(quotient[0]).to.equal(1);
+    it('should divide matrices that are not square by their pseudo-inverse', function() {
+      var quotient = Matrix.divide(matrix4, matrix4);
+      expect(quotient.rows).to.equal(2);
+      expect(quotient.cols).to.equal(2);
+      expect(quotient[0]).to.be.within(1 - 1e-12, 1 + 1e-12);
+      expect(quotient[1]).to.be.within(-1e-12, 1e-12);
+      expect(quotient[2]).to.be.within(-1e-12, 1e-12);
+      expect(quotient[3]).to.be.within(1 - 1e-12, 1 + 1e-12);
     });
 
     it('should divide all matrices passed in to the method', function() {
@@ -178,6 +433,438 @@ describe('Matrix', function() {
 
   });
 
+  describe('.hadamard()', function() {
+
+    var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+    var matrix2 = new Matrix(2, 2).setData([2, 3, 4, 5]);
+
+    it('should return a new instance of Matrix', function() {
+      var product = Matrix.hadamard(matrix1, matrix2);
+      expect(product instanceof Matrix).to.equal(true);
+      expect(product).to.not.equal(matrix1);
+    });
+
+    it('should multiply matrices element by element', function() {
+      var product = Matrix.hadamard(matrix1, matrix2, 2);
+      expect(product.toArray()).to.eql([4, 12, 24, 40]);
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+    it('should allow numbers before the first matrix', function() {
+      var product = Matrix.hadamard(2, matrix1, matrix2);
+      expect(product.toArray()).to.eql([4, 12, 24, 40]);
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+  });
+
+  describe('.divideElements()', function() {
+
+    var matrix1 = new Matrix(2, 2).setData([2, 6, 12, 20]);
+    var matrix2 = new Matrix(2, 2).setData([2, 3, 4, 5]);
+
+    it('should divide matrices element by element', function() {
+      var quotient = Matrix.divideElements(matrix1, matrix2);
+      expect(quotient.toArray()).to.eql([1, 2, 3, 4]);
+      expect(matrix1.toArray()).to.eql([2, 6, 12, 20]);
+    });
+
+  });
+
+  describe('.powerElements()', function() {
+
+    var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+
+    it('should raise each value to a power', function() {
+      var result = Matrix.powerElements(matrix1, 2);
+      expect(result.toArray()).to.eql([1, 4, 9, 16]);
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+  });
+
+  describe('.map()', function() {
+
+    var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+
+    it('should return a new matrix with the mapped values', function() {
+      var result = Matrix.map(matrix1, function(value) {
+        return value * 10;
+      });
+      expect(result.toArray()).to.eql([10, 20, 30, 40]);
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+  });
+
+  describe('.hstack()', function() {
+
+    var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+    var matrix2 = new Matrix(2, 1).setData([5, 6]);
+
+    it('should join the matrices side by side', function() {
+      var result = Matrix.hstack(matrix1, matrix2, matrix2);
+      expect(result.rows).to.equal(2);
+      expect(result.cols).to.equal(4);
+      expect(result.toArray()).to.eql([1, 2, 5, 5, 3, 4, 6, 6]);
+    });
+
+    it('should use the storage of the first matrix', function() {
+      var matrix = new Matrix(2, 1, false, 'float32');
+      expect(Matrix.hstack(matrix, matrix1).storage).to.equal('float32');
+    });
+
+    it('should throw a MatrixDimensionError if the number of rows does not match', function() {
+      expect(function() {
+        Matrix.hstack(matrix1, new Matrix(3, 1));
+      }).to.throwError(function(error) {
+        expect(error).to.be.a(MatrixDimensionError);
+        expect(error.message).to.equal('Matrix dimension mismatch in hstack: 2x2 and 3x1');
+      });
+    });
+
+  });
+
+  describe('.vstack()', function() {
+
+    var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+    var matrix2 = new Matrix(1, 2).setData([5, 6]);
+
+    it('should join the matrices on top of each other', function() {
+      var result = Matrix.vstack(matrix1, matrix2);
+      expect(result.rows).to.equal(3);
+      expect(result.cols).to.equal(2);
+      expect(result.toArray()).to.eql([1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should throw a MatrixDimensionError if the number of columns does not match', function() {
+      expect(function() {
+        Matrix.vstack(matrix1, new Matrix(1, 3));
+      }).to.throwError(/in vstack: 2x2 and 1x3/);
+    });
+
+  });
+
+  describe('.block()', function() {
+
+    var a = new Matrix(2, 2).setData([1, 2, 3, 4]);
+    var b = new Matrix(2, 1).setData([5, 6]);
+    var c = new Matrix(1, 2).setData([7, 8]);
+    var d = new Matrix(1, 1).setData([0]);
+
+    it('should build a matrix from a grid of blocks', function() {
+      var result = Matrix.block([[a, b], [c, d]]);
+      expect(result.rows).to.equal(3);
+      expect(result.cols).to.equal(3);
+      expect(result.toArray()).to.eql([1, 2, 5, 3, 4, 6, 7, 8, 0]);
+    });
+
+    it('should throw a MatrixDimensionError if the blocks do not fit', function() {
+      expect(function() {
+        Matrix.block([[a, c]]);
+      }).to.throwError(/in block: 2x2 and 1x2/);
+      expect(function() {
+        Matrix.block([[a, b], [c]]);
+      }).to.throwError(/in block: 2x3 and 1x2/);
+    });
+
+  });
+
+  describe('.kron()', function() {
+
+    var matrix1 = new Matrix(1, 2).setData([1, 2]);
+    var matrix2 = new Matrix(2, 2).setData([0, 1, 1, 0]);
+
+    it('should return the Kronecker product in a new matrix', function() {
+      var product = Matrix.kron(matrix1, matrix2);
+      expect(product.rows).to.equal(2);
+      expect(product.cols).to.equal(4);
+      expect(product.toArray()).to.eql([0, 1, 0, 2, 1, 0, 2, 0]);
+    });
+
+    it('should put A in the blocks when B is the identity', function() {
+      var identity = new Matrix(2, 2).setIdentityData();
+      var product = Matrix.kron(identity, matrix2);
+      expect(product.toArray()).to.eql([
+        0, 1, 0, 0,
+        1, 0, 0, 0,
+        0, 0, 0, 1,
+        0, 0, 1, 0
+      ]);
+    });
+
+  });
+
+  describe('.solve()', function() {
+
+    var matrix1 = new Matrix(3, 3).setData([2, 1, 1, 1, 3, 2, 1, 0, 0]);
+    var matrix2 = new Matrix(3, 2).setData([4, 1, 5, 2, 6, 3]);
+
+    it('should return an instance of Matrix', function() {
+      var solution = Matrix.solve(matrix1, matrix2);
+      expect(solution instanceof Matrix).to.equal(true);
+    });
+
+    it('should solve a square system with multiple right-hand sides', function() {
+      var solution = Matrix.solve(matrix1, matrix2);
+      var product = Matrix.multiply(matrix1, solution);
+      expect(solution.rows).to.equal(3);
+      expect(solution.cols).to.equal(2);
+      for (var i = 0; i < 6; i++) {
+        expect(product[i]).to.be.within(matrix2[i] - 1e-12, matrix2[i] + 1e-12);
+      }
+    });
+
+    it('should return the least squares solution for an overdetermined system', function() {
+      var a = new Matrix(4, 2).setData([1, 1, 1, 2, 1, 3, 1, 4]);
+      var b = new Matrix(4, 1).setData([6, 5, 7, 10]);
+      var solution = Matrix.solve(a, b);
+      expect(solution.rows).to.equal(2);
+      expect(solution.cols).to.equal(1);
+      expect(solution[0]).to.be.within(3.5 - 1e-12, 3.5 + 1e-12);
+      expect(solution[1]).to.be.within(1.4 - 1e-12, 1.4 + 1e-12);
+    });
+
+    it('should return the minimum norm solution for an underdetermined system', function() {
+      var a = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      var b = new Matrix(2, 1).setData([1, 2]);
+      var solution = Matrix.solve(a, b);
+      expect(solution.rows).to.equal(3);
+      expect(solution.cols).to.equal(1);
+      expect(solution[0]).to.be.within(-1 / 18 - 1e-12, -1 / 18 + 1e-12);
+      expect(solution[1]).to.be.within(2 / 18 - 1e-12, 2 / 18 + 1e-12);
+      expect(solution[2]).to.be.within(5 / 18 - 1e-12, 5 / 18 + 1e-12);
+    });
+
+    it('should return null if the number of rows does not match', function() {
+      var b = new Matrix(2, 1).setData([1, 2]);
+      expect(Matrix.solve(matrix1, b)).to.equal(null);
+    });
+
+    it('should return null if the matrix is singular', function() {
+      var a = new Matrix(2, 2).setData([1, 2, 2, 4]);
+      var b = new Matrix(2, 1).setData([1, 1]);
+      expect(Matrix.solve(a, b)).to.equal(null);
+    });
+
+    it('should solve a system with values of very different magnitudes', function() {
+      var a = new Matrix(5, 5);
+      a[0] = 1e16;
+      var b = new Matrix(5, 1).setData([1e16, 2, 3, 4, 5]);
+      expect(Matrix.solve(a, b).toArray()).to.eql([1, 2, 3, 4, 5]);
+    });
+
+    it('should return null if the matrix is singular up to rounding errors', function() {
+      var square = new Matrix(4, 4).setData([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+      var tall = new Matrix(4, 3).setData([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+      var wide = new Matrix(3, 4).setData([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+      var b = new Matrix(4, 1).setData([1, 2, 3, 4]);
+
+      expect(Matrix.solve(square, b)).to.equal(null);
+      expect(Matrix.solve(tall, b)).to.equal(null);
+      expect(Matrix.solve(wide, new Matrix(3, 1).setData([1, 2, 3]))).to.equal(null);
+    });
+
+    it('should not modify the input matrices', function() {
+      Matrix.solve(matrix1, matrix2);
+      expect(matrix1.toArray()).to.eql([2, 1, 1, 1, 3, 2, 1, 0, 0]);
+      expect(matrix2.toArray()).to.eql([4, 1, 5, 2, 6, 3]);
+    });
+
+  });
+
+  describe('.translation()', function() {
+
+    it('should create a 3x3 matrix for 2D', function() {
+      var matrix = Matrix.translation(2, 3);
+      expect(matrix.toArray()).to.eql([1, 0, 2, 0, 1, 3, 0, 0, 1]);
+    });
+
+    it('should create a 4x4 matrix for 3D', function() {
+      var matrix = Matrix.translation(2, 3, 4);
+      var point = new Matrix(4, 1).setData([1, 1, 1, 1]);
+      expect(Matrix.multiply(matrix, point).toArray()).to.eql([3, 4, 5, 1]);
+    });
+
+  });
+
+  describe('.scaling()', function() {
+
+    it('should create a 3x3 matrix for 2D and a 4x4 matrix for 3D', function() {
+      expect(Matrix.scaling(2, 3).toArray()).to.eql([2, 0, 0, 0, 3, 0, 0, 0, 1]);
+      expect(Matrix.scaling(2, 3, 4).getDiagonal()).to.eql([2, 3, 4, 1]);
+    });
+
+  });
+
+  describe('.rotation()', function() {
+
+    it('should create a 3x3 matrix for a 2D rotation', function() {
+      var matrix = Matrix.rotation(Math.PI / 2);
+      var point = Matrix.multiply(matrix, new Matrix(3, 1).setData([1, 0, 1]));
+      expect(point.equals(new Matrix(3, 1).setData([0, 1, 1]), 1e-15)).to.equal(true);
+    });
+
+    it('should create a 4x4 matrix for a rotation around an axis', function() {
+      var matrix = Matrix.rotation(2 * Math.PI / 3, [2, 2, 2]);
+      var point = Matrix.multiply(matrix, new Matrix(4, 1).setData([1, 0, 0, 1]));
+      expect(point.equals(new Matrix(4, 1).setData([0, 1, 0, 1]), 1e-15)).to.equal(true);
+      expect(matrix.view(0, 3, 0, 3).isOrthogonal(1e-15)).to.equal(true);
+    });
+
+    it('should throw for an axis with zero length', function() {
+      expect(function() {
+        Matrix.rotation(1, [0, 0, 0]);
+      }).to.throwError(/zero length/);
+    });
+
+  });
+
+  describe('.shear()', function() {
+
+    it('should create a 3x3 matrix for 2D', function() {
+      var matrix = Matrix.shear(2, 0);
+      var point = Matrix.multiply(matrix, new Matrix(3, 1).setData([1, 3, 1]));
+      expect(point.toArray()).to.eql([7, 3, 1]);
+    });
+
+    it('should use the 3D factors to choose between 2D and 3D', function() {
+      expect(Matrix.shear(2, 0, undefined).rows).to.equal(3);
+      expect(Matrix.shear(2, 0, 0).rows).to.equal(4);
+    });
+
+    it('should create a 4x4 matrix for 3D', function() {
+      var matrix = Matrix.shear(0, 0, 1, 0, 0, 2);
+      var point = Matrix.multiply(matrix, new Matrix(4, 1).setData([1, 1, 1, 1]));
+      expect(point.toArray()).to.eql([2, 1, 3, 1]);
+    });
+
+  });
+
+  describe('.perspective()', function() {
+
+    function project(matrix, z) {
+      var point = Matrix.multiply(matrix, new Matrix(4, 1).setData([0, 0, z, 1]));
+      return point[2] / point[3];
+    }
+
+    it('should map the near and far planes to -1 and 1', function() {
+      var matrix = Matrix.perspective(Math.PI / 2, 1.5, 1, 10);
+      expect(project(matrix, -1)).to.be.within(-1 - 1e-15, -1 + 1e-15);
+      expect(project(matrix, -10)).to.be.within(1 - 1e-15, 1 + 1e-15);
+      expect(matrix[0]).to.be.within(1 / 1.5 - 1e-15, 1 / 1.5 + 1e-15);
+      expect(matrix[14]).to.equal(-1);
+    });
+
+    it('should allow an infinite far plane', function() {
+      var matrix = Matrix.perspective(Math.PI / 2, 1, 1, Infinity);
+      expect(project(matrix, -1)).to.equal(-1);
+      expect(project(matrix, -1e12)).to.be.within(1 - 1e-9, 1);
+    });
+
+  });
+
+  describe('.orthographic()', function() {
+
+    it('should map the box to the cube from -1 to 1', function() {
+      var matrix = Matrix.orthographic(-2, 2, -1, 1, 1, 10);
+      var corner = Matrix.multiply(matrix, new Matrix(4, 1).setData([2, -1, -1, 1]));
+      expect(corner.toArray()).to.eql([1, -1, -1, 1]);
+      corner = Matrix.multiply(matrix, new Matrix(4, 1).setData([-2, 1, -10, 1]));
+      expect(corner.toArray()).to.eql([-1, 1, 1, 1]);
+    });
+
+  });
+
+  describe('.lookAt()', function() {
+
+    it('should move the camera to the origin, looking along the negative z axis', function() {
+      var matrix = Matrix.lookAt([1, 2, 3], [4, 6, 3], [0, 0, 1]);
+      var target = Matrix.multiply(matrix, new Matrix(4, 1).setData([4, 6, 3, 1]));
+      expect(target.equals(new Matrix(4, 1).setData([0, 0, -5, 1]), 1e-12)).to.equal(true);
+      var above = Matrix.multiply(matrix, new Matrix(4, 1).setData([1, 2, 4, 1]));
+      expect(above.equals(new Matrix(4, 1).setData([0, 1, 0, 1]), 1e-12)).to.equal(true);
+    });
+
+    it('should throw if the up direction is parallel to the view direction', function() {
+      expect(function() {
+        Matrix.lookAt([0, 0, 0], [0, 2, 0], [0, 1, 0]);
+      }).to.throwError(/parallel/);
+      expect(function() {
+        Matrix.lookAt([0, 0, 0], [0, 0, 0], [0, 1, 0]);
+      }).to.throwError(/same point/);
+    });
+
+  });
+
+  describe('.fromCSS()', function() {
+
+    it('should parse a 2D transform list into a 3x3 matrix', function() {
+      var matrix = Matrix.fromCSS('translate(10px, 20px) rotate(90deg)');
+      var expected = Matrix.multiply(Matrix.translation(10, 20), Matrix.rotation(Math.PI / 2));
+      expect(matrix.rows).to.equal(3);
+      expect(matrix.equals(expected, 1e-15)).to.equal(true);
+    });
+
+    it('should parse matrix() with the values in CSS order', function() {
+      var matrix = Matrix.fromCSS('matrix(1, 2, 3, 4, 5, 6)');
+      expect(matrix.toArray()).to.eql([1, 3, 5, 2, 4, 6, 0, 0, 1]);
+    });
+
+    it('should parse scale and skew functions', function() {
+      var matrix = Matrix.fromCSS('scale(2, 3) skewX(45deg) translateY(-1px)');
+      expect(matrix.equals(new Matrix(3, 3).setData([2, 2, -2, 0, 3, -3, 0, 0, 1]), 1e-15)).to.equal(true);
+      expect(Matrix.fromCSS('scale(2)').toArray()).to.eql([2, 0, 0, 0, 2, 0, 0, 0, 1]);
+    });
+
+    it('should support all angle units', function() {
+      var expected = Matrix.fromCSS('rotate(90deg)');
+      expect(Matrix.fromCSS('rotate(0.25turn)').equals(expected, 1e-15)).to.equal(true);
+      expect(Matrix.fromCSS('rotate(100grad)').equals(expected, 1e-15)).to.equal(true);
+      expect(Matrix.fromCSS('rotate(' + Math.PI / 2 + 'rad)').equals(expected, 1e-15)).to.equal(true);
+    });
+
+    it('should give a 4x4 matrix if a 3D function is used', function() {
+      var matrix = Matrix.fromCSS('translate3d(1px, 2px, 3px) scale(2)');
+      expect(matrix.rows).to.equal(4);
+      expect(matrix.toArray()).to.eql([2, 0, 0, 1, 0, 2, 0, 2, 0, 0, 1, 3, 0, 0, 0, 1]);
+    });
+
+    it('should give the identity matrix for rotate3d() without an axis', function() {
+      var matrix = Matrix.fromCSS('rotate3d(0, 0, 0, 45deg)');
+      expect(matrix.toArray()).to.eql(new Matrix(4, 4).toArray());
+      expect(Matrix.fromCSS('rotate3d(0, 0, 2, 90deg)').equals(Matrix.rotation(Math.PI / 2, [0, 0, 1]), 1e-15)).to.equal(true);
+    });
+
+    it('should parse matrix3d() with the values in column-major order', function() {
+      var matrix = Matrix.fromCSS('matrix3d(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 5, 6, 7, 1)');
+      expect(matrix.toArray()).to.eql(Matrix.translation(5, 6, 7).toArray());
+    });
+
+    it('should give the identity matrix for none', function() {
+      expect(Matrix.fromCSS('none').toArray()).to.eql([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+    });
+
+    it('should throw for invalid or unsupported transforms', function() {
+      expect(function() {
+        Matrix.fromCSS('translate(10px');
+      }).to.throwError(/Invalid CSS transform/);
+      expect(function() {
+        Matrix.fromCSS('perspective(100px)');
+      }).to.throwError(/Unsupported CSS transform function: perspective/);
+      expect(function() {
+        Matrix.fromCSS('translate(1em)');
+      }).to.throwError(/Unsupported CSS length: 1em/);
+      expect(function() {
+        Matrix.fromCSS('rotate(45)');
+      }).to.throwError(/Unsupported CSS angle: 45/);
+      expect(function() {
+        Matrix.fromCSS('matrix(1, 2, 3)');
+      }).to.throwError(/Invalid number of arguments/);
+    });
+
+  });
+
   describe('#setEmptyData()', function() {
 
     var matrix1 = new Matrix(2, 2);
@@ -373,48 +1060,216 @@ describe('Matrix', function() {
 
   });
 
-  describe('#toLogString()', function() {
-
-    var matrix1 = new Matrix(3, 3);
+  describe('#get()', function() {
 
-    it('should format all the values as a string with columns and rows', function() {
-      var string = matrix1.toLogString();
+    var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
 
-      var expectedString = '[\n';
-      expectedString += '  1  0  0\n';
-      expectedString += '  0  1  0\n';
-      expectedString += '  0  0  1\n';
-      expectedString += ']';
+    it('should get the value at a position', function() {
+      expect(matrix.get(0, 0)).to.equal(1);
+      expect(matrix.get(1, 2)).to.equal(6);
+      expect(new Matrix(2, 2, false, 'float64').setData([1, 2, 3, 4]).get(1, 0)).to.equal(3);
+    });
 
-      expect(string).to.equal(expectedString);
+    it('should throw for indices outside the matrix', function() {
+      expect(function() {
+        matrix.get(2, 0);
+      }).to.throwError(/Row index 2 is outside the matrix \(0 to 1\)/);
+      expect(function() {
+        matrix.get(0, -1);
+      }).to.throwError(/Column index -1 is outside the matrix/);
+      expect(function() {
+        matrix.get(0.5, 0);
+      }).to.throwError(/Row index 0.5/);
     });
 
-    it('should format all the values as a string with the provided number of spaces as indentation', function() {
-      var string = matrix1.toLogString(5);
+  });
 
-      var expectedString = '[\n';
-      expectedString += '     1  0  0\n';
-      expectedString += '     0  1  0\n';
-      expectedString += '     0  0  1\n';
-      expectedString += ']';
+  describe('#set()', function() {
 
-      expect(string).to.equal(expectedString);
+    it('should set the value at a position', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      matrix.set(1, 0, 9);
+      expect(matrix.toArray()).to.eql([1, 2, 3, 9, 5, 6]);
     });
 
-    it('should convert negative space count to 0', function() {
-      var string = matrix1.toLogString(-5);
-
-      var expectedString = '[\n';
-      expectedString += '1  0  0\n';
-      expectedString += '0  1  0\n';
-      expectedString += '0  0  1\n';
-      expectedString += ']';
+    it('should throw for indices outside the matrix', function() {
+      var matrix = new Matrix(2, 3);
+      expect(function() {
+        matrix.set(0, 3, 1);
+      }).to.throwError(/Column index 3/);
+    });
 
-      expect(string).to.equal(expectedString);
+    it('should return the instance', function() {
+      var matrix = new Matrix(2, 3);
+      expect(matrix.set(0, 0, 1)).to.equal(matrix);
     });
 
-    it('should format all the values as a string with the provided string used for indentation', function() {
-      var string = matrix1.toLogString('\t');
+  });
+
+  describe('#getRow()', function() {
+
+    var matrix = new Matrix(2, 3, false, 'float64').setData([1, 2, 3, 4, 5, 6]);
+
+    it('should get the values as an array', function() {
+      expect(matrix.getRow(1)).to.eql([4, 5, 6]);
+    });
+
+    it('should get the values as a row matrix', function() {
+      var row = matrix.getRow(0, true);
+      expect(row.rows).to.equal(1);
+      expect(row.cols).to.equal(3);
+      expect(row.storage).to.equal('float64');
+      expect(row.toArray()).to.eql([1, 2, 3]);
+    });
+
+    it('should throw for an index outside the matrix', function() {
+      expect(function() {
+        matrix.getRow(2);
+      }).to.throwError(/Row index 2/);
+    });
+
+  });
+
+  describe('#getColumn()', function() {
+
+    var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+
+    it('should get the values as an array', function() {
+      expect(matrix.getColumn(1)).to.eql([2, 5]);
+    });
+
+    it('should get the values as a column matrix', function() {
+      var column = matrix.getColumn(2, true);
+      expect(column.rows).to.equal(2);
+      expect(column.cols).to.equal(1);
+      expect(column.toArray()).to.eql([3, 6]);
+    });
+
+    it('should throw for an index outside the matrix', function() {
+      expect(function() {
+        matrix.getColumn(3);
+      }).to.throwError(/Column index 3/);
+    });
+
+  });
+
+  describe('#getDiagonal()', function() {
+
+    it('should get the values on the diagonal', function() {
+      expect(new Matrix(3, 3).setData([1, 2, 3, 4, 5, 6, 7, 8, 9]).getDiagonal()).to.eql([1, 5, 9]);
+      expect(new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]).getDiagonal()).to.eql([1, 5]);
+      expect(new Matrix(3, 1).setData([1, 2, 3]).getDiagonal()).to.eql([1]);
+    });
+
+    it('should get the values as a column matrix', function() {
+      var diagonal = new Matrix(2).getDiagonal(true);
+      expect(diagonal.rows).to.equal(2);
+      expect(diagonal.cols).to.equal(1);
+      expect(diagonal.toArray()).to.eql([1, 1]);
+    });
+
+  });
+
+  describe('#setRow()', function() {
+
+    it('should set the values from an array or a matrix', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      matrix.setRow(0, [7, 8, 9]);
+      matrix.setRow(1, new Matrix(3, 1, false, 'float32').setData([0, 1, 0]));
+      expect(matrix.toArray()).to.eql([7, 8, 9, 0, 1, 0]);
+    });
+
+    it('should throw if the number of values does not match', function() {
+      var matrix = new Matrix(2, 3);
+      expect(function() {
+        matrix.setRow(0, [1, 2]);
+      }).to.throwError(function(error) {
+        expect(error).to.be.a(MatrixDimensionError);
+        expect(error.message).to.equal('Matrix dimension mismatch in setRow: 1x3 and 2 values');
+      });
+      expect(function() {
+        matrix.setRow(0, new Matrix(2, 2));
+      }).to.throwError(/in setRow: 1x3 and 2x2/);
+    });
+
+    it('should throw for an index outside the matrix', function() {
+      expect(function() {
+        new Matrix(2, 3).setRow(-1, [1, 2, 3]);
+      }).to.throwError(/Row index -1/);
+    });
+
+    it('should return the instance', function() {
+      var matrix = new Matrix(2, 3);
+      expect(matrix.setRow(0, [1, 2, 3])).to.equal(matrix);
+    });
+
+  });
+
+  describe('#setColumn()', function() {
+
+    it('should set the values from an array or a matrix', function() {
+      var matrix = new Matrix(2, 3, false, 'float64').setData([1, 2, 3, 4, 5, 6]);
+      matrix.setColumn(0, [7, 8]);
+      matrix.setColumn(2, new Matrix(1, 2).setData([0, -1]));
+      expect(matrix.toArray()).to.eql([7, 2, 0, 8, 5, -1]);
+    });
+
+    it('should throw if the number of values does not match', function() {
+      expect(function() {
+        new Matrix(2, 3).setColumn(0, [1, 2, 3]);
+      }).to.throwError(/in setColumn: 2x1 and 3 values/);
+    });
+
+    it('should throw for an index outside the matrix', function() {
+      expect(function() {
+        new Matrix(2, 3).setColumn(3, [1, 2]);
+      }).to.throwError(/Column index 3/);
+    });
+
+  });
+
+  describe('#toLogString()', function() {
+
+    var matrix1 = new Matrix(3, 3);
+
+    it('should format all the values as a string with columns and rows', function() {
+      var string = matrix1.toLogString();
+
+      var expectedString = '[\n';
+      expectedString += '  1  0  0\n';
+      expectedString += '  0  1  0\n';
+      expectedString += '  0  0  1\n';
+      expectedString += ']';
+
+      expect(string).to.equal(expectedString);
+    });
+
+    it('should format all the values as a string with the provided number of spaces as indentation', function() {
+      var string = matrix1.toLogString(5);
+
+      var expectedString = '[\n';
+      expectedString += '     1  0  0\n';
+      expectedString += '     0  1  0\n';
+      expectedString += '     0  0  1\n';
+      expectedString += ']';
+
+      expect(string).to.equal(expectedString);
+    });
+
+    it('should convert negative space count to 0', function() {
+      var string = matrix1.toLogString(-5);
+
+      var expectedString = '[\n';
+      expectedString += '1  0  0\n';
+      expectedString += '0  1  0\n';
+      expectedString += '0  0  1\n';
+      expectedString += ']';
+
+      expect(string).to.equal(expectedString);
+    });
+
+    it('should format all the values as a string with the provided string used for indentation', function() {
+      var string = matrix1.toLogString('\t');
 
       var expectedString = '[\n';
       expectedString += '\t1  0  0\n';
@@ -516,6 +1371,35 @@ describe('Matrix', function() {
 
   });
 
+  describe('#toCSS()', function() {
+
+    it('should write a 3x3 matrix as matrix()', function() {
+      var matrix = new Matrix(3, 3).setData([1, 3, 5, 2, 4, 6, 0, 0, 1]);
+      expect(matrix.toCSS()).to.equal('matrix(1, 2, 3, 4, 5, 6)');
+    });
+
+    it('should write a 4x4 matrix as matrix3d() in column-major order', function() {
+      var matrix = Matrix.translation(5, 6, 7);
+      expect(matrix.toCSS()).to.equal('matrix3d(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 5, 6, 7, 1)');
+    });
+
+    it('should write a 3x3 matrix with a perspective part as matrix3d()', function() {
+      var matrix = new Matrix(3, 3).setData([1, 0, 2, 0, 1, 3, 0.5, 0, 1]);
+      expect(matrix.toCSS()).to.equal('matrix3d(1, 0, 0, 0.5, 0, 1, 0, 0, 0, 0, 1, 0, 2, 3, 0, 1)');
+    });
+
+    it('should give back the same matrix with fromCSS()', function() {
+      var matrix = Matrix.fromCSS('rotateX(30deg) translate(4px, 5px)');
+      expect(Matrix.fromCSS(matrix.toCSS()).equals(matrix, 1e-15)).to.equal(true);
+    });
+
+    it('should return null for other sizes', function() {
+      expect(new Matrix(2, 2).toCSS()).to.equal(null);
+      expect(new Matrix(3, 4).toCSS()).to.equal(null);
+    });
+
+  });
+
   describe('#copy()', function() {
 
     it('should return the same Matrix instance', function() {
@@ -581,6 +1465,129 @@ describe('Matrix', function() {
 
   });
 
+  describe('#view()', function() {
+
+    var createMatrix = function(opt_storage) {
+      return new Matrix(4, 4, false, opt_storage).setData([
+        1, 2, 3, 4,
+        5, 6, 7, 8,
+        9, 10, 11, 12,
+        13, 14, 15, 16
+      ]);
+    };
+
+    it('should return a matrix with a part of the values', function() {
+      var matrix = createMatrix();
+      var view = matrix.view(1, 3, 1, 4);
+      expect(view instanceof Matrix).to.equal(true);
+      expect(view.parent).to.equal(matrix);
+      expect(view.rows).to.equal(2);
+      expect(view.cols).to.equal(3);
+      expect(view.length).to.equal(6);
+      expect(view.storage).to.equal('array');
+      expect(view.toArray()).to.eql([6, 7, 8, 10, 11, 12]);
+      expect(view.get(1, 0)).to.equal(10);
+    });
+
+    it('should give access to the values by index', function() {
+      var matrix = createMatrix();
+      var view = matrix.view(1, 3, 1, 3);
+      expect(view[0]).to.equal(6);
+      expect(view[3]).to.equal(11);
+      view[1] = 0;
+      expect(matrix[6]).to.equal(0);
+
+      var typedView = createMatrix('float32').view(2, 4, 0, 2);
+      expect(typedView.values[2]).to.equal(13);
+      expect(typedView.values.length).to.equal(4);
+    });
+
+    it('should write changes to the parent', function() {
+      var matrix = createMatrix('float64');
+      var view = matrix.view(1, 3, 2, 4);
+      view.add(new Matrix(2, 2).setData([1, 1, 1, 1]));
+      view.set(0, 0, 0);
+      expect(matrix.toArray()).to.eql([1, 2, 3, 4, 5, 6, 0, 9, 9, 10, 12, 13, 13, 14, 15, 16]);
+    });
+
+    it('should read changes in the parent', function() {
+      var matrix = createMatrix();
+      var view = matrix.view(0, 2, 0, 2);
+      matrix.set(1, 1, 0);
+      expect(view.toArray()).to.eql([1, 2, 5, 0]);
+    });
+
+    it('should work with operations that keep the size', function() {
+      var matrix = createMatrix();
+      var view = matrix.view(2, 4, 0, 2);
+      view.multiply(new Matrix(2, 2).setData([0, 1, 1, 0]));
+      expect(matrix.getRow(2)).to.eql([10, 9, 11, 12]);
+      expect(matrix.getRow(3)).to.eql([14, 13, 15, 16]);
+
+      view.transpose();
+      expect(matrix.getRow(2)).to.eql([10, 14, 11, 12]);
+
+      view.copy(new Matrix(2));
+      expect(view.isIdentity()).to.equal(true);
+      expect(matrix.getRow(3)).to.eql([0, 1, 15, 16]);
+    });
+
+    it('should work with invert and getDeterminant', function() {
+      var matrix = new Matrix(3, 3, false, 'float32').setData([4, 7, 0, 2, 6, 0, 0, 0, 1]);
+      var view = matrix.view(0, 2, 0, 2);
+      expect(view.getDeterminant()).to.equal(10);
+      view.invert();
+      expect(matrix.toArray()).to.eql([0.6000000238418579, -0.699999988079071, 0, -0.20000000298023224, 0.4000000059604645, 0, 0, 0, 1]);
+    });
+
+    it('should work as an operand', function() {
+      var matrix = createMatrix();
+      var product = Matrix.multiply(matrix.view(0, 1, 0, 4), matrix.view(0, 4, 3, 4));
+      expect(product.toArray()).to.eql([120]);
+      expect(matrix.view(0, 2, 0, 2).equals(new Matrix(2, 2).setData([1, 2, 5, 6]))).to.equal(true);
+    });
+
+    it('should create views of views from the original parent', function() {
+      var matrix = createMatrix();
+      var view = matrix.view(1, 4, 1, 4).view(1, 3, 0, 2);
+      expect(view.parent).to.equal(matrix);
+      expect(view.toArray()).to.eql([10, 11, 14, 15]);
+      view.setEmptyData();
+      expect(matrix.getRow(2)).to.eql([9, 0, 0, 12]);
+    });
+
+    it('should throw if the size would change', function() {
+      var matrix = createMatrix();
+      var view = matrix.view(0, 2, 0, 3);
+      expect(function() {
+        view.transpose();
+      }).to.throwError(/The size of a view can not be changed/);
+      expect(function() {
+        view.setData([1, 2, 3], 1, 3);
+      }).to.throwError(/The size of a view can not be changed/);
+      expect(matrix.toArray()).to.eql(createMatrix().toArray());
+    });
+
+    it('should throw for ranges that are empty or outside the matrix', function() {
+      var matrix = createMatrix();
+      expect(function() {
+        matrix.view(0, 5, 0, 1);
+      }).to.throwError(/Row range 0 to 5 is not valid/);
+      expect(function() {
+        matrix.view(0, 1, 2, 2);
+      }).to.throwError(/Column range 2 to 2 is not valid/);
+    });
+
+    it('should be cloned to a matrix with values of its own', function() {
+      var matrix = createMatrix();
+      var clone = matrix.view(0, 2, 2, 4).clone();
+      expect(clone.parent).to.equal(null);
+      clone.setEmptyData();
+      expect(matrix.get(0, 2)).to.equal(3);
+    });
+
+  });
+
   describe('#clone()', function() {
 
     var matrix1 = new Matrix(2, 2).setData([1, 0, 0, 1]);
@@ -642,6 +1649,44 @@ describe('Matrix', function() {
       expect(returnValue).to.equal(matrix1);
     });
 
+    it('should add a number to all values', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      var matrix2 = new Matrix(2, 2).setData([1, 1, 1, 1]);
+      matrix1.add(10, matrix2);
+      expect(matrix1.toArray()).to.eql([12, 13, 14, 15]);
+    });
+
+    it('should add a row vector to all rows', function() {
+      var matrix1 = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      var matrix2 = new Matrix(1, 3).setData([10, 20, 30]);
+      matrix1.add(matrix2);
+      expect(matrix1.toArray()).to.eql([11, 22, 33, 14, 25, 36]);
+    });
+
+    it('should add a column vector to all columns', function() {
+      var matrix1 = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      var matrix2 = new Matrix(2, 1).setData([10, 20]);
+      matrix1.add(matrix2);
+      expect(matrix1.toArray()).to.eql([11, 12, 13, 24, 25, 26]);
+    });
+
+    it('should add a 1x1 matrix to all values', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      var matrix2 = new Matrix(1, 1).setData([5]);
+      matrix1.add(matrix2);
+      expect(matrix1.toArray()).to.eql([6, 7, 8, 9]);
+    });
+
+    it('should allow broadcast vectors in strict mode', function() {
+      var matrix1 = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      matrix1.strict = true;
+      matrix1.add(new Matrix(1, 3).setData([1, 1, 1]), new Matrix(2, 1).setData([1, 2]));
+      expect(matrix1.toArray()).to.eql([3, 4, 5, 7, 8, 9]);
+      expect(function() {
+        matrix1.add(new Matrix(1, 2));
+      }).to.throwError(/in add: 2x3 and 1x2/);
+    });
+
   });
 
   describe('#subtract()', function() {
@@ -683,6 +1728,26 @@ describe('Matrix', function() {
       expect(returnValue).to.equal(matrix1);
     });
 
+    it('should subtract a number from all values', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      matrix1.subtract(1);
+      expect(matrix1.toArray()).to.eql([0, 1, 2, 3]);
+    });
+
+    it('should subtract a row vector from all rows', function() {
+      var matrix1 = new Matrix(3, 2).setData([1, 10, 3, 20, 5, 30]);
+      var means = new Matrix(1, 2).setData([3, 20]);
+      matrix1.subtract(means);
+      expect(matrix1.toArray()).to.eql([-2, -10, 0, 0, 2, 10]);
+    });
+
+    it('should subtract a column vector from all columns', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      var matrix2 = new Matrix(2, 1).setData([1, 3]);
+      matrix1.subtract(matrix2);
+      expect(matrix1.toArray()).to.eql([0, 1, 0, 1]);
+    });
+
   });
 
   describe('#multiply()', function() {
@@ -778,11 +1843,22 @@ describe('Matrix', function() {
       expect(matrix1[0]).to.equal(0.5);
     });
 
-    it('should not divide a matrix that is not square', function() {
-      var matrix1 = new Matrix(2, 2).setData([1, 0, 0, 1]);
+    it('should divide by the pseudo-inverse of a matrix that is not square', function() {
+      var matrix1 = new Matrix(1, 2).setData([2, 4]);
+      var matrix2 = new Matrix(3, 2).setData([1, 0, 0, 1, 0, 0]);
+      matrix1.divide(matrix2);
+      expect(matrix1.rows).to.equal(1);
+      expect(matrix1.cols).to.equal(3);
+      expect(matrix1[0]).to.be.within(2 - 1e-12, 2 + 1e-12);
+      expect(matrix1[1]).to.be.within(4 - 1e-12, 4 + 1e-12);
+      expect(matrix1[2]).to.be.within(-1e-12, 1e-12);
+    });
+
+    it('should not divide by a matrix whose pseudo-inverse does not match in size', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
       var matrix2 = new Matrix(2, 3).setData([2, 0, 1, 0, 2, 1]);
       matrix1.divide(matrix2);
-      expect(matrix1[0]).to.equal(1);
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4]);
     });
 
     it('should divide all matrices passed in to the method', function() {
@@ -802,6 +1878,135 @@ describe('Matrix', function() {
 
   });
 
+  describe('#hadamard()', function() {
+
+    it('should multiply another matrix of the same size element by element', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      var matrix2 = new Matrix(2, 2).setData([2, 3, 4, 5]);
+      matrix1.hadamard(matrix2);
+      expect(matrix1.toArray()).to.eql([2, 6, 12, 20]);
+    });
+
+    it('should multiply all values by a number', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      matrix1.hadamard(3);
+      expect(matrix1.toArray()).to.eql([3, 6, 9, 12]);
+    });
+
+    it('should not multiply a matrix with a different size', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      var matrix2 = new Matrix(1, 4).setData([2, 3, 4, 5]);
+      matrix1.hadamard(matrix2);
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+    it('should throw a MatrixDimensionError for a different size in strict mode', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      var matrix2 = new Matrix(1, 4).setData([2, 3, 4, 5]);
+      matrix1.strict = true;
+      expect(function() {
+        matrix1.hadamard(matrix2);
+      }).to.throwError(function(error) {
+        expect(error).to.be.a(MatrixDimensionError);
+        expect(error.operation).to.equal('hadamard');
+      });
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+    it('should return the instance', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      expect(matrix1.hadamard(2)).to.equal(matrix1);
+    });
+
+  });
+
+  describe('#divideElements()', function() {
+
+    it('should divide by another matrix of the same size element by element', function() {
+      var matrix1 = new Matrix(2, 2).setData([2, 6, 12, 20]);
+      var matrix2 = new Matrix(2, 2).setData([2, 3, 4, 5]);
+      matrix1.divideElements(matrix2);
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+    it('should divide all values by a number', function() {
+      var matrix1 = new Matrix(2, 2).setData([2, 4, 6, 8]);
+      matrix1.divideElements(2);
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+    it('should not divide by a matrix with a different size', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      var matrix2 = new Matrix(2, 1).setData([2, 3]);
+      matrix1.divideElements(matrix2);
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+    it('should return the instance', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      expect(matrix1.divideElements(2)).to.equal(matrix1);
+    });
+
+  });
+
+  describe('#powerElements()', function() {
+
+    it('should raise all values to a number', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      matrix1.powerElements(2);
+      expect(matrix1.toArray()).to.eql([1, 4, 9, 16]);
+    });
+
+    it('should raise each value to the matching value of a matrix', function() {
+      var matrix1 = new Matrix(2, 2).setData([2, 2, 3, 4]);
+      var matrix2 = new Matrix(2, 2).setData([0, 1, 2, 0.5]);
+      matrix1.powerElements(matrix2);
+      expect(matrix1.toArray()).to.eql([1, 2, 9, 2]);
+    });
+
+    it('should not use an exponent matrix with a different size', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      var matrix2 = new Matrix(1, 2).setData([2, 2]);
+      matrix1.powerElements(matrix2);
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+    it('should return the instance', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      expect(matrix1.powerElements(2)).to.equal(matrix1);
+    });
+
+  });
+
+  describe('#map()', function() {
+
+    it('should replace each value with the return value of the function', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      matrix1.map(function(value) {
+        return value * value;
+      });
+      expect(matrix1.toArray()).to.eql([1, 4, 9, 16]);
+    });
+
+    it('should pass the row, the column and the matrix to the function', function() {
+      var matrix1 = new Matrix(2, 3);
+      var calls = [];
+      matrix1.map(function(value, row, col, matrix) {
+        expect(matrix).to.equal(matrix1);
+        calls.push([row, col]);
+        return row * 10 + col;
+      });
+      expect(calls).to.eql([[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2]]);
+      expect(matrix1.toArray()).to.eql([0, 1, 2, 10, 11, 12]);
+    });
+
+    it('should return the instance', function() {
+      var matrix1 = new Matrix(2, 2);
+      expect(matrix1.map(Math.abs)).to.equal(matrix1);
+    });
+
+  });
+
   describe('#power()', function() {
 
     it('should raise the matrix to a given power', function() {
@@ -828,61 +2033,308 @@ describe('Matrix', function() {
       expect(matrix1[5]).to.equal(2);
     });
 
-  });
+    it('should raise the matrix to large powers', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 1, 1, 0]);
+      matrix1.power(40);
+      expect(matrix1.toArray()).to.eql([165580141, 102334155, 102334155, 63245986]);
+    });
 
-  describe('#transpose()', function() {
+    it('should give the identity matrix for the power 0', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 4, 1]);
+      matrix1.power(0);
+      expect(matrix1.toArray()).to.eql([1, 0, 0, 1]);
+    });
 
-    var matrix1 = new Matrix(2, 2).setData([1, 2, 4, 1]);
+    it('should raise the inverse for negative powers', function() {
+      var matrix1 = new Matrix(2, 2).setData([2, 0, 1, 1]);
+      matrix1.power(-2);
+      expect(matrix1.equals(new Matrix(2, 2).setData([0.25, 0, -0.75, 1]), 1e-12)).to.equal(true);
+    });
 
-    it('should transpose the squared matrix', function() {
-      matrix1.transpose();
+    it('should not raise a singular matrix to a negative power', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 2, 4]);
+      matrix1.power(-1);
+      expect(matrix1.toArray()).to.eql([1, 2, 2, 4]);
+    });
 
-      expect(matrix1[0]).to.equal(1);
-      expect(matrix1[1]).to.equal(4);
-      expect(matrix1[2]).to.equal(2);
-      expect(matrix1[3]).to.equal(1);
+    it('should raise a diagonalizable matrix to a non-integer power', function() {
+      var matrix1 = new Matrix(2, 2).setData([2, 1, 0, 3]);
+      var expected = new Matrix(2, 2).setData([2, 1, 0, 3]).power(3);
+      var root = matrix1.power(1.5);
+      expect(Matrix.multiply(root, root).equals(expected, 1e-12)).to.equal(true);
     });
 
-    it('should transpose the non-squared matrix', function() {
-      var matrix = new Matrix(2, 3).setData([1, 2, 4, 1, 3, 5]);
-      matrix.transpose();
-      expect(matrix[0]).to.equal(1);
-      expect(matrix[1]).to.equal(1);
-      expect(matrix[2]).to.equal(2);
-      expect(matrix[3]).to.equal(3);
-      expect(matrix[4]).to.equal(4);
-      expect(matrix[5]).to.equal(5);
+    it('should not raise to a non-integer power if it is not possible', function() {
+      var negative = new Matrix(2, 2).setData([-1, 0, 0, 1]);
+      var defective = new Matrix(2, 2).setData([1, 1, 0, 1]);
+      expect(negative.power(0.5).toArray()).to.eql([-1, 0, 0, 1]);
+      expect(defective.power(0.5).toArray()).to.eql([1, 1, 0, 1]);
     });
 
     it('should return the instance', function() {
-      var returnValue = matrix1.transpose();
-      expect(returnValue).to.equal(matrix1);
+      var matrix1 = new Matrix(2, 2).setData([1, 2, 4, 1]);
+      expect(matrix1.power(2)).to.equal(matrix1);
     });
 
   });
 
-  describe('#invert()', function() {
+  describe('#expm()', function() {
 
-    it('should invert a square 2x2 matrix', function() {
-      var matrix1 = new Matrix(2, 2).setData([0, -600, 240, 240]);
-      matrix1.invert();
+    it('should replace the matrix with its exponential', function() {
+      var matrix = new Matrix(2, 2).setData([0, 1, -1, 0]);
+      matrix.expm();
+      expect(matrix[0]).to.be.within(Math.cos(1) - 1e-14, Math.cos(1) + 1e-14);
+      expect(matrix[1]).to.be.within(Math.sin(1) - 1e-14, Math.sin(1) + 1e-14);
+      expect(matrix[2]).to.be.within(-Math.sin(1) - 1e-14, -Math.sin(1) + 1e-14);
+      expect(matrix[3]).to.be.within(Math.cos(1) - 1e-14, Math.cos(1) + 1e-14);
+    });
 
-      expect(matrix1[0]).to.equal(1/600);
-      expect(matrix1[1]).to.equal(1/240);
-      expect(matrix1[2]).to.equal(-1/600);
-      expect(matrix1[3]).to.equal(0);
+    it('should handle matrices with a large norm', function() {
+      var matrix = new Matrix(2, 2).setData([-49, 24, -64, 31]);
+      var a = Math.exp(-1);
+      var b = Math.exp(-17);
+      var expected = [-2 * a + 3 * b, 1.5 * a - 1.5 * b, -4 * a + 4 * b, 3 * a - 2 * b];
+      matrix.expm();
+      for (var i = 0; i < 4; i++) {
+        expect(matrix[i]).to.be.within(expected[i] - 1e-12, expected[i] + 1e-12);
+      }
     });
 
-    it('should invert a square 3x3 matrix', function() {
-      var matrix1 = new Matrix(3, 3).setData([3, 0, 2, 2, 0, -2, 0, 1, 1]);
-      matrix1.invert();
+    it('should give the identity for a matrix of zeros', function() {
+      var matrix = new Matrix(3, 3).setEmptyData();
+      expect(matrix.expm().toArray()).to.eql([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+    });
 
-      expect(matrix1[0]).to.equal(0.2);
-      expect(matrix1[1]).to.equal(0.2);
-      expect(matrix1[2]).to.equal(0);
-      expect(matrix1[3]).to.equal(-0.2);
-      expect(matrix1[4]).to.equal(0.3);
-      expect(matrix1[5]).to.equal(1);
+    it('should not change a matrix that is not square', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      expect(matrix.expm().toArray()).to.eql([1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should give NaN for a matrix with Infinity or NaN', function() {
+      var matrix1 = new Matrix(2, 2).setData([1, Infinity, 0, 1]);
+      var matrix2 = new Matrix(2, 2, true, 'float64').setData([1, 0, NaN, 1]);
+      expect(matrix1.expm().toArray().every(isNaN)).to.equal(true);
+      expect(matrix2.expm().toArray().every(isNaN)).to.equal(true);
+    });
+
+  });
+
+  describe('#logm()', function() {
+
+    it('should be the inverse of expm()', function() {
+      var matrix = new Matrix(3, 3).setData([1, 2, 0, -1, 3, 1, 0.5, 0, 2]);
+      var result = matrix.clone().expm().logm();
+      expect(result.equals(matrix, 1e-12)).to.equal(true);
+    });
+
+    it('should take the logarithm of a diagonal matrix value by value', function() {
+      var matrix = new Matrix(2, 2).setData([Math.E, 0, 0, 1]);
+      expect(matrix.logm().equals(new Matrix(2, 2).setData([1, 0, 0, 0]), 1e-12)).to.equal(true);
+    });
+
+    it('should throw if there is no real logarithm', function() {
+      var matrix = new Matrix(2, 2).setData([-1, 0, 0, 1]);
+      expect(function() {
+        matrix.logm();
+      }).to.throwError(/Matrix logarithm did not converge/);
+    });
+
+    it('should throw if the matrix is singular', function() {
+      expect(function() {
+        new Matrix(1, 1).setData([0]).logm();
+      }).to.throwError(/Matrix logarithm is undefined for a singular matrix/);
+      expect(function() {
+        new Matrix(2, 2).setData([1, 2, 2, 4]).logm();
+      }).to.throwError(/Matrix logarithm is undefined for a singular matrix/);
+    });
+
+  });
+
+  describe('#sqrtm()', function() {
+
+    it('should replace the matrix with its square root', function() {
+      var matrix = new Matrix(2, 2).setData([4, 1, 1, 3]);
+      var root = matrix.clone().sqrtm();
+      expect(Matrix.multiply(root, root).equals(matrix, 1e-12)).to.equal(true);
+      expect(root.isPositiveDefinite()).to.equal(true);
+    });
+
+    it('should find the square root of a matrix that is not symmetric', function() {
+      var matrix = new Matrix(2, 2).setData([1, 1000, 0, 1]);
+      expect(matrix.sqrtm().toArray()).to.eql([1, 500, 0, 1]);
+    });
+
+    it('should return zeros for a zero matrix', function() {
+      expect(new Matrix(1, 1).setData([0]).sqrtm().toArray()).to.eql([0]);
+      expect(new Matrix(2, 2).setData([0, 0, 0, 0]).sqrtm().toArray()).to.eql([0, 0, 0, 0]);
+    });
+
+    it('should find the square root of a singular matrix', function() {
+      var matrix = new Matrix(2, 2).setData([1, 2, 2, 4]);
+      var root = matrix.clone().sqrtm();
+      expect(Matrix.multiply(root, root).equals(matrix, 1e-12)).to.equal(true);
+      expect(new Matrix(2, 2).setData([4, 0, 0, 0]).sqrtm().toArray()).to.eql([2, 0, 0, 0]);
+    });
+
+    it('should throw if there is no real square root', function() {
+      var matrix = new Matrix(2, 2).setData([-4, 0, 0, 1]);
+      expect(function() {
+        matrix.sqrtm();
+      }).to.throwError(/Matrix square root did not converge/);
+    });
+
+    it('should return the instance', function() {
+      var matrix = new Matrix(2, 2);
+      expect(matrix.sqrtm()).to.equal(matrix);
+    });
+
+  });
+
+  describe('#transpose()', function() {
+
+    var matrix1 = new Matrix(2, 2).setData([1, 2, 4, 1]);
+
+    it('should transpose the squared matrix', function() {
+      matrix1.transpose();
+
+      expect(matrix1[0]).to.equal(1);
+      expect(matrix1[1]).to.equal(4);
+      expect(matrix1[2]).to.equal(2);
+      expect(matrix1[3]).to.equal(1);
+    });
+
+    it('should transpose the non-squared matrix', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 4, 1, 3, 5]);
+      matrix.transpose();
+      expect(matrix[0]).to.equal(1);
+      expect(matrix[1]).to.equal(1);
+      expect(matrix[2]).to.equal(2);
+      expect(matrix[3]).to.equal(3);
+      expect(matrix[4]).to.equal(4);
+      expect(matrix[5]).to.equal(5);
+    });
+
+    it('should return the instance', function() {
+      var returnValue = matrix1.transpose();
+      expect(returnValue).to.equal(matrix1);
+    });
+
+  });
+
+  describe('#reshape()', function() {
+
+    it('should change the size and keep the values in row-major order', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      matrix.reshape(3, 2);
+      expect(matrix.rows).to.equal(3);
+      expect(matrix.cols).to.equal(2);
+      expect(matrix.toArray()).to.eql([1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should keep the values in column-major order if asked to', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      matrix.reshape(3, 2, 'column');
+      expect(matrix.toArray()).to.eql([1, 5, 4, 3, 2, 6]);
+    });
+
+    it('should throw a MatrixDimensionError if the number of values changes', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      expect(function() {
+        matrix.reshape(2, 2);
+      }).to.throwError(/in reshape: 2x3 and 2x2/);
+      expect(matrix.rows).to.equal(2);
+    });
+
+    it('should throw for an unknown order', function() {
+      expect(function() {
+        new Matrix(2, 2).reshape(1, 4, 'diagonal');
+      }).to.throwError(/Unknown order: diagonal/);
+    });
+
+    it('should return the instance', function() {
+      var matrix = new Matrix(2, 2);
+      expect(matrix.reshape(4, 1)).to.equal(matrix);
+    });
+
+  });
+
+  describe('#flipRows()', function() {
+
+    it('should reverse the order of the rows', function() {
+      var matrix = new Matrix(3, 2).setData([1, 2, 3, 4, 5, 6]);
+      expect(matrix.flipRows().toArray()).to.eql([5, 6, 3, 4, 1, 2]);
+    });
+
+    it('should flip a view in place', function() {
+      var matrix = new Matrix(3, 3).setData([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      matrix.view(0, 2, 1, 3).flipRows();
+      expect(matrix.toArray()).to.eql([1, 5, 6, 4, 2, 3, 7, 8, 9]);
+    });
+
+  });
+
+  describe('#flipColumns()', function() {
+
+    it('should reverse the order of the columns', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      expect(matrix.flipColumns().toArray()).to.eql([3, 2, 1, 6, 5, 4]);
+    });
+
+  });
+
+  describe('#rotate90()', function() {
+
+    it('should rotate counterclockwise once by default', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      matrix.rotate90();
+      expect(matrix.rows).to.equal(3);
+      expect(matrix.cols).to.equal(2);
+      expect(matrix.toArray()).to.eql([3, 6, 2, 5, 1, 4]);
+    });
+
+    it('should rotate a number of times', function() {
+      var matrix = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      expect(matrix.clone().rotate90(2).toArray()).to.eql([4, 3, 2, 1]);
+      expect(matrix.clone().rotate90(3).toArray()).to.eql([3, 1, 4, 2]);
+      expect(matrix.clone().rotate90(4).toArray()).to.eql([1, 2, 3, 4]);
+    });
+
+    it('should rotate clockwise for negative numbers', function() {
+      var matrix = new Matrix(2, 2).setData([1, 2, 3, 4]);
+      expect(matrix.rotate90(-1).toArray()).to.eql([3, 1, 4, 2]);
+    });
+
+  });
+
+  describe('#invert()', function() {
+
+    it('should invert a 1x1 matrix', function() {
+      var matrix1 = new Matrix(1, 1).setData([4]);
+      matrix1.invert();
+
+      expect(matrix1[0]).to.equal(0.25);
+    });
+
+    it('should invert a square 2x2 matrix', function() {
+      var matrix1 = new Matrix(2, 2).setData([0, -600, 240, 240]);
+      matrix1.invert();
+
+      expect(matrix1[0]).to.equal(1/600);
+      expect(matrix1[1]).to.equal(1/240);
+      expect(matrix1[2]).to.equal(-1/600);
+      expect(matrix1[3]).to.equal(0);
+    });
+
+    it('should invert a square 3x3 matrix', function() {
+      var matrix1 = new Matrix(3, 3).setData([3, 0, 2, 2, 0, -2, 0, 1, 1]);
+      matrix1.invert();
+
+      expect(matrix1[0]).to.equal(0.2);
+      expect(matrix1[1]).to.equal(0.2);
+      expect(matrix1[2]).to.equal(0);
+      expect(matrix1[3]).to.equal(-0.2);
+      expect(matrix1[4]).to.equal(0.3);
+      expect(matrix1[5]).to.equal(1);
       expect(matrix1[6]).to.equal(0.2);
       expect(matrix1[7]).to.equal(-0.3);
       expect(matrix1[8]).to.equal(0);
@@ -910,6 +2362,54 @@ describe('Matrix', function() {
       expect(matrix1[15]).to.equal(1);
     });
 
+    it('should invert a large matrix', function() {
+      var matrix1 = new Matrix(10, 10).setData([
+        4, 1, 0, 0, 0, 0, 0, 0, 0, 2,
+        1, 4, 1, 0, 0, 0, 0, 0, 0, 0,
+        0, 1, 4, 1, 0, 0, 0, 0, 0, 0,
+        0, 0, 1, 4, 1, 0, 0, 0, 0, 0,
+        0, 0, 0, 1, 4, 1, 0, 0, 0, 0,
+        0, 0, 0, 0, 1, 4, 1, 0, 0, 0,
+        0, 0, 0, 0, 0, 1, 4, 1, 0, 0,
+        0, 0, 0, 0, 0, 0, 1, 4, 1, 0,
+        0, 0, 0, 0, 0, 0, 0, 1, 4, 1,
+        3, 0, 0, 0, 0, 0, 0, 0, 1, 4
+      ]);
+      var product = Matrix.multiply(matrix1, matrix1.clone().invert());
+
+      for (var i = 0; i < product.length; i++) {
+        var expected = i % 11 ? 0 : 1;
+        expect(product[i]).to.be.within(expected - 1e-12, expected + 1e-12);
+      }
+    });
+
+    it('should not invert a singular 4x4 matrix', function() {
+      var matrix1 = new Matrix(4, 4).setData([1, 2, 3, 4, 2, 4, 6, 8, 1, 0, 1, 0, 0, 1, 0, 1]);
+      matrix1.invert();
+
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4, 2, 4, 6, 8, 1, 0, 1, 0, 0, 1, 0, 1]);
+    });
+
+    it('should invert a matrix with values of very different magnitudes', function() {
+      var matrix1 = new Matrix(5, 5).setData([
+        1e16, 0, 0, 0, 0,
+        0, 1, 0, 0, 0,
+        0, 0, 1, 0, 0,
+        0, 0, 0, 1, 0,
+        0, 0, 0, 0, 1
+      ]);
+      matrix1.invert();
+
+      expect(matrix1.toArray()).to.eql([1e-16, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1]);
+    });
+
+    it('should not invert a matrix that is singular up to rounding errors', function() {
+      var matrix1 = new Matrix(4, 4).setData([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+      matrix1.invert();
+
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+    });
+
     it('should not invert a non-square matrix', function() {
       var matrix1 = new Matrix(3, 2).setData([3, 0, 2, 0, 0, 1]);
       matrix1.invert();
@@ -942,6 +2442,62 @@ describe('Matrix', function() {
 
   });
 
+  describe('#pseudoInverse()', function() {
+
+    it('should get the pseudo-inverse of a tall matrix', function() {
+      var matrix = new Matrix(3, 2).setData([1, 2, 3, 4, 5, 6]);
+      matrix.pseudoInverse();
+      var expected = [-4 / 3, -1 / 3, 2 / 3, 13 / 12, 1 / 3, -5 / 12];
+      expect(matrix.rows).to.equal(2);
+      expect(matrix.cols).to.equal(3);
+      for (var i = 0; i < 6; i++) {
+        expect(matrix[i]).to.be.within(expected[i] - 1e-12, expected[i] + 1e-12);
+      }
+    });
+
+    it('should get the pseudo-inverse of a wide matrix', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      var pseudoInverse = matrix.clone().pseudoInverse();
+      var product = Matrix.multiply(matrix, pseudoInverse, matrix);
+      expect(pseudoInverse.rows).to.equal(3);
+      expect(pseudoInverse.cols).to.equal(2);
+      for (var i = 0; i < 6; i++) {
+        expect(product[i]).to.be.within(matrix[i] - 1e-12, matrix[i] + 1e-12);
+      }
+    });
+
+    it('should get the inverse of an invertible square matrix', function() {
+      var matrix = new Matrix(2, 2).setData([4, 7, 2, 6]);
+      matrix.pseudoInverse();
+      var expected = [0.6, -0.7, -0.2, 0.4];
+      for (var i = 0; i < 4; i++) {
+        expect(matrix[i]).to.be.within(expected[i] - 1e-12, expected[i] + 1e-12);
+      }
+    });
+
+    it('should get the pseudo-inverse of a singular matrix', function() {
+      var matrix = new Matrix(2, 2).setData([1, 2, 2, 4]);
+      matrix.pseudoInverse();
+      var expected = [0.04, 0.08, 0.08, 0.16];
+      for (var i = 0; i < 4; i++) {
+        expect(matrix[i]).to.be.within(expected[i] - 1e-12, expected[i] + 1e-12);
+      }
+    });
+
+    it('should treat singular values below the tolerance as zero', function() {
+      var matrix = new Matrix(2, 2).setData([1, 0, 0, 1e-6]);
+      matrix.pseudoInverse(1e-3);
+      expect(matrix.toArray()).to.eql([1, 0, 0, 0]);
+    });
+
+    it('should return the instance', function() {
+      var matrix = new Matrix(3, 2).setData([1, 2, 3, 4, 5, 6]);
+      var returnValue = matrix.pseudoInverse();
+      expect(returnValue).to.equal(matrix);
+    });
+
+  });
+
   describe('#getDeterminant()', function() {
 
     it('should return null if the matrix is not square', function() {
@@ -971,7 +2527,564 @@ describe('Matrix', function() {
     it('should return the determinant of a 4x4 (or larger) matrix', function() {
       var matrix1 = new Matrix(4, 4).setData([6, 1, 1, 3, 4, -2, 5, 6, 2, 8, 7, -3, 6, 2, 4, 1]);
       var determinant = matrix1.getDeterminant();
-      expect(determinant).to.equal(708);
+      expect(determinant).to.be.within(708 - 1e-9, 708 + 1e-9);
+    });
+
+    it('should return the determinant of a large matrix', function() {
+      var matrix1 = new Matrix(12, 12);
+      for (var i = 0; i < 12; i++) {
+        matrix1[i * 12 + i] = 2;
+      }
+      matrix1[1] = 5;
+      matrix1[12] = 3;
+      var determinant = matrix1.getDeterminant();
+      expect(determinant).to.be.within(-11 * 1024 - 1e-9, -11 * 1024 + 1e-9);
+    });
+
+    it('should return 0 for a singular 4x4 matrix', function() {
+      var matrix1 = new Matrix(4, 4).setData([1, 2, 3, 4, 2, 4, 6, 8, 1, 0, 1, 0, 0, 1, 0, 1]);
+      var determinant = matrix1.getDeterminant();
+      expect(determinant).to.equal(0);
+    });
+
+    it('should return the determinant of a matrix with values of very different magnitudes', function() {
+      var matrix1 = new Matrix(4, 4).setData([1e16, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+      var matrix2 = new Matrix(5, 5);
+      matrix2[0] = 1e16;
+
+      expect(matrix1.getDeterminant()).to.equal(1e16);
+      expect(matrix2.getDeterminant()).to.equal(1e16);
+    });
+
+    it('should return 0 for a matrix that is singular up to rounding errors', function() {
+      var matrix1 = new Matrix(4, 4).setData([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+      expect(matrix1.getDeterminant()).to.equal(0);
+
+      var matrix2 = new Matrix(5, 5);
+      for (var i = 0; i < 25; i++) {
+        matrix2[i] = i + 1;
+      }
+      expect(matrix2.getDeterminant()).to.equal(0);
+    });
+
+  });
+
+  describe('#norm()', function() {
+
+    var matrix = new Matrix(2, 3).setData([1, -2, 3, -4, 5, -6]);
+
+    it('should get the Frobenius norm by default', function() {
+      expect(matrix.norm()).to.be.within(Math.sqrt(91) - 1e-12, Math.sqrt(91) + 1e-12);
+      expect(matrix.norm('fro')).to.equal(matrix.norm());
+    });
+
+    it('should get the 1-norm and the infinity norm', function() {
+      expect(matrix.norm(1)).to.equal(9);
+      expect(matrix.norm(Infinity)).to.equal(15);
+    });
+
+    it('should get the spectral norm', function() {
+      var diagonal = new Matrix(3, 3).setData([2, 0, 0, 0, -7, 0, 0, 0, 3]);
+      expect(diagonal.norm(2)).to.be.within(7 - 1e-12, 7 + 1e-12);
+    });
+
+    it('should get the largest absolute value', function() {
+      expect(matrix.norm('max')).to.equal(6);
+    });
+
+    it('should throw for an unknown type', function() {
+      expect(function() {
+        matrix.norm(3);
+      }).to.throwError(/Unknown norm type: 3/);
+    });
+
+  });
+
+  describe('#cond()', function() {
+
+    it('should get the ratio between the largest and smallest singular value', function() {
+      var matrix = new Matrix(2, 2).setData([4, 0, 0, 0.5]);
+      expect(matrix.cond()).to.be.within(8 - 1e-12, 8 + 1e-12);
+    });
+
+    it('should return 1 for an orthogonal matrix', function() {
+      var matrix = new Matrix(2, 2).setData([0, 1, -1, 0]);
+      expect(matrix.cond()).to.be.within(1 - 1e-12, 1 + 1e-12);
+    });
+
+    it('should return Infinity for a singular matrix', function() {
+      var matrix = new Matrix(2, 2).setData([1, 2, 2, 4]);
+      expect(matrix.cond()).to.equal(Infinity);
+    });
+
+  });
+
+  describe('#rcond()', function() {
+
+    it('should estimate the reciprocal condition number in the 1-norm', function() {
+      var matrix = new Matrix(3, 3).setData([2, 0, 0, 0, 1, 0, 0, 0, 0.25]);
+      expect(matrix.rcond()).to.be.within(0.125 - 1e-12, 0.125 + 1e-12);
+    });
+
+    it('should give a small number for a matrix that is close to singular', function() {
+      var matrix = new Matrix(4, 4).map(function(value, row, col) {
+        return 1 / (row + col + 1);
+      });
+      var exact = 1 / (matrix.norm(1) * matrix.clone().invert().norm(1));
+      expect(matrix.rcond()).to.be.lessThan(1e-4);
+      expect(matrix.rcond()).to.be.within(exact - 1e-12, exact * 10);
+    });
+
+    it('should return 0 for a singular matrix', function() {
+      var matrix = new Matrix(2, 2).setData([1, 2, 2, 4]);
+      expect(matrix.rcond()).to.equal(0);
+    });
+
+    it('should return null for a matrix that is not square', function() {
+      expect(new Matrix(2, 3).rcond()).to.equal(null);
+    });
+
+  });
+
+  describe('#rank()', function() {
+
+    it('should get the number of linearly independent rows', function() {
+      var matrix = new Matrix(3, 3).setData([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(matrix.rank()).to.equal(2);
+      expect(new Matrix(3).rank()).to.equal(3);
+      expect(new Matrix(2, 3).rank()).to.equal(0);
+    });
+
+    it('should treat values below the tolerance as zero', function() {
+      var matrix = new Matrix(2, 2).setData([1, 0, 0, 1e-9]);
+      expect(matrix.rank()).to.equal(2);
+      expect(matrix.rank(1e-6)).to.equal(1);
+    });
+
+  });
+
+  describe('#rref()', function() {
+
+    it('should reduce the matrix to reduced row echelon form', function() {
+      var matrix = new Matrix(3, 4).setData([1, 2, 3, 4, 2, 4, 6, 8, 1, 0, 1, 0]);
+      matrix.rref();
+      expect(matrix.toArray()).to.eql([1, 0, 1, 0, 0, 1, 1, 2, 0, 0, 0, 0]);
+    });
+
+    it('should give the identity for an invertible matrix', function() {
+      var matrix = new Matrix(3, 3).setData([2, 1, 1, 1, 3, 2, 1, 0, 0]);
+      expect(matrix.rref().isIdentity(1e-12)).to.equal(true);
+    });
+
+    it('should return the instance', function() {
+      var matrix = new Matrix(2, 2);
+      expect(matrix.rref()).to.equal(matrix);
+    });
+
+  });
+
+  describe('#nullSpace()', function() {
+
+    it('should return a basis for the vectors that the matrix maps to zero', function() {
+      var matrix = new Matrix(3, 4).setData([1, 2, 3, 4, 2, 4, 6, 8, 1, 0, 1, 0]);
+      var basis = matrix.nullSpace();
+      expect(basis.rows).to.equal(4);
+      expect(basis.cols).to.equal(2);
+      expect(basis.toArray()).to.eql([-1, 0, -1, -2, 1, 0, 0, 1]);
+      expect(Matrix.multiply(matrix, basis).toArray()).to.eql([0, 0, 0, 0, 0, 0]);
+    });
+
+    it('should return a matrix without columns for a matrix with full rank', function() {
+      var basis = new Matrix(3).nullSpace();
+      expect(basis instanceof Matrix).to.equal(true);
+      expect(basis.rows).to.equal(3);
+      expect(basis.cols).to.equal(0);
+    });
+
+  });
+
+  describe('#columnSpace()', function() {
+
+    it('should return the columns with a pivot as a basis', function() {
+      var matrix = new Matrix(3, 4).setData([1, 2, 3, 4, 2, 4, 6, 8, 1, 0, 1, 0]);
+      var basis = matrix.columnSpace();
+      expect(basis.rows).to.equal(3);
+      expect(basis.cols).to.equal(2);
+      expect(basis.toArray()).to.eql([1, 2, 2, 4, 1, 0]);
+    });
+
+    it('should keep the storage type', function() {
+      var matrix = new Matrix(2, 2, true, 'float64');
+      expect(matrix.columnSpace().storage).to.equal('float64');
+    });
+
+  });
+
+  describe('#lu()', function() {
+
+    var matrix1 = new Matrix(4, 4).setData([6, 1, 1, 3, 4, -2, 5, 6, 2, 8, 7, -3, 6, 2, 4, 1]);
+
+    it('should return null if the matrix is not square', function() {
+      var matrix = new Matrix(3, 2).setData([3, 0, 2, 0, 0, 1]);
+      expect(matrix.lu()).to.equal(null);
+    });
+
+    it('should return P, L and U as Matrix instances', function() {
+      var result = matrix1.lu();
+      expect(result.P instanceof Matrix).to.equal(true);
+      expect(result.L instanceof Matrix).to.equal(true);
+      expect(result.U instanceof Matrix).to.equal(true);
+    });
+
+    it('should return a lower triangular L with ones on the diagonal', function() {
+      var l = matrix1.lu().L;
+      for (var row = 0; row < 4; row++) {
+        expect(l[row * 4 + row]).to.equal(1);
+        for (var col = row + 1; col < 4; col++) {
+          expect(l[row * 4 + col]).to.equal(0);
+        }
+      }
+    });
+
+    it('should return an upper triangular U', function() {
+      var u = matrix1.lu().U;
+      for (var row = 1; row < 4; row++) {
+        for (var col = 0; col < row; col++) {
+          expect(u[row * 4 + col]).to.equal(0);
+        }
+      }
+    });
+
+    it('should use partial pivoting', function() {
+      var result = new Matrix(2, 2).setData([0, 1, 2, 3]).lu();
+      expect(result.P.toArray()).to.eql([0, 1, 1, 0]);
+      expect(result.U.toArray()).to.eql([2, 3, 0, 1]);
+    });
+
+    it('should return factors where P * A = L * U', function() {
+      var result = matrix1.lu();
+      var pa = Matrix.multiply(result.P, matrix1);
+      var lu = Matrix.multiply(result.L, result.U);
+      for (var i = 0; i < 16; i++) {
+        expect(lu[i]).to.be.within(pa[i] - 1e-12, pa[i] + 1e-12);
+      }
+    });
+
+    it('should not modify the matrix', function() {
+      matrix1.lu();
+      expect(matrix1.toArray()).to.eql([6, 1, 1, 3, 4, -2, 5, 6, 2, 8, 7, -3, 6, 2, 4, 1]);
+    });
+
+  });
+
+  describe('#qr()', function() {
+
+    var matrix1 = new Matrix(3, 3).setData([12, -51, 4, 6, 167, -68, -4, 24, -41]);
+    var matrix2 = new Matrix(3, 2).setData([1, 2, 3, 4, 5, 6]);
+
+    it('should return Q and R as Matrix instances', function() {
+      var result = matrix1.qr();
+      expect(result.Q instanceof Matrix).to.equal(true);
+      expect(result.R instanceof Matrix).to.equal(true);
+    });
+
+    it('should return an upper triangular R', function() {
+      var r = matrix1.qr().R;
+      expect(r[3]).to.equal(0);
+      expect(r[6]).to.equal(0);
+      expect(r[7]).to.equal(0);
+      expect(Math.abs(r[0])).to.be.within(14 - 1e-12, 14 + 1e-12);
+      expect(Math.abs(r[4])).to.be.within(175 - 1e-12, 175 + 1e-12);
+      expect(Math.abs(r[8])).to.be.within(35 - 1e-12, 35 + 1e-12);
+    });
+
+    it('should return an orthogonal Q', function() {
+      var q = matrix2.qr().Q;
+      var product = Matrix.multiply(q.clone().transpose(), q);
+      for (var i = 0; i < product.length; i++) {
+        var expected = i % 4 ? 0 : 1;
+        expect(product[i]).to.be.within(expected - 1e-12, expected + 1e-12);
+      }
+    });
+
+    it('should return factors where A = Q * R', function() {
+      var result = matrix2.qr();
+      var product = Matrix.multiply(result.Q, result.R);
+      for (var i = 0; i < 6; i++) {
+        expect(product[i]).to.be.within(matrix2[i] - 1e-12, matrix2[i] + 1e-12);
+      }
+    });
+
+    it('should return the full form by default', function() {
+      var result = matrix2.qr();
+      expect(result.Q.rows).to.equal(3);
+      expect(result.Q.cols).to.equal(3);
+      expect(result.R.rows).to.equal(3);
+      expect(result.R.cols).to.equal(2);
+    });
+
+    it('should return the economy form if asked for', function() {
+      var result = matrix2.qr(true);
+      expect(result.Q.rows).to.equal(3);
+      expect(result.Q.cols).to.equal(2);
+      expect(result.R.rows).to.equal(2);
+      expect(result.R.cols).to.equal(2);
+
+      var product = Matrix.multiply(result.Q, result.R);
+      for (var i = 0; i < 6; i++) {
+        expect(product[i]).to.be.within(matrix2[i] - 1e-12, matrix2[i] + 1e-12);
+      }
+    });
+
+    it('should return an orthogonal economy Q for tall matrices', function() {
+      var matrices = [
+        new Matrix(4, 2).setData([1, 2, 3, 4, 5, 6, 7, 9]),
+        new Matrix(3, 1).setData([2, -1, 2])
+      ];
+
+      matrices.forEach(function(matrix) {
+        var result = matrix.qr(true);
+        var cols = matrix.cols;
+        expect(result.Q.rows).to.equal(matrix.rows);
+        expect(result.Q.cols).to.equal(cols);
+
+        var product = Matrix.multiply(result.Q, result.R);
+        for (var i = 0; i < matrix.length; i++) {
+          expect(product[i]).to.be.within(matrix[i] - 1e-12, matrix[i] + 1e-12);
+        }
+
+        var gram = Matrix.multiply(result.Q.clone().transpose(), result.Q);
+        for (var j = 0; j < gram.length; j++) {
+          var expected = j % (cols + 1) ? 0 : 1;
+          expect(gram[j]).to.be.within(expected - 1e-12, expected + 1e-12);
+        }
+      });
+    });
+
+    it('should work for wide matrices', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      var result = matrix.qr();
+      var product = Matrix.multiply(result.Q, result.R);
+      expect(result.R.rows).to.equal(2);
+      expect(result.R.cols).to.equal(3);
+      for (var i = 0; i < 6; i++) {
+        expect(product[i]).to.be.within(matrix[i] - 1e-12, matrix[i] + 1e-12);
+      }
+    });
+
+    it('should not modify the matrix', function() {
+      matrix2.qr();
+      expect(matrix2.toArray()).to.eql([1, 2, 3, 4, 5, 6]);
+    });
+
+  });
+
+  describe('#cholesky()', function() {
+
+    var matrix1 = new Matrix(3, 3).setData([4, 12, -16, 12, 37, -43, -16, -43, 98]);
+
+    it('should return null if the matrix is not square', function() {
+      var matrix = new Matrix(3, 2).setData([3, 0, 2, 0, 0, 1]);
+      expect(matrix.cholesky()).to.equal(null);
+    });
+
+    it('should return a lower triangular matrix', function() {
+      var l = matrix1.cholesky();
+      expect(l instanceof Matrix).to.equal(true);
+      expect(l.toArray()).to.eql([2, 0, 0, 6, 1, 0, -8, 5, 3]);
+    });
+
+    it('should return a factor where A = L * L\'', function() {
+      var l = matrix1.cholesky();
+      var product = Matrix.multiply(l, l.clone().transpose());
+      expect(product.equals(matrix1)).to.equal(true);
+    });
+
+    it('should throw if the matrix is not symmetric', function() {
+      var matrix = new Matrix(2, 2).setData([4, 1, 2, 3]);
+      expect(function() {
+        matrix.cholesky();
+      }).to.throwError(/not symmetric/);
+    });
+
+    it('should allow rounding errors in the symmetry', function() {
+      var matrix = new Matrix(2, 2).setData([4, 2, 2 + 4e-16, 3]);
+      var l = matrix.cholesky();
+      expect(l[0]).to.equal(2);
+      expect(l[1]).to.equal(0);
+      expect(l[2]).to.be.within(1 - 1e-12, 1 + 1e-12);
+      expect(l[3]).to.be.within(Math.SQRT2 - 1e-12, Math.SQRT2 + 1e-12);
+    });
+
+    it('should throw if the matrix is not positive-definite', function() {
+      var matrix = new Matrix(2, 2).setData([1, 2, 2, 1]);
+      expect(function() {
+        matrix.cholesky();
+      }).to.throwError(/not positive-definite/);
+    });
+
+    it('should not modify the matrix', function() {
+      matrix1.cholesky();
+      expect(matrix1.toArray()).to.eql([4, 12, -16, 12, 37, -43, -16, -43, 98]);
+    });
+
+  });
+
+  describe('#svd()', function() {
+
+    var matrix1 = new Matrix(3, 2).setData([1, 2, 3, 4, 5, 6]);
+
+    function expectOrthonormalColumns(matrix) {
+      var product = Matrix.multiply(matrix.clone().transpose(), matrix);
+      for (var i = 0; i < product.length; i++) {
+        var expected = i % (product.cols + 1) ? 0 : 1;
+        expect(product[i]).to.be.within(expected - 1e-12, expected + 1e-12);
+      }
+    }
+
+    function expectProduct(matrix, result) {
+      var size = result.S.length;
+      var s = new Matrix(size, size);
+      for (var i = 0; i < size; i++) {
+        s[i * size + i] = result.S[i];
+      }
+      var product = Matrix.multiply(result.U, s, result.V.clone().transpose());
+      for (var n = 0; n < matrix.length; n++) {
+        expect(product[n]).to.be.within(matrix[n] - 1e-12, matrix[n] + 1e-12);
+      }
+    }
+
+    it('should return U and V as Matrix instances and S as an array', function() {
+      var result = matrix1.svd();
+      expect(result.U instanceof Matrix).to.equal(true);
+      expect(result.V instanceof Matrix).to.equal(true);
+      expect(Array.isArray(result.S)).to.equal(true);
+    });
+
+    it('should return the singular values in descending order', function() {
+      var matrix = new Matrix(3, 3).setData([1, 0, 0, 0, -5, 0, 0, 0, 3]);
+      expect(matrix.svd().S).to.eql([5, 3, 1]);
+    });
+
+    it('should return the economy form for tall matrices', function() {
+      var result = matrix1.svd();
+      expect(result.U.rows).to.equal(3);
+      expect(result.U.cols).to.equal(2);
+      expect(result.V.rows).to.equal(2);
+      expect(result.V.cols).to.equal(2);
+      expect(result.S.length).to.equal(2);
+      expectOrthonormalColumns(result.U);
+      expectOrthonormalColumns(result.V);
+      expectProduct(matrix1, result);
+    });
+
+    it('should return the economy form for wide matrices', function() {
+      var matrix = new Matrix(2, 3).setData([1, 2, 3, 4, 5, 6]);
+      var result = matrix.svd();
+      expect(result.U.rows).to.equal(2);
+      expect(result.U.cols).to.equal(2);
+      expect(result.V.rows).to.equal(3);
+      expect(result.V.cols).to.equal(2);
+      expectOrthonormalColumns(result.U);
+      expectOrthonormalColumns(result.V);
+      expectProduct(matrix, result);
+    });
+
+    it('should work for singular matrices', function() {
+      var matrix = new Matrix(3, 3).setData([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      var result = matrix.svd();
+      expect(result.S[2]).to.be.within(0, 1e-12);
+      expectOrthonormalColumns(result.U);
+      expectOrthonormalColumns(result.V);
+      expectProduct(matrix, result);
+    });
+
+    it('should not modify the matrix', function() {
+      matrix1.svd();
+      expect(matrix1.toArray()).to.eql([1, 2, 3, 4, 5, 6]);
+    });
+
+  });
+
+  describe('#eigen()', function() {
+
+    function expectEigenpairs(matrix, result) {
+      var size = matrix.rows;
+      var v = result.vectors;
+      for (var col = 0; col < size; col++) {
+        var re = result.real[col];
+        var im = result.imaginary[col];
+        if (im < 0) continue;
+        for (var row = 0; row < size; row++) {
+          var sumReal = 0;
+          var sumImaginary = 0;
+          for (var i = 0; i < size; i++) {
+            sumReal += matrix[row * size + i] * v[i * size + col];
+            if (im) sumImaginary += matrix[row * size + i] * v[i * size + col + 1];
+          }
+          var expectedReal = im ? re * v[row * size + col] - im * v[row * size + col + 1] : re * v[row * size + col];
+          var expectedImaginary = im ? re * v[row * size + col + 1] + im * v[row * size + col] : 0;
+          expect(sumReal).to.be.within(expectedReal - 1e-12, expectedReal + 1e-12);
+          expect(sumImaginary).to.be.within(expectedImaginary - 1e-12, expectedImaginary + 1e-12);
+        }
+      }
+    }
+
+    it('should return null if the matrix is not square', function() {
+      var matrix = new Matrix(3, 2).setData([3, 0, 2, 0, 0, 1]);
+      expect(matrix.eigen()).to.equal(null);
+    });
+
+    it('should return real eigenvalues in ascending order for symmetric matrices', function() {
+      var matrix = new Matrix(2, 2).setData([2, 1, 1, 2]);
+      var result = matrix.eigen();
+      expect(result.real[0]).to.be.within(1 - 1e-12, 1 + 1e-12);
+      expect(result.real[1]).to.be.within(3 - 1e-12, 3 + 1e-12);
+      expect(result.imaginary).to.eql([0, 0]);
+    });
+
+    it('should return orthonormal eigenvectors for symmetric matrices', function() {
+      var matrix = new Matrix(3, 3).setData([4, 1, 2, 1, 3, 0, 2, 0, 5]);
+      var result = matrix.eigen();
+      var v = result.vectors;
+      var product = Matrix.multiply(v.clone().transpose(), v);
+      for (var i = 0; i < 9; i++) {
+        var expected = i % 4 ? 0 : 1;
+        expect(product[i]).to.be.within(expected - 1e-12, expected + 1e-12);
+      }
+      expectEigenpairs(matrix, result);
+    });
+
+    it('should return real eigenpairs for general matrices', function() {
+      var matrix = new Matrix(3, 3).setData([1, 2, 3, 4, 5, 6, 7, 8, 10]);
+      var result = matrix.eigen();
+      expect(result.imaginary).to.eql([0, 0, 0]);
+      expectEigenpairs(matrix, result);
+    });
+
+    it('should return complex eigenpairs for general matrices', function() {
+      var matrix = new Matrix(2, 2).setData([0, -1, 1, 0]);
+      var result = matrix.eigen();
+      expect(result.real).to.eql([0, 0]);
+      expect(result.imaginary).to.eql([1, -1]);
+      expectEigenpairs(matrix, result);
+    });
+
+    it('should handle a mix of real and complex eigenvalues', function() {
+      var matrix = new Matrix(4, 4).setData([0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 1, 0, 0, 0]);
+      var result = matrix.eigen();
+      var sum = 0;
+      for (var i = 0; i < 4; i++) {
+        sum += result.imaginary[i];
+      }
+      expect(sum).to.be.within(-1e-12, 1e-12);
+      expectEigenpairs(matrix, result);
+    });
+
+    it('should not modify the matrix', function() {
+      var matrix = new Matrix(2, 2).setData([0, -1, 1, 0]);
+      matrix.eigen();
+      expect(matrix.toArray()).to.eql([0, -1, 1, 0]);
     });
 
   });
@@ -995,6 +3108,13 @@ describe('Matrix', function() {
       expect(matrix1.equals(matrix2)).to.equal(true);
     });
 
+    it('should allow differences within the epsilon', function() {
+      var matrix = new Matrix(3, 2).setData([3 + 1e-12, 0, 2, -1e-12, 0, 1]);
+      expect(matrix1.equals(matrix)).to.equal(false);
+      expect(matrix1.equals(matrix, 1e-10)).to.equal(true);
+      expect(matrix1.equals(matrix3, 1e-10)).to.equal(false);
+    });
+
   });
 
   describe('#isIdentity()', function() {
@@ -1009,6 +3129,179 @@ describe('Matrix', function() {
       expect(matrix.isIdentity()).to.equal(true);
     });
 
+    it('should return false for a matrix that is not square', function() {
+      var matrix = new Matrix(2, 3, false).setData([1, 0, 0, 0, 1, 0]);
+      expect(matrix.isIdentity()).to.equal(false);
+    });
+
+    it('should allow differences within the epsilon', function() {
+      var matrix = new Matrix(4, 4).setData([4, 1, 2, 0, 1, 5, 1, 2, 2, 1, 6, 1, 0, 2, 1, 7]);
+      var product = Matrix.multiply(matrix, matrix.clone().invert());
+      expect(product.isIdentity()).to.equal(false);
+      expect(product.isIdentity(1e-12)).to.equal(true);
+      expect(matrix.isIdentity(1e-12)).to.equal(false);
+    });
+
+  });
+
+  describe('#isSymmetric()', function() {
+
+    it('should return true for a symmetric matrix', function() {
+      var matrix = new Matrix(3, 3).setData([1, 2, 3, 2, 4, 5, 3, 5, 6]);
+      expect(matrix.isSymmetric()).to.equal(true);
+    });
+
+    it('should return false for a matrix that is not symmetric or not square', function() {
+      expect(new Matrix(2, 2).setData([1, 2, 3, 4]).isSymmetric()).to.equal(false);
+      expect(new Matrix(2, 3).isSymmetric()).to.equal(false);
+    });
+
+    it('should allow differences within the epsilon', function() {
+      var matrix = new Matrix(2, 2).setData([1, 2, 2 + 1e-12, 4]);
+      expect(matrix.isSymmetric()).to.equal(false);
+      expect(matrix.isSymmetric(1e-10)).to.equal(true);
+    });
+
+  });
+
+  describe('#isSkewSymmetric()', function() {
+
+    it('should return true for a skew-symmetric matrix', function() {
+      var matrix = new Matrix(3, 3).setData([0, 2, -3, -2, 0, 5, 3, -5, 0]);
+      expect(matrix.isSkewSymmetric()).to.equal(true);
+    });
+
+    it('should return false if the diagonal is not zero', function() {
+      var matrix = new Matrix(2, 2).setData([1, 2, -2, 0]);
+      expect(matrix.isSkewSymmetric()).to.equal(false);
+    });
+
+    it('should allow differences within the epsilon', function() {
+      var matrix = new Matrix(2, 2).setData([1e-12, 2, -2 + 1e-12, 0]);
+      expect(matrix.isSkewSymmetric()).to.equal(false);
+      expect(matrix.isSkewSymmetric(1e-10)).to.equal(true);
+    });
+
+  });
+
+  describe('#isDiagonal()', function() {
+
+    it('should return true if all values outside the diagonal are zero', function() {
+      expect(new Matrix(2, 2).setData([3, 0, 0, -1]).isDiagonal()).to.equal(true);
+      expect(new Matrix(2, 3).setData([3, 0, 0, 0, -1, 0]).isDiagonal()).to.equal(true);
+      expect(new Matrix(2, 2).setData([3, 0, 1, -1]).isDiagonal()).to.equal(false);
+    });
+
+    it('should allow values within the epsilon', function() {
+      var matrix = new Matrix(2, 2).setData([3, 1e-12, -1e-12, -1]);
+      expect(matrix.isDiagonal()).to.equal(false);
+      expect(matrix.isDiagonal(1e-10)).to.equal(true);
+    });
+
+  });
+
+  describe('#isUpperTriangular()', function() {
+
+    it('should return true if all values below the diagonal are zero', function() {
+      expect(new Matrix(3, 3).setData([1, 2, 3, 0, 4, 5, 0, 0, 6]).isUpperTriangular()).to.equal(true);
+      expect(new Matrix(3, 2).setData([1, 2, 0, 4, 0, 0]).isUpperTriangular()).to.equal(true);
+      expect(new Matrix(3, 3).setData([1, 2, 3, 0, 4, 5, 1, 0, 6]).isUpperTriangular()).to.equal(false);
+    });
+
+    it('should allow values within the epsilon', function() {
+      var matrix = new Matrix(2, 2).setData([1, 2, 1e-12, 4]);
+      expect(matrix.isUpperTriangular()).to.equal(false);
+      expect(matrix.isUpperTriangular(1e-10)).to.equal(true);
+    });
+
+  });
+
+  describe('#isLowerTriangular()', function() {
+
+    it('should return true if all values above the diagonal are zero', function() {
+      expect(new Matrix(3, 3).setData([1, 0, 0, 2, 3, 0, 4, 5, 6]).isLowerTriangular()).to.equal(true);
+      expect(new Matrix(2, 3).setData([1, 0, 0, 2, 3, 0]).isLowerTriangular()).to.equal(true);
+      expect(new Matrix(2, 2).setData([1, 2, 3, 4]).isLowerTriangular()).to.equal(false);
+    });
+
+    it('should allow values within the epsilon', function() {
+      var matrix = new Matrix(2, 2).setData([1, 1e-12, 3, 4]);
+      expect(matrix.isLowerTriangular()).to.equal(false);
+      expect(matrix.isLowerTriangular(1e-10)).to.equal(true);
+    });
+
+  });
+
+  describe('#isOrthogonal()', function() {
+
+    it('should return true for an orthogonal matrix', function() {
+      expect(new Matrix(2, 2).setData([0, 1, -1, 0]).isOrthogonal()).to.equal(true);
+      expect(new Matrix(3, 3).setData([1, 0, 0, 0, 0, -1, 0, 1, 0]).isOrthogonal()).to.equal(true);
+    });
+
+    it('should return false for a matrix that is not orthogonal or not square', function() {
+      expect(new Matrix(2, 2).setData([1, 1, 0, 1]).isOrthogonal()).to.equal(false);
+      expect(new Matrix(3, 2).setData([1, 0, 0, 1, 0, 0]).isOrthogonal()).to.equal(false);
+    });
+
+    it('should allow differences within the epsilon', function() {
+      var angle = 0.3;
+      var matrix = new Matrix(2, 2).setData([Math.cos(angle), -Math.sin(angle), Math.sin(angle), Math.cos(angle)]);
+      expect(matrix.isOrthogonal(1e-12)).to.equal(true);
+      expect(matrix.qr().Q.isOrthogonal(1e-12)).to.equal(true);
+    });
+
+  });
+
+  describe('#isPositiveDefinite()', function() {
+
+    it('should return true for a positive-definite matrix', function() {
+      var matrix = new Matrix(3, 3).setData([4, 12, -16, 12, 37, -43, -16, -43, 98]);
+      expect(matrix.isPositiveDefinite()).to.equal(true);
+    });
+
+    it('should return false for a matrix that is not positive-definite', function() {
+      expect(new Matrix(2, 2).setData([1, 2, 2, 1]).isPositiveDefinite()).to.equal(false);
+      expect(new Matrix(2, 2).setData([1, 0, 0, 0]).isPositiveDefinite()).to.equal(false);
+    });
+
+    it('should return false for a matrix that is not symmetric or not square', function() {
+      expect(new Matrix(2, 2).setData([2, 1, 0, 2]).isPositiveDefinite()).to.equal(false);
+      expect(new Matrix(2, 3).isPositiveDefinite()).to.equal(false);
+    });
+
+    it('should use the epsilon for symmetry and the pivots', function() {
+      var matrix1 = new Matrix(2, 2).setData([2, 1, 1 + 1e-12, 2]);
+      var matrix2 = new Matrix(2, 2).setData([1, 0, 0, 1e-12]);
+      expect(matrix1.isPositiveDefinite()).to.equal(false);
+      expect(matrix1.isPositiveDefinite(1e-10)).to.equal(true);
+      expect(matrix2.isPositiveDefinite()).to.equal(true);
+      expect(matrix2.isPositiveDefinite(1e-10)).to.equal(false);
+    });
+
+  });
+
+  describe('#isSingular()', function() {
+
+    it('should return true for a singular matrix', function() {
+      expect(new Matrix(2, 2).setData([1, 2, 2, 4]).isSingular()).to.equal(true);
+      expect(new Matrix(2, 2).setData([0, 0, 0, 0]).isSingular()).to.equal(true);
+    });
+
+    it('should return false for an invertible matrix', function() {
+      expect(new Matrix(2, 2).setData([1, 2, 3, 4]).isSingular()).to.equal(false);
+      expect(new Matrix(3).isSingular()).to.equal(false);
+    });
+
+    it('should return true for a matrix that is not square', function() {
+      expect(new Matrix(2, 3).isSingular()).to.equal(true);
+    });
+
+    it('should allow singular values within the epsilon', function() {
+      var matrix = new Matrix(3, 3).setData([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(matrix.isSingular(1e-10)).to.equal(true);
+    });
+
   });
 
 });
@@ -0,0 +1,307 @@
+var expect = require('expect.js');
+var Matrix = require('../Matrix');
+var RationalMatrix = require('../RationalMatrix');
+var MatrixDimensionError = require('../MatrixDimensionError');
+
+describe('RationalMatrix', function() {
+
+  var hilbert = function(size) {
+    var data = [];
+    for (var row = 0; row < size; row++) {
+      for (var col = 0; col < size; col++) {
+        data.push('1/' + (row + col + 1));
+      }
+    }
+    return new RationalMatrix(size, size, false).setData(data);
+  };
+
+  describe('RationalMatrix constructor', function() {
+
+    it('should create an identity matrix for square sizes', function() {
+      var matrix = new RationalMatrix(2);
+      expect(matrix.rows).to.equal(2);
+      expect(matrix.cols).to.equal(2);
+      expect(matrix.length).to.equal(4);
+      expect(matrix.numerators).to.eql([BigInt(1), BigInt(0), BigInt(0), BigInt(1)]);
+      expect(matrix.denominators).to.eql([BigInt(1), BigInt(1), BigInt(1), BigInt(1)]);
+    });
+
+    it('should create a matrix with zeros for other sizes', function() {
+      var matrix = new RationalMatrix(1, 2);
+      expect(matrix.numerators).to.eql([BigInt(0), BigInt(0)]);
+    });
+
+  });
+
+  describe('.fromMatrix()', function() {
+
+    it('should convert numbers to the exact fractions they represent', function() {
+      var matrix = RationalMatrix.fromMatrix(new Matrix(1, 3).setData(0.5, -3, 0.1));
+      expect(matrix.toLogString()).to.equal('[\n  1/2  -3  3602879701896397/36028797018963968\n]');
+    });
+
+  });
+
+  describe('.multiply()', function() {
+
+    it('should return a new matrix with the product', function() {
+      var matrix = hilbert(2);
+      var product = RationalMatrix.multiply(matrix, matrix);
+      expect(product).not.to.equal(matrix);
+      expect(product.toLogString()).to.equal('[\n  5/4  2/3\n  2/3  13/36\n]');
+    });
+
+  });
+
+  describe('#setData()', function() {
+
+    it('should accept numbers, BigInts and strings with fractions', function() {
+      var matrix = new RationalMatrix(2, 2).setData([3, BigInt(-2), '2/4', ' -6 / -4 ']);
+      expect(matrix.numerators).to.eql([BigInt(3), BigInt(-2), BigInt(1), BigInt(3)]);
+      expect(matrix.denominators).to.eql([BigInt(1), BigInt(1), BigInt(2), BigInt(2)]);
+    });
+
+    it('should keep a positive denominator', function() {
+      var matrix = new RationalMatrix(1, 1).setData(['1/-3']);
+      expect(matrix.numerators).to.eql([BigInt(-1)]);
+      expect(matrix.denominators).to.eql([BigInt(3)]);
+    });
+
+    it('should throw for values that are not rational numbers', function() {
+      var matrix = new RationalMatrix(1, 2);
+      expect(function() {
+        matrix.setData([1, '1/0']);
+      }).to.throwError(/Not a rational number: 1\/0/);
+      expect(function() {
+        matrix.setData([1, Infinity]);
+      }).to.throwError(/Not a rational number/);
+      expect(function() {
+        matrix.setData([1, 'x']);
+      }).to.throwError(/Not a rational number/);
+      expect(matrix.numerators).to.eql([BigInt(0), BigInt(0)]);
+    });
+
+    it('should not set the values if the length does not match', function() {
+      var matrix = new RationalMatrix(2, 2).setData([1, 2, 3]);
+      expect(matrix.numerators).to.eql([BigInt(1), BigInt(0), BigInt(0), BigInt(1)]);
+      matrix.setData([1, 2, 3], 1, 3);
+      expect(matrix.rows).to.equal(1);
+      expect(matrix.cols).to.equal(3);
+    });
+
+  });
+
+  describe('#toMatrix()', function() {
+
+    it('should convert to the nearest floating point numbers', function() {
+      var matrix = new RationalMatrix(1, 3).setData(['1/3', '-5/2', 7]).toMatrix('float64');
+      expect(matrix.storage).to.equal('float64');
+      expect(matrix.toArray()).to.eql([1 / 3, -2.5, 7]);
+    });
+
+  });
+
+  describe('#toLogString()', function() {
+
+    it('should write the values as fractions', function() {
+      var matrix = new RationalMatrix(2, 2).setData(['1/3', 2, '-4/6', 0]);
+      expect(matrix.toLogString()).to.equal('[\n  1/3  2\n  -2/3  0\n]');
+      expect(matrix.toLogString(0, ', ', '(', ')')).to.equal('(\n1/3, 2\n-2/3, 0\n)');
+    });
+
+  });
+
+  describe('#clone()', function() {
+
+    it('should return a new instance with the same data', function() {
+      var matrix = hilbert(3);
+      var clone = matrix.clone();
+      expect(clone).not.to.equal(matrix);
+      expect(clone.numerators).not.to.equal(matrix.numerators);
+      expect(clone.equals(matrix)).to.equal(true);
+    });
+
+  });
+
+  describe('#add() and #subtract()', function() {
+
+    it('should add and subtract exactly', function() {
+      var matrix = new RationalMatrix(1, 2).setData(['1/3', '1/6']);
+      matrix.add(new RationalMatrix(1, 2).setData(['1/6', '1/3']));
+      expect(matrix.toLogString()).to.equal('[\n  1/2  1/2\n]');
+      matrix.subtract(new Matrix(1, 2).setData(0.5, 1));
+      expect(matrix.toLogString()).to.equal('[\n  0  -1/2\n]');
+    });
+
+    it('should not add a matrix with a different size', function() {
+      var matrix = hilbert(2);
+      matrix.add(hilbert(3));
+      expect(matrix.equals(hilbert(2))).to.equal(true);
+    });
+
+  });
+
+  describe('strict mode', function() {
+
+    afterEach(function() {
+      Matrix.strict = false;
+    });
+
+    it('should throw in add, subtract and multiply when the sizes do not match', function() {
+      var matrix = hilbert(2);
+      Matrix.strict = true;
+      expect(function() {
+        matrix.add(hilbert(2), hilbert(3));
+      }).to.throwError(function(error) {
+        expect(error).to.be.a(MatrixDimensionError);
+        expect(error.message).to.equal('Matrix dimension mismatch in add: 2x2 and 3x3');
+      });
+      expect(function() {
+        matrix.subtract(new Matrix(2, 3));
+      }).to.throwError(/in subtract: 2x2 and 2x3/);
+      expect(function() {
+        matrix.multiply('1/2', new RationalMatrix(2, 3), hilbert(2));
+      }).to.throwError(/in multiply: 2x3 and 2x2/);
+
+      // Nothing was changed before the errors were thrown
+      expect(matrix.equals(hilbert(2))).to.equal(true);
+    });
+
+    it('should let the instance setting override the global setting', function() {
+      var matrix = hilbert(2);
+      expect(matrix.strict).to.equal(null);
+      matrix.strict = true;
+      expect(function() {
+        matrix.add(hilbert(3));
+      }).to.throwError(/in add: 2x2 and 3x3/);
+      expect(matrix.clone().strict).to.equal(true);
+
+      matrix.strict = false;
+      Matrix.strict = true;
+      expect(matrix.add(hilbert(3)).equals(hilbert(2))).to.equal(true);
+    });
+
+    it('should throw in setData when the length does not match', function() {
+      var matrix = hilbert(2);
+      matrix.strict = true;
+      expect(function() {
+        matrix.setData([1, 2, 3]);
+      }).to.throwError(/in setData: 2x2 and 3 values/);
+      expect(function() {
+        matrix.setData([1, 2, 3, 4, 5, 6], 2, 2);
+      }).to.throwError(/in setData: 2x2 and 6 values/);
+      expect(matrix.equals(hilbert(2))).to.equal(true);
+    });
+
+    it('should skip numbers when checking the sizes', function() {
+      var matrix = hilbert(2);
+      matrix.strict = true;
+      expect(function() {
+        matrix.add(2);
+      }).not.to.throwError();
+    });
+
+  });
+
+  describe('#multiply()', function() {
+
+    it('should multiply exactly where floating point numbers are not exact', function() {
+      var matrix = new RationalMatrix(1, 1).setData(['1/10']);
+      matrix.multiply(new RationalMatrix(1, 1).setData(['3']));
+      expect(matrix.toLogString()).to.equal('[\n  3/10\n]');
+    });
+
+    it('should multiply with matrices of other sizes and scalars', function() {
+      var matrix = new RationalMatrix(2, 3).setData(['1/2', 0, 1, 2, '1/3', 0]);
+      var vector = new RationalMatrix(3, 1).setData([2, 3, '1/4']);
+      matrix.multiply(vector, '2/3');
+      expect(matrix.rows).to.equal(2);
+      expect(matrix.cols).to.equal(1);
+      expect(matrix.toLogString()).to.equal('[\n  5/6\n  10/3\n]');
+    });
+
+    it('should not multiply a matrix where the number of rows does not match', function() {
+      var matrix = hilbert(2);
+      matrix.multiply(hilbert(3));
+      expect(matrix.equals(hilbert(2))).to.equal(true);
+    });
+
+    it('should return the instance', function() {
+      var matrix = hilbert(2);
+      expect(matrix.multiply(2)).to.equal(matrix);
+    });
+
+  });
+
+  describe('#transpose()', function() {
+
+    it('should transpose the matrix', function() {
+      var matrix = new RationalMatrix(2, 3).setData([1, 2, 3, '4/5', 5, 6]).transpose();
+      expect(matrix.rows).to.equal(3);
+      expect(matrix.cols).to.equal(2);
+      expect(matrix.toLogString()).to.equal('[\n  1  4/5\n  2  5\n  3  6\n]');
+    });
+
+  });
+
+  describe('#invert()', function() {
+
+    it('should invert the matrix exactly', function() {
+      var matrix = new RationalMatrix(3, 3).setData([2, -1, 0, -1, 2, -1, 0, -1, 2]).invert();
+      expect(matrix.toLogString()).to.equal('[\n  3/4  1/2  1/4\n  1/2  1  1/2\n  1/4  1/2  3/4\n]');
+    });
+
+    it('should invert an ill-conditioned matrix exactly', function() {
+      var matrix = hilbert(5);
+      var inverse = matrix.clone().invert();
+      expect(inverse.numerators[0]).to.equal(BigInt(25));
+      expect(inverse.numerators[24]).to.equal(BigInt(44100));
+      expect(RationalMatrix.multiply(matrix, inverse).equals(new RationalMatrix(5))).to.equal(true);
+    });
+
+    it('should pivot when the diagonal has zeros', function() {
+      var matrix = new RationalMatrix(2, 2).setData([0, 2, 4, 0]).invert();
+      expect(matrix.toLogString()).to.equal('[\n  0  1/4\n  1/2  0\n]');
+    });
+
+    it('should not change a singular or non-square matrix', function() {
+      var matrix1 = new RationalMatrix(2, 2).setData([1, 2, 2, 4]);
+      var matrix2 = new RationalMatrix(2, 3);
+      expect(matrix1.clone().invert().equals(matrix1)).to.equal(true);
+      expect(matrix2.clone().invert().equals(matrix2)).to.equal(true);
+    });
+
+  });
+
+  describe('#getDeterminant()', function() {
+
+    it('should return the exact determinant', function() {
+      expect(hilbert(4).getDeterminant()).to.eql({numerator: BigInt(1), denominator: BigInt(6048000)});
+      expect(new RationalMatrix(2, 2).setData([0, 1, 1, 0]).getDeterminant()).to.eql({numerator: BigInt(-1), denominator: BigInt(1)});
+      expect(new RationalMatrix(2, 2).setData([1, 2, 2, 4]).getDeterminant()).to.eql({numerator: BigInt(0), denominator: BigInt(1)});
+    });
+
+    it('should return null for a non-square matrix', function() {
+      expect(new RationalMatrix(2, 3).getDeterminant()).to.equal(null);
+    });
+
+  });
+
+  describe('#equals()', function() {
+
+    it('should compare rational and floating point matrices', function() {
+      expect(hilbert(3).equals(hilbert(3))).to.equal(true);
+      expect(hilbert(3).equals(hilbert(2))).to.equal(false);
+      expect(new RationalMatrix(1, 2).setData(['1/2', '2/2']).equals(new Matrix(1, 2).setData(0.5, 1))).to.equal(true);
+      expect(new RationalMatrix(1, 1).setData(['1/3']).equals(new Matrix(1, 1).setData(1 / 3))).to.equal(false);
+    });
+
+    it('should return false for anything that is not a matrix', function() {
+      expect(hilbert(2).equals(null)).to.equal(false);
+      expect(hilbert(2).equals(undefined)).to.equal(false);
+      expect(hilbert(2).equals(['1', '1/2', '1/2', '1/3'])).to.equal(false);
+    });
+
+  });
+
+});
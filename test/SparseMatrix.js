@@ -0,0 +1,412 @@
+var expect = require('expect.js');
+var Matrix = require('../Matrix');
+var SparseMatrix = require('../SparseMatrix');
+var MatrixDimensionError = require('../MatrixDimensionError');
+
+describe('SparseMatrix', function() {
+
+  var dense1 = new Matrix(3, 4).setData([1, 0, 0, 2, 0, 0, 3, 0, 4, 5, 0, 0]);
+  var dense2 = new Matrix(4, 2).setData([1, 2, 0, 0, 3, 0, 0, 1]);
+
+  describe('SparseMatrix constructor', function() {
+
+    it('should take number arguments to create a matrix of a certain size', function() {
+      var matrix = new SparseMatrix(3, 4);
+      expect(matrix instanceof SparseMatrix).to.equal(true);
+      expect(matrix.rows).to.equal(3);
+      expect(matrix.cols).to.equal(4);
+    });
+
+    it('should have defaults for all arguments', function() {
+      var matrix1 = new SparseMatrix();
+      expect(matrix1.rows).to.equal(0);
+      expect(matrix1.cols).to.equal(0);
+      expect(matrix1.format).to.equal('csr');
+
+      var matrix2 = new SparseMatrix(3);
+      expect(matrix2.rows).to.equal(3);
+      expect(matrix2.cols).to.equal(3);
+    });
+
+    it('should create a matrix with only zeros', function() {
+      var matrix = new SparseMatrix(3, 4, 'csc');
+      expect(matrix.values).to.eql([]);
+      expect(matrix.indices).to.eql([]);
+      expect(matrix.pointers).to.eql([0, 0, 0, 0, 0]);
+    });
+
+    it('should throw for an unknown format', function() {
+      expect(function() {
+        new SparseMatrix(3, 3, 'coo');
+      }).to.throwError(/Unknown sparse format/);
+    });
+
+  });
+
+  describe('.fromMatrix()', function() {
+
+    it('should create a matrix in CSR format', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      expect(matrix.format).to.equal('csr');
+      expect(matrix.values).to.eql([1, 2, 3, 4, 5]);
+      expect(matrix.indices).to.eql([0, 3, 2, 0, 1]);
+      expect(matrix.pointers).to.eql([0, 2, 3, 5]);
+    });
+
+    it('should create a matrix in CSC format', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1, 'csc');
+      expect(matrix.format).to.equal('csc');
+      expect(matrix.values).to.eql([1, 4, 5, 3, 2]);
+      expect(matrix.indices).to.eql([0, 2, 2, 1, 0]);
+      expect(matrix.pointers).to.eql([0, 2, 3, 4, 5]);
+    });
+
+    it('should work with typed storage', function() {
+      var dense = new Matrix(2, 2, false, 'float64').setData([0, 1, 2, 0]);
+      var matrix = SparseMatrix.fromMatrix(dense);
+      expect(matrix.values).to.eql([1, 2]);
+    });
+
+  });
+
+  describe('.fromTriplets()', function() {
+
+    it('should create a matrix from values and their positions', function() {
+      var matrix = SparseMatrix.fromTriplets(3, 4, [[2, 1, 5], [0, 3, 2], [0, 0, 1], [1, 2, 3], [2, 0, 4]]);
+      expect(matrix.values).to.eql([1, 2, 3, 4, 5]);
+      expect(matrix.indices).to.eql([0, 3, 2, 0, 1]);
+      expect(matrix.pointers).to.eql([0, 2, 3, 5]);
+    });
+
+    it('should add together values for the same position', function() {
+      var matrix = SparseMatrix.fromTriplets(2, 2, [[0, 1, 2], [0, 1, 3], [1, 0, 1], [1, 0, -1]]);
+      expect(matrix.values).to.eql([5]);
+      expect(matrix.indices).to.eql([1]);
+      expect(matrix.pointers).to.eql([0, 1, 1]);
+    });
+
+    it('should throw if a position is outside the matrix', function() {
+      expect(function() {
+        SparseMatrix.fromTriplets(2, 2, [[0, 0, 1], [5, 0, 1]]);
+      }).to.throwError(/Row 5 of triplet 1 is outside the matrix/);
+      expect(function() {
+        SparseMatrix.fromTriplets(2, 2, [[0, -1, 1]]);
+      }).to.throwError(/Column -1 of triplet 0 is outside the matrix/);
+      expect(function() {
+        SparseMatrix.fromTriplets(2, 2, [[0.5, 0, 1]]);
+      }).to.throwError(/outside the matrix/);
+    });
+
+    it('should create a matrix in CSC format', function() {
+      var matrix = SparseMatrix.fromTriplets(3, 4, [[2, 1, 5], [0, 3, 2], [0, 0, 1], [1, 2, 3], [2, 0, 4]], 'csc');
+      expect(matrix.toMatrix().equals(dense1)).to.equal(true);
+    });
+
+  });
+
+  describe('.add()', function() {
+
+    it('should return a new sparse matrix with the sum', function() {
+      var matrix1 = SparseMatrix.fromMatrix(dense1);
+      var matrix2 = SparseMatrix.fromMatrix(dense1, 'csc');
+      var sum = SparseMatrix.add(matrix1, matrix2);
+      expect(sum instanceof SparseMatrix).to.equal(true);
+      expect(sum).not.to.equal(matrix1);
+      expect(sum.toMatrix().equals(Matrix.add(dense1, dense1))).to.equal(true);
+    });
+
+  });
+
+  describe('.subtract()', function() {
+
+    it('should return a new sparse matrix with the difference', function() {
+      var matrix1 = SparseMatrix.fromMatrix(dense1);
+      var difference = SparseMatrix.subtract(matrix1, matrix1);
+      expect(difference.values).to.eql([]);
+      expect(difference.pointers).to.eql([0, 0, 0, 0]);
+    });
+
+  });
+
+  describe('.multiply()', function() {
+
+    it('should return a new sparse matrix with the product', function() {
+      var matrix1 = SparseMatrix.fromMatrix(dense1);
+      var matrix2 = SparseMatrix.fromMatrix(dense2);
+      var product = SparseMatrix.multiply(matrix1, matrix2);
+      expect(product).not.to.equal(matrix1);
+      expect(product.rows).to.equal(3);
+      expect(product.cols).to.equal(2);
+      expect(product.toMatrix().equals(Matrix.multiply(dense1, dense2))).to.equal(true);
+    });
+
+  });
+
+  describe('#get()', function() {
+
+    it('should get values in CSR format', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      expect(matrix.get(0, 3)).to.equal(2);
+      expect(matrix.get(2, 1)).to.equal(5);
+      expect(matrix.get(1, 1)).to.equal(0);
+    });
+
+    it('should get values in CSC format', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1, 'csc');
+      expect(matrix.get(0, 3)).to.equal(2);
+      expect(matrix.get(2, 1)).to.equal(5);
+      expect(matrix.get(1, 1)).to.equal(0);
+    });
+
+    it('should throw for indices outside the matrix', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      expect(function() {
+        matrix.get(3, 0);
+      }).to.throwError(/Row index 3 is outside the matrix \(0 to 2\)/);
+      expect(function() {
+        matrix.get(0, -1);
+      }).to.throwError(/Column index -1 is outside the matrix \(0 to 3\)/);
+      expect(function() {
+        SparseMatrix.fromMatrix(dense1, 'csc').get(0, 4);
+      }).to.throwError(/Column index 4 is outside the matrix/);
+      expect(function() {
+        matrix.get(0.5, 0);
+      }).to.throwError(/Row index 0.5 is outside the matrix/);
+    });
+
+  });
+
+  describe('#setFormat()', function() {
+
+    it('should convert between the formats', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      matrix.setFormat('csc');
+      expect(matrix.format).to.equal('csc');
+      expect(matrix.values).to.eql([1, 4, 5, 3, 2]);
+      matrix.setFormat('csr');
+      expect(matrix.values).to.eql([1, 2, 3, 4, 5]);
+    });
+
+    it('should throw for an unknown format', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      expect(function() {
+        matrix.setFormat('coo');
+      }).to.throwError(/Unknown sparse format/);
+    });
+
+    it('should return the instance', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      expect(matrix.setFormat('csc')).to.equal(matrix);
+    });
+
+  });
+
+  describe('#toMatrix()', function() {
+
+    it('should convert to a dense matrix', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1, 'csc').toMatrix();
+      expect(matrix instanceof Matrix).to.equal(true);
+      expect(matrix.equals(dense1)).to.equal(true);
+    });
+
+    it('should use the storage type if provided', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1).toMatrix('float64');
+      expect(matrix.storage).to.equal('float64');
+      expect(matrix.equals(dense1)).to.equal(true);
+    });
+
+  });
+
+  describe('#clone()', function() {
+
+    it('should return a new instance with the same data', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      var clone = matrix.clone();
+      expect(clone).not.to.equal(matrix);
+      expect(clone.values).not.to.equal(matrix.values);
+      expect(clone.toMatrix().equals(dense1)).to.equal(true);
+    });
+
+  });
+
+  describe('#add()', function() {
+
+    it('should add another sparse matrix of the same size', function() {
+      var matrix1 = SparseMatrix.fromTriplets(2, 2, [[0, 0, 1], [1, 1, 2]]);
+      var matrix2 = SparseMatrix.fromTriplets(2, 2, [[0, 1, 3], [1, 1, -2]], 'csc');
+      matrix1.add(matrix2);
+      expect(matrix1.values).to.eql([1, 3]);
+      expect(matrix1.indices).to.eql([0, 1]);
+      expect(matrix1.pointers).to.eql([0, 2, 2]);
+    });
+
+    it('should not add a matrix of a different size', function() {
+      var matrix1 = SparseMatrix.fromTriplets(2, 2, [[0, 0, 1]]);
+      var matrix2 = SparseMatrix.fromTriplets(2, 3, [[0, 0, 1]]);
+      matrix1.add(matrix2);
+      expect(matrix1.values).to.eql([1]);
+    });
+
+    it('should throw for a dense matrix', function() {
+      var matrix1 = SparseMatrix.fromMatrix(dense1);
+      expect(function() {
+        matrix1.add(dense1);
+      }).to.throwError(/SparseMatrix#add only works with SparseMatrix instances/);
+    });
+
+    it('should return the instance', function() {
+      var matrix1 = SparseMatrix.fromMatrix(dense1);
+      expect(matrix1.add(matrix1.clone())).to.equal(matrix1);
+    });
+
+  });
+
+  describe('#subtract()', function() {
+
+    it('should subtract another sparse matrix of the same size', function() {
+      var matrix1 = SparseMatrix.fromTriplets(2, 2, [[0, 0, 1], [1, 1, 2]]);
+      var matrix2 = SparseMatrix.fromTriplets(2, 2, [[0, 1, 3], [1, 1, 2]]);
+      matrix1.subtract(matrix2);
+      expect(matrix1.toMatrix().toArray()).to.eql([1, -3, 0, 0]);
+    });
+
+  });
+
+  describe('strict mode', function() {
+
+    afterEach(function() {
+      Matrix.strict = false;
+    });
+
+    it('should throw in add, subtract and multiply when the sizes do not match', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      Matrix.strict = true;
+      expect(function() {
+        matrix.add(matrix.clone(), new SparseMatrix(2, 2));
+      }).to.throwError(function(error) {
+        expect(error).to.be.a(MatrixDimensionError);
+        expect(error.message).to.equal('Matrix dimension mismatch in add: 3x4 and 2x2');
+      });
+      expect(function() {
+        matrix.subtract(new SparseMatrix(4, 3));
+      }).to.throwError(/in subtract: 3x4 and 4x3/);
+      expect(function() {
+        matrix.multiply(2, new SparseMatrix(4, 2), new SparseMatrix(4, 4));
+      }).to.throwError(/in multiply: 3x2 and 4x4/);
+
+      // Nothing was changed before the errors were thrown
+      expect(matrix.toMatrix().equals(dense1)).to.equal(true);
+    });
+
+    it('should let the instance setting override the global setting', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      expect(matrix.strict).to.equal(null);
+      matrix.strict = true;
+      expect(function() {
+        matrix.add(new SparseMatrix(2, 2));
+      }).to.throwError(/in add: 3x4 and 2x2/);
+      expect(matrix.clone().strict).to.equal(true);
+
+      matrix.strict = false;
+      Matrix.strict = true;
+      expect(matrix.add(new SparseMatrix(2, 2)).toMatrix().equals(dense1)).to.equal(true);
+    });
+
+    it('should skip numbers when checking the sizes', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      matrix.strict = true;
+      expect(function() {
+        matrix.add(2);
+      }).to.throwError(function(error) {
+        expect(error).not.to.be.a(MatrixDimensionError);
+        expect(error.message).to.equal('SparseMatrix#add only works with SparseMatrix instances.');
+      });
+    });
+
+  });
+
+  describe('#multiply()', function() {
+
+    it('should multiply another sparse matrix', function() {
+      var matrix1 = SparseMatrix.fromMatrix(dense1, 'csc');
+      var matrix2 = SparseMatrix.fromMatrix(dense2);
+      matrix1.multiply(matrix2);
+      expect(matrix1.format).to.equal('csc');
+      expect(matrix1.toMatrix().equals(Matrix.multiply(dense1, dense2))).to.equal(true);
+    });
+
+    it('should multiply the matrix with a number', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      matrix.multiply(3);
+      expect(matrix.values).to.eql([3, 6, 9, 12, 15]);
+      matrix.multiply(0);
+      expect(matrix.values).to.eql([]);
+      expect(matrix.pointers).to.eql([0, 0, 0, 0]);
+    });
+
+    it('should not multiply a matrix where the number of rows does not match', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      matrix.multiply(SparseMatrix.fromMatrix(dense1));
+      expect(matrix.toMatrix().equals(dense1)).to.equal(true);
+    });
+
+    it('should throw for a dense matrix', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      expect(function() {
+        matrix.multiply(dense2);
+      }).to.throwError(/use multiplyMatrix/);
+    });
+
+    it('should return the instance', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      expect(matrix.multiply(2)).to.equal(matrix);
+    });
+
+  });
+
+  describe('#multiplyMatrix()', function() {
+
+    it('should multiply with a dense matrix and return a dense matrix', function() {
+      var product1 = SparseMatrix.fromMatrix(dense1).multiplyMatrix(dense2);
+      var product2 = SparseMatrix.fromMatrix(dense1, 'csc').multiplyMatrix(dense2);
+      expect(product1 instanceof Matrix).to.equal(true);
+      expect(product1.equals(Matrix.multiply(dense1, dense2))).to.equal(true);
+      expect(product2.equals(Matrix.multiply(dense1, dense2))).to.equal(true);
+    });
+
+    it('should use the storage type of the dense matrix', function() {
+      var dense = new Matrix(4, 1, false, 'float32').setData([1, 2, 3, 4]);
+      var product = SparseMatrix.fromMatrix(dense1).multiplyMatrix(dense);
+      expect(product.storage).to.equal('float32');
+      expect(product.toArray()).to.eql([9, 9, 14]);
+    });
+
+    it('should return null if the sizes do not match', function() {
+      var product = SparseMatrix.fromMatrix(dense1).multiplyMatrix(dense1);
+      expect(product).to.equal(null);
+    });
+
+  });
+
+  describe('#transpose()', function() {
+
+    it('should transpose the matrix and keep the format', function() {
+      var matrix1 = SparseMatrix.fromMatrix(dense1).transpose();
+      var matrix2 = SparseMatrix.fromMatrix(dense1, 'csc').transpose();
+      var expected = dense1.clone().transpose();
+      expect(matrix1.format).to.equal('csr');
+      expect(matrix2.format).to.equal('csc');
+      expect(matrix1.rows).to.equal(4);
+      expect(matrix1.cols).to.equal(3);
+      expect(matrix1.toMatrix().equals(expected)).to.equal(true);
+      expect(matrix2.toMatrix().equals(expected)).to.equal(true);
+    });
+
+    it('should return the instance', function() {
+      var matrix = SparseMatrix.fromMatrix(dense1);
+      expect(matrix.transpose()).to.equal(matrix);
+    });
+
+  });
+
+});
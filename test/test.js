@@ -1 +1,4 @@
-require('./Matrix');
\ No newline at end of file
+require('./Matrix');
+require('./SparseMatrix');
+require('./ComplexMatrix');
+require('./RationalMatrix');